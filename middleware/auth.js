@@ -1,10 +1,29 @@
-const { auth } = require('../config/firebase');
+const { auth, db } = require('../config/firebase');
+const { isDoctorVerified } = require('../services/doctorVerification');
+const { TWO_FACTOR_ROLES, TWO_FACTOR_ENFORCED } = require('../services/twoFactor');
 
 /**
  * Authentication middleware to verify Firebase ID tokens
  * Adds user information to req.user if token is valid
  */
 async function authenticateToken(req, res, next) {
+  return verifyRequestToken(req, res, next, { allowTwoFactorEnrolment: false });
+}
+
+/**
+ * Authentication middleware for the endpoints a doctor or admin uses to enrol in two-factor
+ * authentication; the only ones their tokens reach before they have enrolled
+ */
+async function authenticateForTwoFactorEnrolment(req, res, next) {
+  return verifyRequestToken(req, res, next, { allowTwoFactorEnrolment: true });
+}
+
+/**
+ * Verify the Bearer token of a request and attach req.user
+ * @param {Object} options
+ * @param {boolean} options.allowTwoFactorEnrolment - Let doctors/admins that still have to enrol through
+ */
+async function verifyRequestToken(req, res, next, { allowTwoFactorEnrolment }) {
   try {
     const authHeader = req.headers.authorization;
     
@@ -22,18 +41,62 @@ async function authenticateToken(req, res, next) {
     const token = authHeader.split('Bearer ')[1];
 
     try {
-      const decodedToken = await auth.verifyIdToken(token);
+      // checkRevoked rejects tokens issued before auth.revokeRefreshTokens (logout from all devices)
+      const decodedToken = await auth.verifyIdToken(token, true);
+
+      // Users enrolled in 2FA only get twoFactorVerified from a completed login challenge. A token
+      // from a direct Identity Toolkit password sign-in has the enrolment claim but not this one.
+      if (decodedToken.twoFactorEnrolled && !decodedToken.twoFactorVerified) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'TWO_FACTOR_REQUIRED',
+            message: 'Two-factor verification is required. Please log in again.',
+            details: {}
+          }
+        });
+      }
+
+      // Checked on every token, not just at our login endpoint, so a direct Firebase sign-in can't skip it
+      const twoFactorEnrolmentRequired = TWO_FACTOR_ENFORCED &&
+        TWO_FACTOR_ROLES.includes(decodedToken.role) && !decodedToken.twoFactorEnrolled;
+      if (twoFactorEnrolmentRequired && !allowTwoFactorEnrolment) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'TWO_FACTOR_ENROLMENT_REQUIRED',
+            message: 'Set up an authenticator app (POST /v1/auth/2fa/totp/setup) before using this account.',
+            details: {}
+          }
+        });
+      }
       
       // Attach user info to request object
       req.user = {
         uid: decodedToken.uid,
         email: decodedToken.email,
-        emailVerified: decodedToken.email_verified || false
+        emailVerified: decodedToken.email_verified || false,
+        // Role custom claim (set at signup / role change); null on tokens minted before claims existed
+        role: decodedToken.role || null,
+        twoFactorVerified: decodedToken.twoFactorVerified === true,
+        twoFactorEnrolmentRequired
       };
 
       next();
     } catch (error) {
       console.error('Token verification error:', error.message);
+
+      if (error.code === 'auth/id-token-revoked') {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'TOKEN_REVOKED',
+            message: 'Session has been revoked. Please log in again.',
+            details: {}
+          }
+        });
+      }
+
       return res.status(401).json({
         success: false,
         error: {
@@ -57,9 +120,12 @@ async function authenticateToken(req, res, next) {
 }
 
 /**
- * Middleware to check if user has a specific role
+ * Middleware to check if user has one of the given roles
+ * Uses the role claim from the ID token; falls back to the users document
+ * only for tokens without a claim (accounts not yet migrated).
+ * @param {...string} roles - Allowed roles, e.g. requireRole('doctor', 'admin')
  */
-function requireRole(role) {
+function requireRole(...roles) {
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -73,34 +139,34 @@ function requireRole(role) {
         });
       }
 
-      // Get user document from Firestore to check role
-      const { db } = require('../config/firebase');
-      const userDoc = await db.collection('users').doc(req.user.uid).get();
+      if (!req.user.role) {
+        const userDoc = await db.collection('users').doc(req.user.uid).get();
 
-      if (!userDoc.exists) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'FORBIDDEN',
-            message: 'User profile not found.',
-            details: {}
-          }
-        });
+        if (!userDoc.exists) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              code: 'FORBIDDEN',
+              message: 'User profile not found.',
+              details: {}
+            }
+          });
+        }
+
+        req.user.role = userDoc.data().role;
       }
 
-      const userData = userDoc.data();
-      if (userData.role !== role) {
+      if (!roles.includes(req.user.role)) {
         return res.status(403).json({
           success: false,
           error: {
             code: 'FORBIDDEN',
-            message: `Access denied. ${role} role required.`,
+            message: `Access denied. ${roles.join(' or ')} role required.`,
             details: {}
           }
         });
       }
 
-      req.user.role = userData.role;
       next();
     } catch (error) {
       console.error('Role check error:', error);
@@ -116,8 +182,69 @@ function requireRole(role) {
   };
 }
 
+/**
+ * Middleware to reject accounts whose email address is not verified
+ * Only enforced when REQUIRE_EMAIL_VERIFICATION=true; use after authenticateToken on sensitive routes.
+ */
+function requireVerifiedEmail(req, res, next) {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address to access this resource.',
+        details: {}
+      }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to reject doctors whose credentials have not been approved by an admin
+ * Use after authenticateToken and requireRole('doctor').
+ */
+async function requireVerifiedDoctor(req, res, next) {
+  try {
+    const doctorDoc = await db.collection('doctors').doc(req.user.uid).get();
+
+    if (!doctorDoc.exists || !isDoctorVerified(doctorDoc.data())) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'DOCTOR_NOT_VERIFIED',
+          message: 'Your doctor profile has not been verified yet.',
+          details: {
+            verificationStatus: doctorDoc.exists ? doctorDoc.data().verificationStatus : null
+          }
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Doctor verification check error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error checking doctor verification.',
+        details: {}
+      }
+    });
+  }
+}
+
 module.exports = {
   authenticateToken,
-  requireRole
+  authenticateForTwoFactorEnrolment,
+  requireRole,
+  requireVerifiedEmail,
+  requireVerifiedDoctor
 };
 
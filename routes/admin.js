@@ -1,46 +1,64 @@
 const express = require('express');
 const { query, body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { db } = require('../config/firebase');
+const { ROLES, changeUserRole } = require('../services/roles');
+const { createInvite, listInvites, revokeInvite } = require('../services/adminInvites');
+const { sendAdminInviteEmail } = require('../services/authEmails');
+const {
+    VERIFICATION_STATUSES,
+    getDoctorVerification,
+    listDoctorsByVerificationStatus,
+    approveDoctor,
+    rejectDoctor
+} = require('../services/doctorVerification');
+const { listCategories, createCategory, updateCategory, deleteCategory } = require('../services/categories');
 
 const router = express.Router();
 
+// HTTP status for report category errors
+const CATEGORY_ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    NOT_FOUND: 404,
+    CATEGORY_CONFLICT: 409,
+    CATEGORY_PROTECTED: 409
+};
+
 /**
- * Middleware to require admin role
+ * Map category service errors to API responses
+ * @returns {boolean} - true if a response was sent
  */
-const requireAdmin = async (req, res, next) => {
-    try {
-        const userDoc = await db.collection('users').doc(req.user.uid).get();
-        if (!userDoc.exists || userDoc.data().role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                error: {
-                    code: 'FORBIDDEN',
-                    message: 'Admin access required',
-                    details: {}
-                }
-            });
-        }
-        next();
-    } catch (error) {
-        console.error('Admin role check error:', error);
-        res.status(500).json({
-            success: false,
-            error: {
-                code: 'SERVER_ERROR',
-                message: 'Error checking permissions',
-                details: {}
-            }
-        });
+function handleCategoryError(error, res) {
+    const status = CATEGORY_ERROR_STATUS[error.code];
+    if (!status) {
+        return false;
     }
-};
+
+    res.status(status).json({
+        success: false,
+        error: {
+            code: error.code,
+            message: error.message,
+            details: error.details || {}
+        }
+    });
+    return true;
+}
+
+// Shared by create and update: aliases and keywords are lists of short phrases
+const categoryTermValidators = [
+    body('aliases').optional().isArray({ max: 50 }),
+    body('aliases.*').isString().trim().isLength({ min: 1, max: 60 }),
+    body('keywords').optional().isArray({ max: 200 }),
+    body('keywords.*').isString().trim().isLength({ min: 1, max: 60 })
+];
 
 /**
  * Get All Patients
  * GET /v1/admin/patients
  */
-router.get('/patients', authenticateToken, requireAdmin, [
+router.get('/patients', authenticateToken, requireRole('admin'), [
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('offset').optional().isInt({ min: 0 })
 ], asyncHandler(async (req, res) => {
@@ -75,7 +93,7 @@ router.get('/patients', authenticateToken, requireAdmin, [
  * Get All Appointments
  * GET /v1/admin/appointments
  */
-router.get('/appointments', authenticateToken, requireAdmin, [
+router.get('/appointments', authenticateToken, requireRole('admin'), [
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('offset').optional().isInt({ min: 0 }),
     query('status').optional().isIn(['pending', 'confirmed', 'completed', 'cancelled'])
@@ -115,7 +133,7 @@ router.get('/appointments', authenticateToken, requireAdmin, [
  * Get System Stats
  * GET /v1/admin/stats
  */
-router.get('/stats', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+router.get('/stats', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
     try {
         // Count doctors
         const doctorsSnapshot = await db.collection('users').where('role', '==', 'doctor').count().get();
@@ -161,7 +179,7 @@ router.get('/stats', authenticateToken, requireAdmin, asyncHandler(async (req, r
  * Update Appointment Status
  * PUT /v1/admin/appointments/:id/status
  */
-router.put('/appointments/:id/status', authenticateToken, requireAdmin, [
+router.put('/appointments/:id/status', authenticateToken, requireRole('admin'), [
     body('status').isIn(['pending', 'confirmed', 'completed', 'cancelled'])
 ], asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -196,4 +214,485 @@ router.put('/appointments/:id/status', authenticateToken, requireAdmin, [
     }
 }));
 
+/**
+ * Change User Role
+ * PUT /v1/admin/users/:userId/role
+ */
+router.put('/users/:userId/role', authenticateToken, requireRole('admin'), [
+    body('role').isIn(ROLES)
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid request data',
+                details: errors.array()
+            }
+        });
+    }
+
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    // Prevent admins from locking themselves out
+    if (userId === req.user.uid && role !== 'admin') {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'You cannot change your own admin role',
+                details: {}
+            }
+        });
+    }
+
+    try {
+        const result = await changeUserRole(userId, role);
+
+        res.json({
+            success: true,
+            message: 'User role updated successfully',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error changing user role:', error);
+
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: error.message,
+                    details: {}
+                }
+            });
+        }
+
+        if (error.code === 'DOCTOR_PROFILE_REQUIRED') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: error.code,
+                    message: error.message,
+                    details: {}
+                }
+            });
+        }
+
+        throw error;
+    }
+}));
+
+/**
+ * Create Admin Invite
+ * POST /v1/admin/invites
+ */
+router.post('/invites', authenticateToken, requireRole('admin'), [
+    body('email').optional().isEmail().normalizeEmail(),
+    body('expiresInHours').optional().isInt({ min: 1, max: 720 }).toInt()
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid request data',
+                details: errors.array()
+            }
+        });
+    }
+
+    const { email, expiresInHours } = req.body;
+
+    try {
+        const invite = await createInvite({
+            createdBy: req.user.uid,
+            email,
+            expiresInHours
+        });
+
+        // Email the invite when it is tied to an address; otherwise the caller shares the token
+        let emailSent = false;
+        if (invite.email) {
+            try {
+                await sendAdminInviteEmail(invite.email, invite.token, invite.expiresAt);
+                emailSent = true;
+            } catch (mailError) {
+                console.error('Error sending admin invite email:', mailError);
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Admin invite created. The token is only shown once.',
+            data: {
+                ...invite,
+                emailSent
+            }
+        });
+    } catch (error) {
+        console.error('Error creating admin invite:', error);
+        throw error;
+    }
+}));
+
+/**
+ * List Admin Invites
+ * GET /v1/admin/invites
+ */
+router.get('/invites', authenticateToken, requireRole('admin'), [
+    query('status').optional().isIn(['pending', 'used', 'revoked', 'expired'])
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid query parameters',
+                details: errors.array()
+            }
+        });
+    }
+
+    try {
+        const invites = await listInvites({ status: req.query.status });
+
+        res.json({
+            success: true,
+            data: invites
+        });
+    } catch (error) {
+        console.error('Error fetching admin invites:', error);
+        throw error;
+    }
+}));
+
+/**
+ * Revoke Admin Invite
+ * DELETE /v1/admin/invites/:inviteId
+ */
+router.delete('/invites/:inviteId', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+    try {
+        await revokeInvite(req.params.inviteId);
+
+        res.json({
+            success: true,
+            message: 'Admin invite revoked'
+        });
+    } catch (error) {
+        console.error('Error revoking admin invite:', error);
+
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: error.message,
+                    details: {}
+                }
+            });
+        }
+
+        if (error.code === 'INVITE_ALREADY_USED') {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: error.code,
+                    message: error.message,
+                    details: {}
+                }
+            });
+        }
+
+        throw error;
+    }
+}));
+
+/**
+ * List Doctors by Verification Status
+ * GET /v1/admin/doctors
+ */
+router.get('/doctors', authenticateToken, requireRole('admin'), [
+    query('status').optional().isIn(VERIFICATION_STATUSES)
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid query parameters',
+                details: errors.array()
+            }
+        });
+    }
+
+    // Default to the review queue
+    const status = req.query.status || 'pending_verification';
+
+    try {
+        const doctors = await listDoctorsByVerificationStatus(status);
+
+        res.json({
+            success: true,
+            data: doctors
+        });
+    } catch (error) {
+        console.error('Error fetching doctors for verification:', error);
+        throw error;
+    }
+}));
+
+/**
+ * Get Doctor Verification Details (with credential download URLs)
+ * GET /v1/admin/doctors/:doctorId
+ */
+router.get('/doctors/:doctorId', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+    try {
+        const verification = await getDoctorVerification(req.params.doctorId, { includeDownloadUrls: true });
+
+        res.json({
+            success: true,
+            data: verification
+        });
+    } catch (error) {
+        console.error('Error fetching doctor verification:', error);
+
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: error.message,
+                    details: {}
+                }
+            });
+        }
+
+        throw error;
+    }
+}));
+
+/**
+ * Approve Doctor
+ * POST /v1/admin/doctors/:doctorId/approve
+ */
+router.post('/doctors/:doctorId/approve', authenticateToken, requireRole('admin'), [
+    body('notes').optional().trim()
+], asyncHandler(async (req, res) => {
+    try {
+        const verification = await approveDoctor(req.params.doctorId, req.user.uid, req.body.notes || null);
+
+        res.json({
+            success: true,
+            message: 'Doctor verified successfully',
+            data: verification
+        });
+    } catch (error) {
+        console.error('Error approving doctor:', error);
+
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: error.message,
+                    details: {}
+                }
+            });
+        }
+
+        if (error.code === 'ALREADY_VERIFIED') {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: error.code,
+                    message: error.message,
+                    details: {}
+                }
+            });
+        }
+
+        throw error;
+    }
+}));
+
+/**
+ * Reject Doctor
+ * POST /v1/admin/doctors/:doctorId/reject
+ */
+router.post('/doctors/:doctorId/reject', authenticateToken, requireRole('admin'), [
+    body('reason').trim().notEmpty()
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'A rejection reason is required',
+                details: errors.array()
+            }
+        });
+    }
+
+    try {
+        const verification = await rejectDoctor(req.params.doctorId, req.user.uid, req.body.reason);
+
+        res.json({
+            success: true,
+            message: 'Doctor verification rejected',
+            data: verification
+        });
+    } catch (error) {
+        console.error('Error rejecting doctor:', error);
+
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: error.message,
+                    details: {}
+                }
+            });
+        }
+
+        throw error;
+    }
+}));
+
+/**
+ * List Report Categories
+ * GET /v1/admin/categories
+ */
+router.get('/categories', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+    try {
+        const categories = await listCategories();
+
+        res.json({
+            success: true,
+            data: categories
+        });
+    } catch (error) {
+        console.error('Error fetching report categories:', error);
+        throw error;
+    }
+}));
+
+/**
+ * Create Report Category
+ * POST /v1/admin/categories
+ * Body: { name, aliases?: [...], keywords?: [...] }
+ */
+router.post('/categories', authenticateToken, requireRole('admin'), [
+    body('name').trim().isLength({ min: 1, max: 60 }),
+    ...categoryTermValidators
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid request data',
+                details: errors.array()
+            }
+        });
+    }
+
+    const { name, aliases, keywords } = req.body;
+
+    try {
+        const category = await createCategory({ name, aliases, keywords }, req.user.uid);
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created',
+            data: category
+        });
+    } catch (error) {
+        console.error('Error creating report category:', error);
+        if (handleCategoryError(error, res)) return;
+        throw error;
+    }
+}));
+
+/**
+ * Update Report Category
+ * PATCH /v1/admin/categories/:categoryId
+ * Renaming keeps the old name as an alias; reports filed under it are moved in the background.
+ */
+router.patch('/categories/:categoryId', authenticateToken, requireRole('admin'), [
+    body('name').optional().trim().isLength({ min: 1, max: 60 }),
+    ...categoryTermValidators
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid request data',
+                details: errors.array()
+            }
+        });
+    }
+
+    const { name, aliases, keywords } = req.body;
+
+    try {
+        const category = await updateCategory(req.params.categoryId, { name, aliases, keywords }, req.user.uid);
+
+        res.json({
+            success: true,
+            message: 'Category updated',
+            data: category
+        });
+    } catch (error) {
+        console.error('Error updating report category:', error);
+        if (handleCategoryError(error, res)) return;
+        throw error;
+    }
+}));
+
+/**
+ * Delete Report Category
+ * DELETE /v1/admin/categories/:categoryId?reassignTo=<categoryId>
+ * Reports move to reassignTo (default: general), which also takes over the old name and aliases.
+ */
+router.delete('/categories/:categoryId', authenticateToken, requireRole('admin'), [
+    query('reassignTo').optional().trim().notEmpty()
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid query parameters',
+                details: errors.array()
+            }
+        });
+    }
+
+    try {
+        const result = await deleteCategory(req.params.categoryId, { reassignTo: req.query.reassignTo });
+
+        res.json({
+            success: true,
+            message: 'Category deleted',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error deleting report category:', error);
+        if (handleCategoryError(error, res)) return;
+        throw error;
+    }
+}));
+
 module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireRole, requireVerifiedEmail } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { db } = require('../config/firebase');
+const { isDoctorVerified } = require('../services/doctorVerification');
 
 const router = express.Router();
 
@@ -10,7 +11,7 @@ const router = express.Router();
  * Book Appointment
  * POST /v1/appointments
  */
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, requireVerifiedEmail, [
   body('doctorId').trim().notEmpty(),
   body('date').isISO8601(),
   body('time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
@@ -33,9 +34,9 @@ router.post('/', authenticateToken, [
   const patientId = req.user.uid;
 
   try {
-    // Verify doctor exists
+    // Verify doctor exists and has been approved
     const doctorDoc = await db.collection('doctors').doc(doctorId).get();
-    if (!doctorDoc.exists) {
+    if (!doctorDoc.exists || !isDoctorVerified(doctorDoc.data())) {
       return res.status(404).json({
         success: false,
         error: {
@@ -182,7 +183,7 @@ router.get('/patient', authenticateToken, [
  * Get Doctor Appointments
  * GET /v1/appointments/doctor
  */
-router.get('/doctor', authenticateToken, [
+router.get('/doctor', authenticateToken, requireRole('doctor'), [
   query('status').optional().isIn(['pending', 'confirmed', 'completed', 'cancelled']),
   query('date').optional().isISO8601(),
   query('startDate').optional().isISO8601(),
@@ -200,19 +201,6 @@ router.get('/doctor', authenticateToken, [
     });
   }
 
-  // Verify user is a doctor
-  const userDoc = await db.collection('users').doc(req.user.uid).get();
-  if (!userDoc.exists || userDoc.data().role !== 'doctor') {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'FORBIDDEN',
-        message: 'Doctor access required',
-        details: {}
-      }
-    });
-  }
-
   const doctorId = req.user.uid;
   const { status, date, startDate, endDate } = req.query;
 
@@ -395,7 +383,7 @@ router.put('/:appointmentId/status', authenticateToken, [
  * Add Doctor Notes to Appointment
  * PUT /v1/appointments/:appointmentId/notes
  */
-router.put('/:appointmentId/notes', authenticateToken, [
+router.put('/:appointmentId/notes', authenticateToken, requireRole('doctor'), [
   body('doctorNotes').trim().notEmpty()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -415,19 +403,6 @@ router.put('/:appointmentId/notes', authenticateToken, [
   const userId = req.user.uid;
 
   try {
-    // Verify user is a doctor
-    const userDoc = await db.collection('users').doc(userId).get();
-    if (!userDoc.exists || userDoc.data().role !== 'doctor') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Doctor access required',
-          details: {}
-        }
-      });
-    }
-
     const appointmentDoc = await db.collection('appointments').doc(appointmentId).get();
 
     if (!appointmentDoc.exists) {
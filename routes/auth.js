@@ -1,11 +1,113 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { auth, db } = require('../config/firebase');
+const { authenticateToken, authenticateForTwoFactorEnrolment, requireRole } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const axios = require('axios');
+const { refreshSession, revokeSession, revokeAllSessions } = require('../services/session');
+const { confirmPasswordReset, confirmEmailVerification } = require('../services/identityToolkit');
+const { loginWithPassword, issueLoginTokens } = require('../services/login');
+const { setRoleClaim } = require('../services/roles');
+const { verifyInvite, redeemInvite } = require('../services/adminInvites');
+const { getInitialVerificationFields } = require('../services/doctorVerification');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/authEmails');
+const { isMailAvailable } = require('../services/mail');
+const {
+  TWO_FACTOR_ROLES,
+  getTwoFactorStatus,
+  startTotpSetup,
+  enableTotp,
+  startSmsSetup,
+  enableSms,
+  sendManagementSmsCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  sendChallengeSmsCode,
+  completeLoginChallenge
+} = require('../services/twoFactor');
 
 const router = express.Router();
 
+// HTTP status for errors thrown by the shared login pipeline
+const LOGIN_ERROR_STATUS = {
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  ACCOUNT_LOCKED: 423
+};
+
+/**
+ * Build the login handler for a role
+ * Every role goes through the same pipeline (services/login.js) - only the expected role differs.
+ * @param {string} role - 'patient' | 'doctor' | 'admin'
+ * @returns {Array} - Validation middleware and route handler
+ */
+function createLoginHandler(role) {
+  return [
+    body('email').isEmail().normalizeEmail(),
+    body('password').notEmpty(),
+    asyncHandler(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid request data',
+            details: errors.array()
+          }
+        });
+      }
+
+      const { email, password } = req.body;
+
+      try {
+        const data = await loginWithPassword({
+          email,
+          password,
+          role,
+          context: {
+            userAgent: req.get('user-agent'),
+            ipAddress: req.ip
+          }
+        });
+
+        res.json({
+          success: true,
+          data
+        });
+      } catch (error) {
+        const status = LOGIN_ERROR_STATUS[error.code];
+        if (status) {
+          if (error.code === 'ACCOUNT_LOCKED') {
+            res.set('Retry-After', String(error.details.retryAfter));
+          }
+          return res.status(status).json({
+            success: false,
+            error: {
+              code: error.code,
+              message: error.message,
+              details: error.details || {}
+            }
+          });
+        }
+
+        if (error.code === 'SERVER_CONFIG_ERROR') {
+          return res.status(500).json({
+            success: false,
+            error: {
+              code: 'SERVER_ERROR',
+              message: 'Server configuration error',
+              details: {}
+            }
+          });
+        }
+
+        console.error(`${role} login error:`, error);
+        throw error;
+      }
+    })
+  ];
+}
+
 /**
  * Patient Sign Up
  * POST /v1/auth/patient/signup
@@ -52,6 +154,7 @@ router.post('/patient/signup', [
     };
 
     await db.collection('users').doc(userRecord.uid).set(userData);
+    await setRoleClaim(userRecord.uid, 'patient');
 
     // Generate custom token for immediate login
     const customToken = await auth.createCustomToken(userRecord.uid);
@@ -89,296 +192,7 @@ router.post('/patient/signup', [
  * Patient Login
  * POST /v1/auth/patient/login
  */
-router.post('/patient/login', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').notEmpty()
-], asyncHandler(async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: 'VALIDATION_ERROR',
-        message: 'Invalid request data',
-        details: errors.array()
-      }
-    });
-  }
-
-  const { email, password } = req.body;
-
-  // STEP 1: Verify password FIRST - this is the primary authentication check
-  const firebaseApiKey = process.env.FIREBASE_WEB_API_KEY;
-  if (!firebaseApiKey) {
-    return res.status(500).json({
-      success: false,
-      error: {
-        code: 'SERVER_ERROR',
-        message: 'Server configuration error',
-        details: {}
-      }
-    });
-  }
-
-  // Authenticate with Firebase Auth REST API - this VERIFIES the password
-  // This is the CRITICAL step - password MUST be verified here
-  let authResponse;
-  let passwordVerified = false;
-
-  try {
-    authResponse = await axios.post(
-      `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${firebaseApiKey}`,
-      {
-        email,
-        password,
-        returnSecureToken: true
-      },
-      {
-        validateStatus: function (status) {
-          // Don't throw on any status - we'll check the response manually
-          return status >= 200 && status < 600;
-        }
-      }
-    );
-
-    // Check HTTP status code first
-    if (authResponse.status !== 200) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
-          details: {}
-        }
-      });
-    }
-
-    // Check if response contains an error (Firebase sometimes returns errors in response body even with 200 status)
-    if (authResponse.data && authResponse.data.error) {
-      const firebaseError = authResponse.data.error;
-      const errorMessage = firebaseError.message || '';
-      const errorCode = firebaseError.code || '';
-
-      // Handle all password/authentication errors
-      if (errorMessage.includes('INVALID_PASSWORD') ||
-        errorCode === 'INVALID_PASSWORD' ||
-        errorMessage.includes('EMAIL_NOT_FOUND') ||
-        errorCode === 'EMAIL_NOT_FOUND' ||
-        errorMessage.includes('INVALID_EMAIL') ||
-        errorCode === 'INVALID_EMAIL' ||
-        errorMessage.includes('USER_DISABLED') ||
-        errorCode === 'USER_DISABLED' ||
-        errorMessage.includes('TOO_MANY_ATTEMPTS_TRY_LATER') ||
-        errorCode === 'TOO_MANY_ATTEMPTS_TRY_LATER') {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'Invalid email or password',
-            details: {}
-          }
-        });
-      }
-
-      // If there's any error in the response, reject login
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
-          details: {}
-        }
-      });
-    }
-
-    // Validate that we have the required fields (this confirms password was correct)
-    if (!authResponse.data || !authResponse.data.localId || !authResponse.data.idToken) {
-      console.error('Firebase Auth response missing required fields:', authResponse.data);
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
-          details: {}
-        }
-      });
-    }
-
-    // Password verified successfully - we have a valid userId and idToken
-    passwordVerified = true;
-
-  } catch (authError) {
-    // Password verification failed - return immediately without checking anything else
-
-    if (authError.response?.data?.error) {
-      const firebaseError = authError.response.data.error;
-      const errorMessage = firebaseError.message || '';
-      const errorCode = firebaseError.code || '';
-
-      // Handle all password/authentication errors
-      if (errorMessage.includes('INVALID_PASSWORD') ||
-        errorCode === 'INVALID_PASSWORD' ||
-        errorMessage.includes('EMAIL_NOT_FOUND') ||
-        errorCode === 'EMAIL_NOT_FOUND' ||
-        errorMessage.includes('INVALID_EMAIL') ||
-        errorCode === 'INVALID_EMAIL' ||
-        errorMessage.includes('USER_DISABLED') ||
-        errorCode === 'USER_DISABLED' ||
-        errorMessage.includes('TOO_MANY_ATTEMPTS_TRY_LATER') ||
-        errorCode === 'TOO_MANY_ATTEMPTS_TRY_LATER') {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'Invalid email or password',
-            details: {}
-          }
-        });
-      }
-    }
-
-    // If password verification failed for any other reason, return error
-    return res.status(401).json({
-      success: false,
-      error: {
-        code: 'UNAUTHORIZED',
-        message: 'Invalid email or password',
-        details: {}
-      }
-    });
-  }
-
-  // STEP 2: CRITICAL CHECK - Only proceed if password was verified
-  if (!passwordVerified || !authResponse || !authResponse.data || !authResponse.data.localId || !authResponse.data.idToken) {
-    return res.status(401).json({
-      success: false,
-      error: {
-        code: 'UNAUTHORIZED',
-        message: 'Password verification failed',
-        details: {}
-      }
-    });
-  }
-
-  const { localId: userId, idToken } = authResponse.data;
-
-  // STEP 3: Now that password is verified, check user in database
-  try {
-    // Verify user exists in Firebase Auth (using Admin SDK)
-    let userRecord;
-    try {
-      userRecord = await auth.getUser(userId);
-    } catch (adminError) {
-      console.error('Error getting user from Admin SDK:', adminError);
-      if (adminError.code === 'auth/user-not-found') {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'User account not properly configured',
-            details: {}
-          }
-        });
-      }
-      throw adminError;
-    }
-
-    // Verify user document exists and is a patient
-    const userDoc = await db.collection('users').doc(userId).get();
-
-    if (!userDoc.exists) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'User account not found',
-          details: {}
-        }
-      });
-    }
-
-    const userData = userDoc.data();
-
-    if (userData.role !== 'patient') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Invalid user role',
-          details: {}
-        }
-      });
-    }
-
-    // Generate custom token for client to exchange for ID token
-    let customToken;
-    try {
-      customToken = await auth.createCustomToken(userId);
-    } catch (tokenError) {
-      console.error('Error creating custom token:', tokenError);
-      // If custom token creation fails, we can still return the idToken from REST API
-      // But custom token is preferred for consistency
-      if (tokenError.code === 'auth/user-not-found') {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'User account not properly configured',
-            details: {}
-          }
-        });
-      }
-      throw tokenError;
-    }
-
-    res.json({
-      success: true,
-      data: {
-        token: customToken,
-        userId: userId,
-        email: email,
-        name: userData.name,
-        role: userData.role
-      }
-    });
-  } catch (error) {
-    console.error('Patient login error:', error);
-
-    // Handle any remaining authentication errors
-    if (error.response?.data?.error) {
-      const firebaseError = error.response.data.error;
-      const errorMessage = firebaseError.message || '';
-
-      if (errorMessage.includes('INVALID_PASSWORD') ||
-        errorMessage.includes('EMAIL_NOT_FOUND') ||
-        errorMessage.includes('INVALID_EMAIL') ||
-        errorMessage.includes('USER_DISABLED') ||
-        errorMessage.includes('TOO_MANY_ATTEMPTS_TRY_LATER')) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'Invalid email or password',
-            details: {}
-          }
-        });
-      }
-    }
-
-    if (error.code === 'auth/user-not-found') {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
-          details: {}
-        }
-      });
-    }
-
-    throw error;
-  }
-}));
+router.post('/patient/login', createLoginHandler('patient'));
 
 /**
  * Doctor Sign Up
@@ -391,7 +205,8 @@ router.post('/doctor/signup', [
   body('phone').optional().trim(),
   body('specialization').trim().notEmpty(),
   body('yearsOfExperience').optional().isInt({ min: 0 }),
-  body('bio').optional().trim()
+  body('bio').optional().trim(),
+  body('licenseNumber').optional().trim()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -405,7 +220,7 @@ router.post('/doctor/signup', [
     });
   }
 
-  const { email, password, name, phone, specialization, yearsOfExperience, bio } = req.body;
+  const { email, password, name, phone, specialization, yearsOfExperience, bio, licenseNumber } = req.body;
 
   try {
     // Create user in Firebase Auth
@@ -427,6 +242,7 @@ router.post('/doctor/signup', [
     };
 
     await db.collection('users').doc(userRecord.uid).set(userData);
+    await setRoleClaim(userRecord.uid, 'doctor');
 
     // Create doctor document in Firestore
     const doctorData = {
@@ -437,6 +253,7 @@ router.post('/doctor/signup', [
       specialization,
       yearsOfExperience: yearsOfExperience || 0,
       bio: bio || '',
+      licenseNumber: licenseNumber || null,
       rating: 0,
       reviewCount: 0,
       availability: {
@@ -448,6 +265,8 @@ router.post('/doctor/signup', [
         saturday: { start: null, end: null, available: false },
         sunday: { start: null, end: null, available: false }
       },
+      // Not listed or bookable until an admin approves the uploaded credentials
+      ...getInitialVerificationFields(userRecord.uid),
       createdAt: new Date().toISOString()
     };
 
@@ -458,12 +277,13 @@ router.post('/doctor/signup', [
 
     res.status(201).json({
       success: true,
-      message: 'Doctor registered successfully',
+      message: 'Doctor registered successfully. Upload your credentials to get verified.',
       data: {
         userId: userRecord.uid,
         email: userRecord.email,
         name: userRecord.displayName,
         role: 'doctor',
+        verificationStatus: 'pending_verification',
         token: customToken
       }
     });
@@ -489,9 +309,20 @@ router.post('/doctor/signup', [
  * Doctor Login
  * POST /v1/auth/doctor/login
  */
-router.post('/doctor/login', [
+router.post('/doctor/login', createLoginHandler('doctor'));
+
+module.exports = router;
+
+/**
+ * Admin Sign Up
+ * POST /v1/auth/admin/signup
+ */
+router.post('/admin/signup', [
+  body('inviteToken').trim().notEmpty(),
   body('email').isEmail().normalizeEmail(),
-  body('password').notEmpty()
+  body('password').isLength({ min: 6 }),
+  body('name').trim().notEmpty(),
+  body('phone').optional().trim()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -505,272 +336,302 @@ router.post('/doctor/login', [
     });
   }
 
-  const { email, password } = req.body;
+  const { inviteToken, email, password, name, phone } = req.body;
 
-  // STEP 1: Verify password FIRST - this is the primary authentication check
-  const firebaseApiKey = process.env.FIREBASE_WEB_API_KEY;
-  if (!firebaseApiKey) {
-    return res.status(500).json({
-      success: false,
-      error: {
-        code: 'SERVER_ERROR',
-        message: 'Server configuration error',
-        details: {}
-      }
+  try {
+    // Admin accounts can only be created with an invite from an existing admin
+    // (the first admin is bootstrapped with `npm run create-admin`)
+    await verifyInvite(inviteToken, email);
+
+    // Create user in Firebase Auth
+    const userRecord = await auth.createUser({
+      email,
+      password,
+      displayName: name,
+      emailVerified: false
     });
-  }
 
-  // Authenticate with Firebase Auth REST API - this VERIFIES the password
-  // This is the CRITICAL step - password MUST be verified here
-  let authResponse;
-  let passwordVerified = false;
+    // Consume the invite; if someone else redeemed it in the meantime, undo the account
+    try {
+      await redeemInvite(inviteToken, email, userRecord.uid);
+    } catch (inviteError) {
+      await auth.deleteUser(userRecord.uid);
+      throw inviteError;
+    }
 
-  try {
-    authResponse = await axios.post(
-      `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${firebaseApiKey}`,
-      {
-        email,
-        password,
-        returnSecureToken: true
-      },
-      {
-        validateStatus: function (status) {
-          // Don't throw on any status - we'll check the response manually
-          return status >= 200 && status < 600;
-        }
-      }
-    );
+    // Create user document in Firestore
+    const userData = {
+      userId: userRecord.uid,
+      email,
+      name,
+      phone: phone || null,
+      role: 'admin',
+      createdAt: new Date().toISOString()
+    };
 
-    // Check HTTP status code first
-    if (authResponse.status !== 200) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
-          details: {}
-        }
-      });
-    }
+    await db.collection('users').doc(userRecord.uid).set(userData);
+    await setRoleClaim(userRecord.uid, 'admin');
 
-    // Check if response contains an error (Firebase sometimes returns errors in response body even with 200 status)
-    if (authResponse.data && authResponse.data.error) {
-      const firebaseError = authResponse.data.error;
-      const errorMessage = firebaseError.message || '';
-      const errorCode = firebaseError.code || '';
-
-      // Handle all password/authentication errors
-      if (errorMessage.includes('INVALID_PASSWORD') ||
-        errorCode === 'INVALID_PASSWORD' ||
-        errorMessage.includes('EMAIL_NOT_FOUND') ||
-        errorCode === 'EMAIL_NOT_FOUND' ||
-        errorMessage.includes('INVALID_EMAIL') ||
-        errorCode === 'INVALID_EMAIL' ||
-        errorMessage.includes('USER_DISABLED') ||
-        errorCode === 'USER_DISABLED' ||
-        errorMessage.includes('TOO_MANY_ATTEMPTS_TRY_LATER') ||
-        errorCode === 'TOO_MANY_ATTEMPTS_TRY_LATER') {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'Invalid email or password',
-            details: {}
-          }
-        });
+    // Generate custom token for immediate login
+    const customToken = await auth.createCustomToken(userRecord.uid);
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin registered successfully',
+      data: {
+        userId: userRecord.uid,
+        email: userRecord.email,
+        name: userRecord.displayName,
+        role: 'admin',
+        token: customToken
       }
+    });
+  } catch (error) {
+    console.error('Admin signup error:', error);
 
-      // If there's any error in the response, reject login
-      return res.status(401).json({
+    if (error.code === 'INVALID_INVITE') {
+      return res.status(403).json({
         success: false,
         error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
+          code: 'INVALID_INVITE',
+          message: error.message,
           details: {}
         }
       });
     }
 
-    // Validate that we have the required fields (this confirms password was correct)
-    if (!authResponse.data || !authResponse.data.localId || !authResponse.data.idToken) {
-      console.error('Firebase Auth response missing required fields:', authResponse.data);
-      return res.status(401).json({
+    if (error.code === 'auth/email-already-exists') {
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
+          code: 'VALIDATION_ERROR',
+          message: 'Email already exists',
           details: {}
         }
       });
     }
 
-    // Password verified successfully - we have a valid userId and idToken
-    passwordVerified = true;
-
-  } catch (authError) {
-    // Password verification failed - return immediately without checking anything else
-
-    if (authError.response?.data?.error) {
-      const firebaseError = authError.response.data.error;
-      const errorMessage = firebaseError.message || '';
-      const errorCode = firebaseError.code || '';
-
-      // Handle all password/authentication errors
-      if (errorMessage.includes('INVALID_PASSWORD') ||
-        errorCode === 'INVALID_PASSWORD' ||
-        errorMessage.includes('EMAIL_NOT_FOUND') ||
-        errorCode === 'EMAIL_NOT_FOUND' ||
-        errorMessage.includes('INVALID_EMAIL') ||
-        errorCode === 'INVALID_EMAIL' ||
-        errorMessage.includes('USER_DISABLED') ||
-        errorCode === 'USER_DISABLED' ||
-        errorMessage.includes('TOO_MANY_ATTEMPTS_TRY_LATER') ||
-        errorCode === 'TOO_MANY_ATTEMPTS_TRY_LATER') {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'Invalid email or password',
-            details: {}
-          }
-        });
-      }
-    }
-
-    // If password verification failed for any other reason, return error
-    return res.status(401).json({
-      success: false,
-      error: {
-        code: 'UNAUTHORIZED',
-        message: 'Invalid email or password',
-        details: {}
-      }
-    });
+    throw error;
   }
+}));
 
-  // STEP 2: CRITICAL CHECK - Only proceed if password was verified
-  if (!passwordVerified || !authResponse || !authResponse.data || !authResponse.data.localId || !authResponse.data.idToken) {
-    return res.status(401).json({
-      success: false,
-      error: {
-        code: 'UNAUTHORIZED',
-        message: 'Password verification failed',
-        details: {}
-      }
+/**
+ * Admin Login
+ * POST /v1/auth/admin/login
+ */
+router.post('/admin/login', createLoginHandler('admin'));
+
+/**
+ * Refresh Access Token
+ * POST /v1/auth/token/refresh
+ */
+router.post('/token/refresh', [
+  body('refreshToken').trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
     });
   }
 
-  const { localId: userId, idToken } = authResponse.data;
+  const { refreshToken } = req.body;
 
-  // STEP 3: Now that password is verified, check user in database
   try {
-    // Verify user exists in Firebase Auth (using Admin SDK)
-    let userRecord;
-    try {
-      userRecord = await auth.getUser(userId);
-    } catch (adminError) {
-      console.error('Error getting user from Admin SDK:', adminError);
-      if (adminError.code === 'auth/user-not-found') {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'User account not properly configured',
-            details: {}
-          }
-        });
-      }
-      throw adminError;
-    }
+    const session = await refreshSession(refreshToken);
 
-    // Verify user document exists and is a doctor
-    const userDoc = await db.collection('users').doc(userId).get();
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
 
-    if (!userDoc.exists) {
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
       return res.status(401).json({
         success: false,
         error: {
-          code: 'UNAUTHORIZED',
-          message: 'User account not found',
+          code: 'INVALID_REFRESH_TOKEN',
+          message: error.message,
           details: {}
         }
       });
     }
 
-    const userData = userDoc.data();
-
-    if (userData.role !== 'doctor') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Invalid user role',
-          details: {}
-        }
-      });
-    }
+    throw error;
+  }
+}));
 
-    // Generate custom token for client to exchange for ID token
-    let customToken;
-    try {
-      customToken = await auth.createCustomToken(userId);
-    } catch (tokenError) {
-      console.error('Error creating custom token:', tokenError);
-      // If custom token creation fails, we can still return the idToken from REST API
-      // But custom token is preferred for consistency
-      if (tokenError.code === 'auth/user-not-found') {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'User account not properly configured',
-            details: {}
-          }
-        });
+/**
+ * Logout (current device)
+ * POST /v1/auth/logout
+ */
+router.post('/logout', [
+  body('refreshToken').trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
       }
-      throw tokenError;
-    }
+    });
+  }
+
+  const { refreshToken } = req.body;
 
+  try {
+    await revokeSession(refreshToken);
+
+    // Always succeed so the response does not reveal whether the token was known
     res.json({
       success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Logout from All Devices
+ * POST /v1/auth/logout-all
+ */
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  const userId = req.user.uid;
+
+  try {
+    const revokedSessions = await revokeAllSessions(userId);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
       data: {
-        token: customToken,
-        userId: userId,
-        email: email,
-        name: userData.name,
-        role: userData.role
+        revokedSessions
       }
     });
   } catch (error) {
-    console.error('Doctor login error:', error);
-
-    // Handle any remaining authentication errors
-    if (error.response?.data?.error) {
-      const firebaseError = error.response.data.error;
-      const errorMessage = firebaseError.message || '';
-
-      if (errorMessage.includes('INVALID_PASSWORD') ||
-        errorMessage.includes('EMAIL_NOT_FOUND') ||
-        errorMessage.includes('INVALID_EMAIL') ||
-        errorMessage.includes('USER_DISABLED') ||
-        errorMessage.includes('TOO_MANY_ATTEMPTS_TRY_LATER')) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'Invalid email or password',
-            details: {}
-          }
-        });
+    console.error('Logout all error:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Answer a request that needs to send email when no mail transport is configured
+ */
+function sendMailUnavailable(res) {
+  return res.status(503).json({
+    success: false,
+    error: {
+      code: 'MAIL_UNAVAILABLE',
+      message: 'Email is temporarily unavailable. Please try again later.',
+      details: {}
+    }
+  });
+}
+
+/**
+ * Request Password Reset
+ * POST /v1/auth/password/forgot
+ */
+router.post('/password/forgot', [
+  body('email').isEmail().normalizeEmail()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
       }
+    });
+  }
+
+  const { email } = req.body;
+
+  // Checked before looking the account up, so the answer doesn't depend on whether it exists
+  if (!isMailAvailable()) {
+    return sendMailUnavailable(res);
+  }
+
+  try {
+    await sendPasswordResetEmail(email);
+
+    // Same response whether or not the account exists, to avoid email enumeration
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Confirm Password Reset
+ * POST /v1/auth/password/reset
+ */
+router.post('/password/reset', [
+  body('oobCode').trim().notEmpty(),
+  body('newPassword').isLength({ min: 6 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  const { oobCode, newPassword } = req.body;
+
+  try {
+    const { email } = await confirmPasswordReset(oobCode, newPassword);
+
+    // Sign out every device that was logged in with the old password
+    const userRecord = await auth.getUserByEmail(email);
+    await revokeAllSessions(userRecord.uid);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+
+    if (['INVALID_OOB_CODE', 'EXPIRED_OOB_CODE', 'USER_DISABLED', 'EMAIL_NOT_FOUND'].includes(error.code)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ACTION_CODE',
+          message: 'Password reset link is invalid or has expired',
+          details: {}
+        }
+      });
     }
 
-    if (error.code === 'auth/user-not-found') {
-      return res.status(401).json({
+    if (error.code === 'WEAK_PASSWORD') {
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
+          code: 'VALIDATION_ERROR',
+          message: 'Password is too weak',
           details: {}
         }
       });
@@ -780,17 +641,47 @@ router.post('/doctor/login', [
   }
 }));
 
-module.exports = router;
+/**
+ * Send Email Verification
+ * POST /v1/auth/email/send-verification
+ */
+router.post('/email/send-verification', authenticateToken, asyncHandler(async (req, res) => {
+  const { email, emailVerified } = req.user;
+
+  if (emailVerified) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'ALREADY_VERIFIED',
+        message: 'Email address is already verified',
+        details: {}
+      }
+    });
+  }
+
+  if (!isMailAvailable()) {
+    return sendMailUnavailable(res);
+  }
+
+  try {
+    await sendVerificationEmail(email);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Send verification email error:', error);
+    throw error;
+  }
+}));
 
 /**
- * Admin Sign Up
- * POST /v1/auth/admin/signup
+ * Confirm Email Verification
+ * POST /v1/auth/email/verify
  */
-router.post('/admin/signup', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
-  body('name').trim().notEmpty(),
-  body('phone').optional().trim()
+router.post('/email/verify', [
+  body('oobCode').trim().notEmpty()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -804,52 +695,29 @@ router.post('/admin/signup', [
     });
   }
 
-  const { email, password, name, phone } = req.body;
+  const { oobCode } = req.body;
 
   try {
-    // Create user in Firebase Auth
-    const userRecord = await auth.createUser({
-      email,
-      password,
-      displayName: name,
-      emailVerified: false
-    });
-
-    // Create user document in Firestore
-    const userData = {
-      userId: userRecord.uid,
-      email,
-      name,
-      phone: phone || null,
-      role: 'admin',
-      createdAt: new Date().toISOString()
-    };
-
-    await db.collection('users').doc(userRecord.uid).set(userData);
-
-    // Generate custom token for immediate login
-    const customToken = await auth.createCustomToken(userRecord.uid);
+    const result = await confirmEmailVerification(oobCode);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Admin registered successfully',
+      // Existing access tokens keep email_verified=false until they are refreshed
+      message: 'Email verified successfully. Refresh your access token to apply the change.',
       data: {
-        userId: userRecord.uid,
-        email: userRecord.email,
-        name: userRecord.displayName,
-        role: 'admin',
-        token: customToken
+        email: result.email,
+        emailVerified: result.emailVerified
       }
     });
   } catch (error) {
-    console.error('Admin signup error:', error);
+    console.error('Email verification error:', error);
 
-    if (error.code === 'auth/email-already-exists') {
+    if (['INVALID_OOB_CODE', 'EXPIRED_OOB_CODE', 'USER_DISABLED', 'USER_NOT_FOUND'].includes(error.code)) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Email already exists',
+          code: 'INVALID_ACTION_CODE',
+          message: 'Verification link is invalid or has expired',
           details: {}
         }
       });
@@ -859,14 +727,74 @@ router.post('/admin/signup', [
   }
 }));
 
+// Two-factor enrolment is limited to doctors and admins
+const requireTwoFactorRole = requireRole(...TWO_FACTOR_ROLES);
+
+// Enrolled users confirm adding or replacing a factor with a current one
+const currentFactorValidators = [
+  body('method').optional().isIn(['totp', 'sms', 'recovery']),
+  body('code').optional().trim().notEmpty()
+];
+
 /**
- * Admin Login
- * POST /v1/auth/admin/login
+ * Map two-factor service errors to API responses
+ * @returns {boolean} - true if a response was sent
  */
-router.post('/admin/login', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').notEmpty()
-], asyncHandler(async (req, res) => {
+function handleTwoFactorError(error, res) {
+  const statusByCode = {
+    INVALID_TWO_FACTOR_CODE: 401,
+    INVALID_CHALLENGE: 401,
+    TWO_FACTOR_ALREADY_ENABLED: 409,
+    TWO_FACTOR_SETUP_REQUIRED: 400,
+    SMS_NOT_ENABLED: 400,
+    TWO_FACTOR_CODE_REQUIRED: 403,
+    ACCOUNT_LOCKED: 423,
+    SMS_RATE_LIMITED: 429,
+    SMS_UNAVAILABLE: 503
+  };
+
+  const status = statusByCode[error.code];
+  if (!status) {
+    return false;
+  }
+
+  if (error.details && error.details.retryAfter) {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details || {}
+    }
+  });
+  return true;
+}
+
+/**
+ * Get Two-Factor Status
+ * GET /v1/auth/2fa
+ */
+router.get('/2fa', authenticateForTwoFactorEnrolment, requireTwoFactorRole, asyncHandler(async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.uid);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Start Authenticator App Setup
+ * POST /v1/auth/2fa/totp/setup
+ */
+router.post('/2fa/totp/setup', authenticateForTwoFactorEnrolment, requireTwoFactorRole, currentFactorValidators, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -879,169 +807,329 @@ router.post('/admin/login', [
     });
   }
 
-  const { email, password } = req.body;
+  try {
+    const { method, code } = req.body;
+    const result = await startTotpSetup(req.user.uid, req.user.email, { method, code });
 
-  // STEP 1: Verify password FIRST - this is the primary authentication check
-  const firebaseApiKey = process.env.FIREBASE_WEB_API_KEY;
-  if (!firebaseApiKey) {
-    return res.status(500).json({
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('TOTP setup error:', error);
+    if (handleTwoFactorError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Confirm Authenticator App Setup
+ * POST /v1/auth/2fa/totp/enable
+ */
+router.post('/2fa/totp/enable', authenticateForTwoFactorEnrolment, requireTwoFactorRole, [
+  body('code').trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
       error: {
-        code: 'SERVER_ERROR',
-        message: 'Server configuration error',
-        details: {}
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
       }
     });
   }
 
-  // Authenticate with Firebase Auth REST API - this VERIFIES the password
-  let authResponse;
-  let passwordVerified = false;
-
   try {
-    authResponse = await axios.post(
-      `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${firebaseApiKey}`,
-      {
-        email,
-        password,
-        returnSecureToken: true
-      },
-      {
-        validateStatus: function (status) {
-          return status >= 200 && status < 600;
-        }
+    const { recoveryCodes } = await enableTotp(req.user.uid, req.body.code);
+
+    // A session that could only enrol is replaced by a full one: the code just given is the second factor
+    const tokens = req.user.twoFactorEnrolmentRequired
+      ? await issueLoginTokens(req.user.uid, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      }, null, { twoFactorVerified: true })
+      : null;
+
+    res.json({
+      success: true,
+      message: 'Authenticator app enabled',
+      data: {
+        // Only returned when the first factor is enabled - store them somewhere safe
+        recoveryCodes,
+        ...(tokens || {})
       }
-    );
+    });
+  } catch (error) {
+    console.error('TOTP enable error:', error);
+    if (handleTwoFactorError(error, res)) return;
+    throw error;
+  }
+}));
 
-    if (authResponse.status !== 200) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
-          details: {}
-        }
-      });
-    }
+/**
+ * Start SMS Verification Setup
+ * POST /v1/auth/2fa/sms/setup
+ */
+router.post('/2fa/sms/setup', authenticateToken, requireTwoFactorRole, [
+  body('phone').optional().trim().matches(/^\+[1-9]\d{7,14}$/),
+  ...currentFactorValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Phone number must be in E.164 format (e.g. +919876543210)',
+        details: errors.array()
+      }
+    });
+  }
 
-    if (authResponse.data && authResponse.data.error) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
-          details: {}
-        }
-      });
+  try {
+    // Default to the phone number on the user profile
+    let { phone } = req.body;
+    if (!phone) {
+      const userDoc = await db.collection('users').doc(req.user.uid).get();
+      phone = userDoc.data().phone;
     }
 
-    if (!authResponse.data || !authResponse.data.localId || !authResponse.data.idToken) {
-      return res.status(401).json({
+    if (!phone || !/^\+[1-9]\d{7,14}$/.test(phone)) {
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid email or password',
+          code: 'VALIDATION_ERROR',
+          message: 'A phone number in E.164 format is required',
           details: {}
         }
       });
     }
 
-    passwordVerified = true;
+    const result = await startSmsSetup(req.user.uid, phone, { method: req.body.method, code: req.body.code });
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: result
+    });
+  } catch (error) {
+    console.error('SMS setup error:', error);
+    if (handleTwoFactorError(error, res)) return;
+    throw error;
+  }
+}));
 
-  } catch (authError) {
-    return res.status(401).json({
+/**
+ * Confirm SMS Verification Setup
+ * POST /v1/auth/2fa/sms/enable
+ */
+router.post('/2fa/sms/enable', authenticateToken, requireTwoFactorRole, [
+  body('code').trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
       error: {
-        code: 'UNAUTHORIZED',
-        message: 'Invalid email or password',
-        details: {}
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const { recoveryCodes } = await enableSms(req.user.uid, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'SMS verification enabled',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('SMS enable error:', error);
+    if (handleTwoFactorError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Send SMS Code for Managing Two-Factor Settings
+ * POST /v1/auth/2fa/sms/send
+ */
+router.post('/2fa/sms/send', authenticateToken, requireTwoFactorRole, asyncHandler(async (req, res) => {
+  try {
+    const result = await sendManagementSmsCode(req.user.uid);
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: result
+    });
+  } catch (error) {
+    console.error('SMS code send error:', error);
+    if (handleTwoFactorError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Regenerate Recovery Codes
+ * POST /v1/auth/2fa/recovery-codes
+ */
+router.post('/2fa/recovery-codes', authenticateToken, requireTwoFactorRole, [
+  body('method').isIn(['totp', 'sms', 'recovery']),
+  body('code').trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
       }
     });
   }
 
-  if (!passwordVerified) {
-    return res.status(401).json({
+  try {
+    const result = await regenerateRecoveryCodes(req.user.uid, req.body.method, req.body.code);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    if (handleTwoFactorError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Disable Two-Factor Authentication
+ * POST /v1/auth/2fa/disable
+ */
+router.post('/2fa/disable', authenticateToken, requireTwoFactorRole, [
+  body('method').isIn(['totp', 'sms', 'recovery']),
+  body('code').trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
       error: {
-        code: 'UNAUTHORIZED',
-        message: 'Password verification failed',
-        details: {}
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
       }
     });
   }
 
-  const { localId: userId } = authResponse.data;
+  try {
+    await disableTwoFactor(req.user.uid, req.body.method, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    if (handleTwoFactorError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Send SMS Code for a Login Challenge
+ * POST /v1/auth/2fa/challenge/sms
+ */
+router.post('/2fa/challenge/sms', [
+  body('challengeId').trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
 
-  // STEP 3: Now that password is verified, check user in database
   try {
-    // Verify user exists in Firebase Auth (using Admin SDK)
-    try {
-      await auth.getUser(userId);
-    } catch (adminError) {
-      if (adminError.code === 'auth/user-not-found') {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'User account not properly configured',
-            details: {}
-          }
-        });
+    const result = await sendChallengeSmsCode(req.body.challengeId);
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: result
+    });
+  } catch (error) {
+    console.error('Challenge SMS error:', error);
+    if (handleTwoFactorError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Complete Login with Second Factor
+ * POST /v1/auth/2fa/challenge/verify
+ */
+router.post('/2fa/challenge/verify', [
+  body('challengeId').trim().notEmpty(),
+  body('method').isIn(['totp', 'sms', 'recovery']),
+  body('code').trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
       }
-      throw adminError;
-    }
+    });
+  }
 
-    // Verify user document exists and is an admin
-    const userDoc = await db.collection('users').doc(userId).get();
+  const { challengeId, method, code } = req.body;
 
-    if (!userDoc.exists) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'User account not found',
-          details: {}
-        }
-      });
-    }
+  try {
+    const { userId } = await completeLoginChallenge(challengeId, method, code, { ipAddress: req.ip });
 
+    const userRecord = await auth.getUser(userId);
+    const userDoc = await db.collection('users').doc(userId).get();
     const userData = userDoc.data();
 
-    if (userData.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Invalid user role. Admin access required.',
-          details: {}
-        }
-      });
-    }
-
-    // Generate custom token for client to exchange for ID token
-    let customToken;
-    try {
-      customToken = await auth.createCustomToken(userId);
-    } catch (tokenError) {
-      console.error('Error creating custom token:', tokenError);
-      throw tokenError;
-    }
+    // Second factor passed - now issue the custom token and a session
+    const tokens = await issueLoginTokens(userId, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    }, null, { twoFactorVerified: true });
 
     res.json({
       success: true,
       data: {
-        token: customToken,
+        ...tokens,
         userId: userId,
-        email: email,
+        email: userRecord.email,
         name: userData.name,
         role: userData.role
       }
     });
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('Two-factor login error:', error);
+    if (handleTwoFactorError(error, res)) return;
     throw error;
   }
 }));
 
 module.exports = router;
-
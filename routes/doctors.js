@@ -3,6 +3,31 @@ const { body, query, validationResult } = require('express-validator');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { db } = require('../config/firebase');
+const {
+  isDoctorVerified,
+  generateCredentialUploadUrl,
+  addCredentialDocument,
+  getDoctorVerification
+} = require('../services/doctorVerification');
+const { generatePhotoUploadUrl, setProfilePhoto, removeProfilePhoto } = require('../services/profilePhoto');
+
+// HTTP status for profile photo errors
+const PHOTO_ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  UPLOAD_NOT_FOUND: 400,
+  UNSUPPORTED_FILE_TYPE: 400,
+  NOT_FOUND: 404,
+  FILE_TOO_LARGE: 413
+};
+
+// HTTP status for credential document errors
+const CREDENTIAL_ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  UPLOAD_NOT_FOUND: 400,
+  UNSUPPORTED_FILE_TYPE: 400,
+  NOT_FOUND: 404,
+  FILE_TOO_LARGE: 413
+};
 
 const router = express.Router();
 
@@ -37,7 +62,8 @@ router.get('/', [
     }
 
     const snapshot = await query.get();
-    let doctors = snapshot.docs.map(doc => {
+    // Only doctors approved by an admin are listed
+    let doctors = snapshot.docs.filter(doc => isDoctorVerified(doc.data())).map(doc => {
       const data = doc.data();
       return {
         doctorId: doc.id,
@@ -49,7 +75,8 @@ router.get('/', [
         yearsOfExperience: data.yearsOfExperience,
         rating: data.rating || 0,
         reviewCount: data.reviewCount || 0,
-        profileImageUrl: data.profileImageUrl || null
+        profileImageUrl: data.profileImageUrl || null,
+        profileImages: data.profileImages || null
       };
     });
 
@@ -77,6 +104,246 @@ router.get('/', [
   }
 }));
 
+/**
+ * Get Own Verification Status
+ * GET /v1/doctors/me/verification
+ */
+router.get('/me/verification', authenticateToken, requireRole('doctor'), asyncHandler(async (req, res) => {
+  try {
+    const verification = await getDoctorVerification(req.user.uid);
+
+    res.json({
+      success: true,
+      data: verification
+    });
+  } catch (error) {
+    console.error('Error fetching verification status:', error);
+
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: error.message,
+          details: {}
+        }
+      });
+    }
+
+    throw error;
+  }
+}));
+
+/**
+ * Get Credential Document Upload URL
+ * POST /v1/doctors/me/credentials/upload-url
+ */
+router.post('/me/credentials/upload-url', authenticateToken, requireRole('doctor'), [
+  body('fileName').trim().notEmpty(),
+  body('fileType').trim().isIn(['pdf', 'png', 'jpg', 'jpeg'])
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  const { fileName, fileType } = req.body;
+
+  try {
+    const result = await generateCredentialUploadUrl(req.user.uid, fileName, fileType);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error generating credential upload URL:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Submit Uploaded Credential Document
+ * POST /v1/doctors/me/credentials
+ */
+router.post('/me/credentials', authenticateToken, requireRole('doctor'), [
+  body('fileKey').trim().notEmpty(),
+  body('fileName').trim().notEmpty(),
+  body('documentType').optional().isIn(['medical_license', 'degree', 'registration_certificate', 'government_id', 'other'])
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  const { fileKey, fileName, documentType = 'medical_license' } = req.body;
+
+  try {
+    const result = await addCredentialDocument(req.user.uid, { fileKey, fileName, documentType });
+
+    res.status(201).json({
+      success: true,
+      message: 'Credential document submitted for review',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error submitting credential document:', error);
+
+    const status = CREDENTIAL_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: {}
+        }
+      });
+    }
+
+    throw error;
+  }
+}));
+
+/**
+ * Get Profile Photo Upload URL
+ * POST /v1/doctors/me/photo/upload-url
+ */
+router.post('/me/photo/upload-url', authenticateToken, requireRole('doctor'), [
+  body('fileType').trim().isIn(['jpg', 'jpeg', 'png', 'webp']),
+  body('fileSize').isInt({ min: 1 }).toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  const { fileType, fileSize } = req.body;
+
+  try {
+    const result = await generatePhotoUploadUrl(req.user.uid, fileType, fileSize);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error generating profile photo upload URL:', error);
+
+    const status = PHOTO_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: {}
+        }
+      });
+    }
+
+    throw error;
+  }
+}));
+
+/**
+ * Set (or Replace) Profile Photo from an Uploaded File
+ * PUT /v1/doctors/me/photo
+ */
+router.put('/me/photo', authenticateToken, requireRole('doctor'), [
+  body('fileKey').trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const result = await setProfilePhoto(req.user.uid, req.body.fileKey);
+
+    res.json({
+      success: true,
+      message: 'Profile photo updated',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error setting profile photo:', error);
+
+    const status = PHOTO_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: {}
+        }
+      });
+    }
+
+    throw error;
+  }
+}));
+
+/**
+ * Remove Profile Photo
+ * DELETE /v1/doctors/me/photo
+ */
+router.delete('/me/photo', authenticateToken, requireRole('doctor'), asyncHandler(async (req, res) => {
+  try {
+    await removeProfilePhoto(req.user.uid);
+
+    res.json({
+      success: true,
+      message: 'Profile photo removed'
+    });
+  } catch (error) {
+    console.error('Error removing profile photo:', error);
+
+    const status = PHOTO_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: {}
+        }
+      });
+    }
+
+    throw error;
+  }
+}));
+
 /**
  * Get Doctor Details
  * GET /v1/doctors/:doctorId
@@ -87,7 +354,8 @@ router.get('/:doctorId', asyncHandler(async (req, res) => {
   try {
     const doctorDoc = await db.collection('doctors').doc(doctorId).get();
 
-    if (!doctorDoc.exists) {
+    // Doctors awaiting verification are hidden from patients
+    if (!doctorDoc.exists || !isDoctorVerified(doctorDoc.data())) {
       return res.status(404).json({
         success: false,
         error: {
@@ -113,6 +381,7 @@ router.get('/:doctorId', asyncHandler(async (req, res) => {
         rating: doctorData.rating || 0,
         reviewCount: doctorData.reviewCount || 0,
         profileImageUrl: doctorData.profileImageUrl || null,
+        profileImages: doctorData.profileImages || null,
         availability: doctorData.availability || {
           monday: { start: null, end: null, available: false },
           tuesday: { start: null, end: null, available: false },
@@ -241,7 +510,7 @@ router.get('/:doctorId/slots', [
     // Get doctor availability
     const doctorDoc = await db.collection('doctors').doc(doctorId).get();
 
-    if (!doctorDoc.exists) {
+    if (!doctorDoc.exists || !isDoctorVerified(doctorDoc.data())) {
       return res.status(404).json({
         success: false,
         error: {
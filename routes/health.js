@@ -0,0 +1,151 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole, requireVerifiedEmail, requireVerifiedDoctor } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { listAnalytes, getAnalyteTrend, resolveQrScope } = require('../services/trends');
+
+const router = express.Router();
+
+// HTTP status for trend service errors
+const HEALTH_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  ANALYTE_NOT_FOUND: 404
+};
+
+/**
+ * Map trend service errors to API responses
+ * @returns {boolean} - true if a response was sent
+ */
+function handleHealthError(error, res) {
+  const status = HEALTH_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: {}
+    }
+  });
+  return true;
+}
+
+const trendValidators = [
+  query('analyte').trim().notEmpty().withMessage('analyte is required'),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+/**
+ * Send the 400 response for invalid query parameters
+ * @returns {boolean} - true if a response was sent
+ */
+function rejectInvalidQuery(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid query parameters',
+      details: errors.array()
+    }
+  });
+  return true;
+}
+
+/**
+ * List Analytes
+ * GET /v1/health/analytes
+ * Every lab test with at least one value in the user's reports.
+ */
+router.get('/analytes', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const analytes = await listAnalytes(req.user.uid);
+
+    res.json({
+      success: true,
+      data: { analytes }
+    });
+  } catch (error) {
+    console.error('Error listing analytes:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Get Analyte Trend
+ * GET /v1/health/trends?analyte=hba1c&from=&to=
+ * direction: rising | falling | stable | insufficient_data
+ */
+router.get('/trends', authenticateToken, trendValidators, asyncHandler(async (req, res) => {
+  if (rejectInvalidQuery(req, res)) return;
+
+  const { analyte, from, to } = req.query;
+
+  try {
+    const trend = await getAnalyteTrend(req.user.uid, analyte, { from, to });
+
+    res.json({
+      success: true,
+      data: trend
+    });
+  } catch (error) {
+    console.error('Error fetching analyte trend:', error);
+    if (handleHealthError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * List Analytes in Reports Shared by QR Code (doctor access)
+ * GET /v1/health/qr/:qrToken/analytes
+ */
+router.get('/qr/:qrToken/analytes', authenticateToken, requireRole('doctor'), requireVerifiedDoctor, requireVerifiedEmail, asyncHandler(async (req, res) => {
+  try {
+    const { userId, reportIds } = await resolveQrScope(req.params.qrToken);
+    const analytes = await listAnalytes(userId, { reportIds });
+
+    res.json({
+      success: true,
+      data: { analytes }
+    });
+  } catch (error) {
+    console.error('Error listing analytes by QR token:', error);
+    if (handleHealthError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Get Analyte Trend across Reports Shared by QR Code (doctor access)
+ * GET /v1/health/qr/:qrToken/trends?analyte=hba1c
+ * Only the reports included in the QR code are used.
+ */
+router.get('/qr/:qrToken/trends', authenticateToken, requireRole('doctor'), requireVerifiedDoctor, requireVerifiedEmail, trendValidators, asyncHandler(async (req, res) => {
+  if (rejectInvalidQuery(req, res)) return;
+
+  const { analyte, from, to } = req.query;
+
+  try {
+    const { userId, reportIds } = await resolveQrScope(req.params.qrToken);
+    const trend = await getAnalyteTrend(userId, analyte, { from, to, reportIds });
+
+    res.json({
+      success: true,
+      data: trend
+    });
+  } catch (error) {
+    console.error('Error fetching analyte trend by QR token:', error);
+    if (handleHealthError(error, res)) return;
+    throw error;
+  }
+}));
+
+module.exports = router;
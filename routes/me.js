@@ -0,0 +1,328 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getProfile, updateProfile, changeEmail, changePassword } = require('../services/profile');
+const { issueLoginTokens } = require('../services/login');
+const {
+  requestDataExport,
+  getDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getAccountDeletionStatus
+} = require('../services/account');
+
+const router = express.Router();
+
+// HTTP status for profile / account service errors
+const PROFILE_ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  INVALID_PASSWORD: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  DELETION_ALREADY_REQUESTED: 409,
+  ACCOUNT_LOCKED: 423
+};
+
+/**
+ * Map profile / account service errors to API responses
+ * @returns {boolean} - true if a response was sent
+ */
+function handleProfileError(error, res) {
+  if (error.code === 'auth/email-already-exists') {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Email already exists',
+        details: {}
+      }
+    });
+    return true;
+  }
+
+  const status = PROFILE_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+
+  if (error.code === 'ACCOUNT_LOCKED') {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details || {}
+    }
+  });
+  return true;
+}
+
+/**
+ * Get Own Profile
+ * GET /v1/me
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const profile = await getProfile(req.user.uid);
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    if (handleProfileError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Update Own Profile
+ * PATCH /v1/me
+ * Patients: name, phone, dateOfBirth. Doctors: name, phone, specialization, bio, yearsOfExperience. Admins: name, phone.
+ */
+router.patch('/', authenticateToken, [
+  body('name').optional().trim().notEmpty(),
+  body('phone').optional({ nullable: true }).trim(),
+  body('dateOfBirth').optional({ nullable: true }).isISO8601(),
+  body('specialization').optional().trim().notEmpty(),
+  body('bio').optional().trim(),
+  body('yearsOfExperience').optional().isInt({ min: 0 }).toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  // email and password have dedicated endpoints that require the current password
+  const { email, password, role, ...changes } = req.body;
+  if (email !== undefined || password !== undefined || role !== undefined) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Use /v1/me/email or /v1/me/password to change credentials; roles are managed by admins',
+        details: {}
+      }
+    });
+  }
+
+  try {
+    const profile = await updateProfile(req.user.uid, changes);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    if (handleProfileError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Change Email Address
+ * POST /v1/me/email
+ */
+router.post('/email', authenticateToken, [
+  body('currentPassword').notEmpty(),
+  body('newEmail').isEmail().normalizeEmail()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  const { currentPassword, newEmail } = req.body;
+
+  try {
+    const result = await changeEmail(req.user.uid, currentPassword, newEmail, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Email updated. Please verify your new email address.',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error changing email:', error);
+    if (handleProfileError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Change Password
+ * POST /v1/me/password
+ * Signs out all other devices and returns a fresh session for this one.
+ */
+router.post('/password', authenticateToken, [
+  body('currentPassword').notEmpty(),
+  body('newPassword').isLength({ min: 6 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    await changePassword(req.user.uid, currentPassword, newPassword, req.ip);
+
+    // The new session keeps the second-factor verification of the one that changed the password
+    const tokens = await issueLoginTokens(req.user.uid, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    }, null, { twoFactorVerified: req.user.twoFactorVerified });
+
+    res.json({
+      success: true,
+      message: 'Password changed. Other devices have been signed out.',
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    if (handleProfileError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Request Personal Data Export
+ * POST /v1/me/export
+ * The archive is built in the background; poll GET /v1/me/export/:exportId for the download URL.
+ */
+router.post('/export', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const result = await requestDataExport(req.user.uid);
+
+    res.status(202).json({
+      success: true,
+      message: 'Data export started',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error requesting data export:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Get Personal Data Export Status
+ * GET /v1/me/export/:exportId
+ */
+router.get('/export/:exportId', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const result = await getDataExport(req.user.uid, req.params.exportId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching data export:', error);
+    if (handleProfileError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Get Account Deletion Status
+ * GET /v1/me/delete
+ */
+router.get('/delete', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const status = await getAccountDeletionStatus(req.user.uid);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error fetching account deletion status:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Request Account Deletion
+ * POST /v1/me/delete
+ * The account and its data are permanently removed after ACCOUNT_DELETION_GRACE_DAYS.
+ */
+router.post('/delete', authenticateToken, [
+  body('currentPassword').notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const result = await requestAccountDeletion(req.user.uid, req.body.currentPassword, req.ip);
+
+    res.status(202).json({
+      success: true,
+      message: 'Account scheduled for deletion',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    if (handleProfileError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Cancel Account Deletion
+ * POST /v1/me/delete/cancel
+ */
+router.post('/delete/cancel', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    await cancelAccountDeletion(req.user.uid);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    if (handleProfileError(error, res)) return;
+    throw error;
+  }
+}));
+
+module.exports = router;
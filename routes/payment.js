@@ -1,6 +1,6 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { db } = require('../config/firebase');
 const { createOrder, verifySignature } = require('../services/razorpay');
@@ -11,7 +11,7 @@ const router = express.Router();
  * Create Razorpay Order
  * POST /v1/payment/process
  */
-router.post('/process', authenticateToken, [
+router.post('/process', authenticateToken, requireVerifiedEmail, [
   body('appointmentId').trim().notEmpty(),
   body('amount').isFloat({ min: 1 }),
   body('currency').optional().trim().default('INR')
@@ -114,7 +114,7 @@ router.post('/process', authenticateToken, [
  * Confirm Razorpay Payment
  * POST /v1/payment/confirm
  */
-router.post('/confirm', authenticateToken, [
+router.post('/confirm', authenticateToken, requireVerifiedEmail, [
   body('orderId').trim().notEmpty(),
   body('paymentId').trim().notEmpty(),
   body('signature').trim().notEmpty()
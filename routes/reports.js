@@ -1,15 +1,120 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireRole, requireVerifiedEmail, requireVerifiedDoctor } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { db, admin } = require('../config/firebase');
-const { generateUploadUrl, generateDownloadUrl, exportReports } = require('../services/storage');
-const { processDocumentAsync } = require('../services/ocr');
+const { generateDownloadUrl, exportReports } = require('../services/storage');
+const { generateReportUploadUrl, isStagedReportUpload, verifyReportUpload, storeReportUpload, holdStagedUpload } = require('../services/reportUpload');
+const { queueReportProcessing, getProcessingStatus, retryReportProcessing } = require('../services/reportPipeline');
+const { isScanClean } = require('../services/scanner');
 const { generateQRToken, validateQRToken, generateQRCodeImage, getReportsByQRToken } = require('../services/qr');
 const { generateSummaryForReports, invalidateUserCache } = require('../services/ai');
+const { searchReports } = require('../services/search');
+const { SUGGESTED_FIELDS } = require('../services/metadataSuggestions');
+const { getTaxonomy, findCategory, resolveCategoryName } = require('../services/categories');
+const { getPreviewUrls, withPreviewThumbnails } = require('../services/reportPreviews');
+const {
+  listGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  assignTags,
+  moveToFolder,
+  resolveReportSelection
+} = require('../services/reportGroups');
+const {
+  TRASH_RETENTION_DAYS,
+  updateReport,
+  trashReport,
+  restoreReport,
+  listTrash,
+  purgeReport,
+  getReportPages,
+  getReportFindings,
+  getSuggestedMetadata,
+  acceptSuggestedMetadata,
+  findDuplicateReport,
+  listSuspectedDuplicates
+} = require('../services/reports');
 
 const router = express.Router();
 
+// HTTP status for report service errors
+const REPORT_ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  UNKNOWN_CATEGORY: 400,
+  UPLOAD_NOT_FOUND: 400,
+  UNSUPPORTED_FILE_TYPE: 400,
+  FILE_TYPE_MISMATCH: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  EMPTY_SELECTION: 404,
+  NOT_IN_TRASH: 409,
+  NAME_CONFLICT: 409,
+  LIMIT_REACHED: 409,
+  PROCESSING_IN_PROGRESS: 409,
+  NO_SUGGESTIONS: 409,
+  FILE_QUARANTINED: 409,
+  FILE_TOO_LARGE: 413
+};
+
+/**
+ * Map report service errors to API responses
+ * @returns {boolean} - true if a response was sent
+ */
+function handleReportError(error, res) {
+  const status = REPORT_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details || {}
+    }
+  });
+  return true;
+}
+
+// Export and QR sharing take explicit reportIds, or every active report in a tag or folder
+const reportSelectionValidators = [
+  body('reportIds').optional().isArray({ min: 1 }),
+  body('reportIds.*').isString(),
+  body('tagId').optional().isString().notEmpty(),
+  body('folderId').optional().isString().notEmpty(),
+  body().custom(({ reportIds, tagId, folderId }) => (
+    [reportIds, tagId, folderId].filter(value => value !== undefined).length === 1
+  )).withMessage('Send exactly one of reportIds, tagId or folderId')
+];
+
+// Tag and folder names and colours
+const groupValidators = [
+  body('color').optional({ nullable: true }).matches(/^#[0-9a-fA-F]{6}$/)
+];
+
+/**
+ * Error body for a report whose file hasn't passed the malware scan
+ * @param {string} reportId
+ * @param {Object} reportData - reports document data
+ * @returns {Object}
+ */
+function scanBlockedResponse(reportId, reportData) {
+  const infected = reportData.scanStatus === 'infected';
+  return {
+    success: false,
+    error: {
+      code: infected ? 'FILE_QUARANTINED' : 'SCAN_PENDING',
+      message: infected
+        ? `Report ${reportId} failed the malware scan and has been quarantined`
+        : `Report ${reportId} is still being scanned. Please try again shortly.`,
+      details: { reportId, scanStatus: reportData.scanStatus }
+    }
+  };
+}
+
 /**
  * Get Firebase Storage Upload URL
  * POST /v1/reports/upload-url
@@ -34,29 +139,15 @@ router.post('/upload-url', authenticateToken, [
   const { fileName, fileType, fileSize } = req.body;
   const userId = req.user.uid;
 
-  // Generate unique file key
-  const timestamp = Date.now();
-  const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
-  const fileKey = `reports/${userId}/${timestamp}_${sanitizedFileName}`;
-
-  // Determine content type
-  const contentTypes = {
-    pdf: 'application/pdf',
-    image: 'image/jpeg',
-    png: 'image/png',
-    jpg: 'image/jpeg',
-    jpeg: 'image/jpeg'
-  };
-  const contentType = contentTypes[fileType.toLowerCase()] || fileType || 'application/octet-stream';
-
   try {
-    const result = await generateUploadUrl(fileKey, contentType);
+    const result = await generateReportUploadUrl(userId, fileName, fileType, fileSize);
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
     console.error('Error generating upload URL:', error);
+    if (handleReportError(error, res)) return;
     throw error;
   }
 }));
@@ -64,16 +155,19 @@ router.post('/upload-url', authenticateToken, [
 /**
  * Submit Report Metadata
  * POST /v1/reports
+ * title and reportDate may be left out: the file name and upload date are stored as placeholders
+ * until the owner edits them or accepts the suggestions from GET /:reportId/suggested-metadata.
  */
 router.post('/', authenticateToken, [
   body('fileKey').trim().notEmpty(),
   body('fileName').trim().notEmpty(),
   body('fileType').trim().notEmpty(),
-  body('title').trim().notEmpty(),
-  body('reportDate').isISO8601(),
+  body('title').optional().trim().notEmpty(),
+  body('reportDate').optional().isISO8601(),
   body('category').optional().trim(),
   body('doctorName').optional().trim(),
-  body('clinicName').optional().trim()
+  body('clinicName').optional().trim(),
+  body('allowDuplicate').optional().isBoolean().toBoolean()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -87,11 +181,11 @@ router.post('/', authenticateToken, [
     });
   }
 
-  const { fileKey, fileName, fileType, title, reportDate, category, doctorName, clinicName } = req.body;
+  const { fileKey, fileName, fileType, title, reportDate, category, doctorName, clinicName, allowDuplicate } = req.body;
   const userId = req.user.uid;
 
-  // Verify fileKey belongs to user
-  if (!fileKey.startsWith(`reports/${userId}/`)) {
+  // Verify fileKey is an upload of this user (never an already stored report file)
+  if (!isStagedReportUpload(userId, fileKey)) {
     return res.status(403).json({
       success: false,
       error: {
@@ -103,6 +197,35 @@ router.post('/', authenticateToken, [
   }
 
   try {
+    // Stored under its taxonomy name so category filters match; checked before the upload is inspected
+    const categoryName = await resolveCategoryName(category);
+
+    // Make sure the file was actually uploaded and is what the client declared
+    const upload = await verifyReportUpload(fileKey, fileType);
+
+    // The same file uploaded twice doubles up AI summaries - ask before keeping both.
+    // The staged upload is kept for a while so the same fileKey can be submitted again.
+    const duplicate = await findDuplicateReport(userId, upload.sha256);
+    if (duplicate && !allowDuplicate) {
+      const heldUntil = await holdStagedUpload(fileKey);
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_REPORT',
+          message: 'This file has already been uploaded. Submit again with the same fileKey and allowDuplicate: true to keep both.',
+          details: {
+            existingReportId: duplicate.reportId,
+            existingTitle: duplicate.title,
+            fileKey,
+            heldUntil
+          }
+        }
+      });
+    }
+
+    // The verified bytes under storedKey are the report's file from here on
+    const storedKey = await storeReportUpload(fileKey, upload);
+
     // Generate report ID
     const reportRef = db.collection('reports').doc();
     const reportId = reportRef.id;
@@ -114,7 +237,7 @@ router.post('/', authenticateToken, [
     }
 
     // Parse reportDate from ISO string to Firestore Timestamp
-    const reportDateTimestamp = admin.firestore.Timestamp.fromDate(new Date(reportDate));
+    const reportDateTimestamp = admin.firestore.Timestamp.fromDate(reportDate ? new Date(reportDate) : new Date());
     const uploadDateTimestamp = admin.firestore.FieldValue.serverTimestamp();
     const createdAtTimestamp = admin.firestore.FieldValue.serverTimestamp();
 
@@ -122,17 +245,37 @@ router.post('/', authenticateToken, [
     const reportData = {
       reportId,
       userId,
-      fileKey,
+      fileKey: storedKey,
       fileName,
       fileType: fileType.toLowerCase(),
-      title,
+      fileSize: upload.fileSize,
+      contentType: upload.contentType,
+      sha256: upload.sha256,
+      duplicateOf: duplicate ? duplicate.reportId : null,
+      title: title || fileName.replace(/\.[^.]+$/, ''),
       reportDate: reportDateTimestamp,
-      category: category || 'General',
+      category: categoryName,
+      // Set with POST /v1/reports/tags/assign and /folders/move
+      tagIds: [],
+      folderId: null,
+      // user | default; the classifier replaces a default category once the OCR text is in
+      categorySource: category ? 'user' : 'default',
       doctorName: doctorName || null,
       clinicName: clinicName || null,
+      // Fields the patient left blank; metadata suggestions can fill them once OCR has run
+      metadataPlaceholders: [
+        !title && 'title',
+        !reportDate && 'reportDate',
+        !category && 'category',
+        !doctorName && 'doctorName',
+        !clinicName && 'clinicName'
+      ].filter(Boolean),
       uploadDate: uploadDateTimestamp,
       extractedText: null,
-      storageUrl: `https://storage.googleapis.com/${bucketName}/${fileKey}`,
+      storageUrl: `https://storage.googleapis.com/${bucketName}/${storedKey}`,
+      isDeleted: false,
+      // Set by the malware scan in the processing job; downloads and QR sharing wait for 'clean'
+      scanStatus: 'pending',
       createdAt: createdAtTimestamp
     };
 
@@ -143,10 +286,10 @@ router.post('/', authenticateToken, [
       console.error(`Error invalidating cache for user ${userId}:`, err);
     });
 
-    // Process OCR asynchronously (don't wait for it)
-    processDocumentAsync(reportId, fileKey).catch(err => {
-      console.error(`Error processing OCR for report ${reportId}:`, err);
-    });
+    // Malware scan and OCR run on the job queue; GET /:reportId/processing reports progress
+    const job = await queueReportProcessing(reportId, storedKey);
+    reportData.processingStatus = 'queued';
+    reportData.processingJobId = job.jobId;
 
     res.status(201).json({
       success: true,
@@ -155,13 +298,25 @@ router.post('/', authenticateToken, [
     });
   } catch (error) {
     console.error('Error submitting report:', error);
+    if (handleReportError(error, res)) return;
     throw error;
   }
 }));
 
+/**
+ * Upload time of a report in milliseconds, for sorting (0 if it has none)
+ * @param {Object} report - reports document data
+ * @returns {number}
+ */
+function uploadTime(report) {
+  return report.uploadDate && typeof report.uploadDate.toMillis === 'function' ? report.uploadDate.toMillis() : 0;
+}
+
 /**
  * Get User Reports
  * GET /v1/reports
+ * Each report has a `preview` object with a signed thumbnail URL (page previews are on the details endpoint).
+ * With `search`, results are ranked by relevance and each report has a `search` object with its score and snippets.
  */
 router.get('/', authenticateToken, [
   query('page').optional().isInt({ min: 1 }),
@@ -170,7 +325,9 @@ router.get('/', authenticateToken, [
   query('fileType').optional().trim(),
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
-  query('search').optional().trim()
+  query('search').optional().trim(),
+  query('tagId').optional().trim().notEmpty(),
+  query('folderId').optional().trim().notEmpty()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -187,18 +344,42 @@ router.get('/', authenticateToken, [
   const userId = req.user.uid;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
-  const { category, fileType, startDate, endDate, search } = req.query;
+  const { category, fileType, startDate, endDate, search, tagId, folderId } = req.query;
 
   try {
+    // "blood tests" and "CBC" both filter on Blood Test; an unknown category simply matches nothing
+    const matchedCategory = category ? findCategory(category, await getTaxonomy()) : null;
+    const categoryFilter = matchedCategory ? matchedCategory.name : category;
+
+    if (search) {
+      // Ranked full-text search over OCR text and metadata, with highlighted snippets
+      const result = await searchReports(userId, search, {
+        page,
+        limit,
+        filters: { category: categoryFilter, fileType, startDate, endDate, tagId, folderId }
+      });
+
+      return res.json({
+        success: true,
+        data: { ...result, reports: await withPreviewThumbnails(result.reports) }
+      });
+    }
+
     let query = db.collection('reports').where('userId', '==', userId);
 
     // Apply filters
     if (category) {
-      query = query.where('category', '==', category);
+      query = query.where('category', '==', categoryFilter);
     }
     if (fileType) {
       query = query.where('fileType', '==', fileType.toLowerCase());
     }
+    if (tagId) {
+      query = query.where('tagIds', 'array-contains', tagId);
+    }
+    if (folderId) {
+      query = query.where('folderId', '==', folderId);
+    }
     if (startDate) {
       query = query.where('reportDate', '>=', startDate);
     }
@@ -206,39 +387,17 @@ router.get('/', authenticateToken, [
       query = query.where('reportDate', '<=', endDate);
     }
 
-    // Get total count (before pagination)
+    // Trashed reports are dropped in memory: reports from before the trash have no isDeleted
+    // field, and a where() on it would hide them. Newest upload first, then paginated.
     const allDocs = await query.get();
-    const total = allDocs.size;
-
-    // Apply ordering and pagination
-    query = query.orderBy('uploadDate', 'desc');
+    const activeReports = allDocs.docs
+      .map(doc => ({ ...doc.data() }))
+      .filter(report => !report.isDeleted)
+      .sort((a, b) => uploadTime(b) - uploadTime(a));
+    const total = activeReports.length;
 
-    // Apply offset for pagination
     const offset = (page - 1) * limit;
-    if (offset > 0 && allDocs.docs.length > 0) {
-      const offsetSnapshot = await query.limit(offset).get();
-      if (!offsetSnapshot.empty) {
-        const lastDoc = offsetSnapshot.docs[offsetSnapshot.docs.length - 1];
-        query = query.startAfter(lastDoc);
-      }
-    }
-    query = query.limit(limit);
-
-    const snapshot = await query.get();
-    let reports = snapshot.docs.map(doc => ({ ...doc.data() }));
-
-    // Apply search filter if provided (client-side filtering for text search)
-    if (search) {
-      const searchLower = search.toLowerCase();
-      reports = reports.filter(report => {
-        return (
-          report.title?.toLowerCase().includes(searchLower) ||
-          report.doctorName?.toLowerCase().includes(searchLower) ||
-          report.clinicName?.toLowerCase().includes(searchLower) ||
-          report.category?.toLowerCase().includes(searchLower)
-        );
-      });
-    }
+    const reports = await withPreviewThumbnails(activeReports.slice(offset, offset + limit));
 
     res.json({
       success: true,
@@ -255,9 +414,412 @@ router.get('/', authenticateToken, [
   }
 }));
 
+/**
+ * List Tags
+ * GET /v1/reports/tags
+ * Each with its reportCount (reports in the trash are not counted).
+ */
+router.get('/tags', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const tags = await listGroups('tag', req.user.uid);
+
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    console.error('Error fetching report tags:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Create Tag
+ * POST /v1/reports/tags
+ * Body: { name, color?: '#RRGGBB' } - names are unique per user, ignoring case
+ */
+router.post('/tags', authenticateToken, [
+  body('name').trim().isLength({ min: 1, max: 60 }),
+  ...groupValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const tag = await createGroup('tag', req.user.uid, { name: req.body.name, color: req.body.color });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created',
+      data: tag
+    });
+  } catch (error) {
+    console.error('Error creating report tag:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Tag Reports in Bulk
+ * POST /v1/reports/tags/assign
+ * Body: { reportIds, add?: [tagId], remove?: [tagId] }
+ */
+router.post('/tags/assign', authenticateToken, [
+  body('reportIds').isArray({ min: 1, max: 500 }),
+  body('reportIds.*').isString(),
+  body('add').optional().isArray(),
+  body('add.*').isString(),
+  body('remove').optional().isArray(),
+  body('remove.*').isString(),
+  body().custom(({ add, remove }) => (add || []).length + (remove || []).length > 0)
+    .withMessage('Send tags to add or remove')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  const { reportIds, add, remove } = req.body;
+
+  try {
+    const result = await assignTags(req.user.uid, { reportIds, add, remove });
+
+    res.json({
+      success: true,
+      message: 'Report tags updated',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error assigning report tags:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Update Tag
+ * PATCH /v1/reports/tags/:tagId
+ */
+router.patch('/tags/:tagId', authenticateToken, [
+  body('name').optional().trim().isLength({ min: 1, max: 60 }),
+  ...groupValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const tag = await updateGroup('tag', req.user.uid, req.params.tagId, { name: req.body.name, color: req.body.color });
+
+    res.json({
+      success: true,
+      message: 'Tag updated',
+      data: tag
+    });
+  } catch (error) {
+    console.error('Error updating report tag:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Delete Tag
+ * DELETE /v1/reports/tags/:tagId
+ * The reports keep everything else; only this tag is removed from them.
+ */
+router.delete('/tags/:tagId', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const result = await deleteGroup('tag', req.user.uid, req.params.tagId);
+
+    res.json({
+      success: true,
+      message: 'Tag deleted',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error deleting report tag:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * List Folders
+ * GET /v1/reports/folders
+ * Each with its reportCount (reports in the trash are not counted).
+ */
+router.get('/folders', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const folders = await listGroups('folder', req.user.uid);
+
+    res.json({
+      success: true,
+      data: folders
+    });
+  } catch (error) {
+    console.error('Error fetching report folders:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Create Folder
+ * POST /v1/reports/folders
+ * Body: { name, color?: '#RRGGBB' } - names are unique per user, ignoring case
+ */
+router.post('/folders', authenticateToken, [
+  body('name').trim().isLength({ min: 1, max: 60 }),
+  ...groupValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const folder = await createGroup('folder', req.user.uid, { name: req.body.name, color: req.body.color });
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created',
+      data: folder
+    });
+  } catch (error) {
+    console.error('Error creating report folder:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Move Reports to a Folder
+ * POST /v1/reports/folders/move
+ * Body: { reportIds, folderId } - folderId null takes the reports out of their folder
+ */
+router.post('/folders/move', authenticateToken, [
+  body('reportIds').isArray({ min: 1, max: 500 }),
+  body('reportIds.*').isString(),
+  body('folderId').exists().custom(value => value === null || (typeof value === 'string' && value.length > 0))
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  const { reportIds, folderId } = req.body;
+
+  try {
+    const result = await moveToFolder(req.user.uid, { reportIds, folderId });
+
+    res.json({
+      success: true,
+      message: folderId ? 'Reports moved to folder' : 'Reports removed from their folder',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error moving reports to folder:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Update Folder
+ * PATCH /v1/reports/folders/:folderId
+ */
+router.patch('/folders/:folderId', authenticateToken, [
+  body('name').optional().trim().isLength({ min: 1, max: 60 }),
+  ...groupValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const folder = await updateGroup('folder', req.user.uid, req.params.folderId, { name: req.body.name, color: req.body.color });
+
+    res.json({
+      success: true,
+      message: 'Folder updated',
+      data: folder
+    });
+  } catch (error) {
+    console.error('Error updating report folder:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Delete Folder
+ * DELETE /v1/reports/folders/:folderId
+ * The reports are kept and simply leave the folder.
+ */
+router.delete('/folders/:folderId', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const result = await deleteGroup('folder', req.user.uid, req.params.folderId);
+
+    res.json({
+      success: true,
+      message: 'Folder deleted',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error deleting report folder:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * List Report Categories
+ * GET /v1/reports/categories
+ * The taxonomy accepted by POST /v1/reports, PATCH /v1/reports/:reportId and the category filter.
+ */
+router.get('/categories', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const categories = await getTaxonomy();
+
+    res.json({
+      success: true,
+      data: categories.map(({ categoryId, name, aliases }) => ({ categoryId, name, aliases }))
+    });
+  } catch (error) {
+    console.error('Error fetching report categories:', error);
+    throw error;
+  }
+}));
+
+/**
+ * List Suspected Duplicate Reports
+ * GET /v1/reports/duplicates
+ * Exact duplicates (same file content) and near-duplicates (similar OCR text).
+ */
+router.get('/duplicates', authenticateToken, [
+  query('threshold').optional().isFloat({ min: 0.5, max: 1 }).toFloat()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid query parameters',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const duplicates = await listSuspectedDuplicates(req.user.uid, { threshold: req.query.threshold });
+
+    res.json({
+      success: true,
+      data: {
+        duplicates
+      }
+    });
+  } catch (error) {
+    console.error('Error listing duplicate reports:', error);
+    throw error;
+  }
+}));
+
+/**
+ * List Reports in Trash
+ * GET /v1/reports/trash
+ */
+router.get('/trash', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const reports = await listTrash(req.user.uid);
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        retentionDays: TRASH_RETENTION_DAYS
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Permanently Delete Report from Trash
+ * DELETE /v1/reports/trash/:reportId
+ */
+router.delete('/trash/:reportId', authenticateToken, asyncHandler(async (req, res) => {
+  const { reportId } = req.params;
+
+  try {
+    const result = await purgeReport(reportId, req.user.uid);
+
+    res.json({
+      success: true,
+      message: 'Report permanently deleted',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error permanently deleting report:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
 /**
  * Get Report Details
  * GET /v1/reports/:reportId
+ * `preview` carries signed URLs for the thumbnail and the page previews.
  */
 router.get('/:reportId', authenticateToken, asyncHandler(async (req, res) => {
   const { reportId } = req.params;
@@ -266,7 +828,8 @@ router.get('/:reportId', authenticateToken, asyncHandler(async (req, res) => {
   try {
     const reportDoc = await db.collection('reports').doc(reportId).get();
 
-    if (!reportDoc.exists) {
+    // Reports in the trash are only reachable through /trash and /restore
+    if (!reportDoc.exists || reportDoc.data().isDeleted) {
       return res.status(404).json({
         success: false,
         error: {
@@ -293,7 +856,7 @@ router.get('/:reportId', authenticateToken, asyncHandler(async (req, res) => {
 
     res.json({
       success: true,
-      data: reportData
+      data: { ...reportData, preview: await getPreviewUrls(reportData) }
     });
   } catch (error) {
     console.error('Error fetching report:', error);
@@ -301,6 +864,235 @@ router.get('/:reportId', authenticateToken, asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * Update Report Metadata
+ * PATCH /v1/reports/:reportId
+ * Only title, reportDate, category, doctorName and clinicName can be changed; the file cannot.
+ */
+router.patch('/:reportId', authenticateToken, [
+  body('title').optional().trim().notEmpty(),
+  body('reportDate').optional().isISO8601(),
+  body('category').optional().trim(),
+  body('doctorName').optional({ nullable: true }).trim(),
+  body('clinicName').optional({ nullable: true }).trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  const { reportId } = req.params;
+  const { title, reportDate, category, doctorName, clinicName } = req.body;
+
+  try {
+    const report = await updateReport(reportId, req.user.uid, { title, reportDate, category, doctorName, clinicName });
+
+    res.json({
+      success: true,
+      message: 'Report updated successfully',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error updating report:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Delete Report (move to trash)
+ * DELETE /v1/reports/:reportId
+ * The report can be restored until it is purged after REPORT_TRASH_RETENTION_DAYS.
+ */
+router.delete('/:reportId', authenticateToken, asyncHandler(async (req, res) => {
+  const { reportId } = req.params;
+
+  try {
+    const result = await trashReport(reportId, req.user.uid);
+
+    res.json({
+      success: true,
+      message: 'Report moved to trash',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error deleting report:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Restore Report from Trash
+ * POST /v1/reports/:reportId/restore
+ */
+router.post('/:reportId/restore', authenticateToken, asyncHandler(async (req, res) => {
+  const { reportId } = req.params;
+
+  try {
+    const report = await restoreReport(reportId, req.user.uid);
+
+    res.json({
+      success: true,
+      message: 'Report restored',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error restoring report:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Get Report Text by Page
+ * GET /v1/reports/:reportId/pages
+ * Available once processing has completed.
+ */
+router.get('/:reportId/pages', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const result = await getReportPages(req.params.reportId, req.user.uid);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching report pages:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Get Lab Results Extracted from a Report
+ * GET /v1/reports/:reportId/findings
+ * status: not_analyzed | skipped | queued | processing | completed | failed
+ */
+router.get('/:reportId/findings', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const result = await getReportFindings(req.params.reportId, req.user.uid);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching report findings:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Get Metadata Suggested from the OCR Text
+ * GET /v1/reports/:reportId/suggested-metadata
+ * status: pending | queued | completed | unavailable (OCR produced no text) | failed | not_generated
+ * fields: title, reportDate, doctorName, clinicName, category - each { value, confidence, source, alternatives }
+ */
+router.get('/:reportId/suggested-metadata', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const result = await getSuggestedMetadata(req.params.reportId, req.user.uid);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching suggested metadata:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Accept Suggested Metadata
+ * POST /v1/reports/:reportId/suggested-metadata/accept
+ * Body: { fields?: ['title', 'reportDate', ...], minConfidence?: 0-1 }
+ * Without fields, every suggestion at or above minConfidence (METADATA_MIN_CONFIDENCE) is applied.
+ */
+router.post('/:reportId/suggested-metadata/accept', authenticateToken, [
+  body('fields').optional().isArray({ min: 1 }),
+  body('fields.*').isIn(SUGGESTED_FIELDS),
+  body('minConfidence').optional().isFloat({ min: 0, max: 1 }).toFloat()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid request data',
+        details: errors.array()
+      }
+    });
+  }
+
+  const { fields, minConfidence } = req.body;
+
+  try {
+    const result = await acceptSuggestedMetadata(req.params.reportId, req.user.uid, { fields, minConfidence });
+
+    res.json({
+      success: true,
+      message: 'Suggested metadata applied',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error accepting suggested metadata:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Get Report Processing Status
+ * GET /v1/reports/:reportId/processing
+ * status: queued | processing | retrying | completed | blocked (quarantined) | failed
+ */
+router.get('/:reportId/processing', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const status = await getProcessingStatus(req.params.reportId, req.user.uid);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error fetching report processing status:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
+/**
+ * Retry Report Processing
+ * POST /v1/reports/:reportId/processing/retry
+ * Queues the malware scan and OCR again, e.g. after processing failed.
+ */
+router.post('/:reportId/processing/retry', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const status = await retryReportProcessing(req.params.reportId, req.user.uid);
+
+    res.status(202).json({
+      success: true,
+      message: 'Report queued for processing',
+      data: status
+    });
+  } catch (error) {
+    console.error('Error retrying report processing:', error);
+    if (handleReportError(error, res)) return;
+    throw error;
+  }
+}));
+
 /**
  * Get Firebase Storage Download URL
  * GET /v1/reports/:reportId/download-url
@@ -312,7 +1104,8 @@ router.get('/:reportId/download-url', authenticateToken, asyncHandler(async (req
   try {
     const reportDoc = await db.collection('reports').doc(reportId).get();
 
-    if (!reportDoc.exists) {
+    // Reports in the trash are only reachable through /trash and /restore
+    if (!reportDoc.exists || reportDoc.data().isDeleted) {
       return res.status(404).json({
         success: false,
         error: {
@@ -337,6 +1130,11 @@ router.get('/:reportId/download-url', authenticateToken, asyncHandler(async (req
       });
     }
 
+    // Files are only served once the malware scan has passed
+    if (!isScanClean(reportData)) {
+      return res.status(409).json(scanBlockedResponse(reportId, reportData));
+    }
+
     // Verify file exists before generating download URL
     try {
       const result = await generateDownloadUrl(reportData.fileKey);
@@ -369,10 +1167,10 @@ router.get('/:reportId/download-url', authenticateToken, asyncHandler(async (req
 /**
  * Export Reports
  * POST /v1/reports/export
+ * Body: one of reportIds, tagId or folderId
  */
-router.post('/export', authenticateToken, [
-  body('reportIds').isArray({ min: 1 }),
-  body('reportIds.*').isString(),
+router.post('/export', authenticateToken, requireVerifiedEmail, [
+  ...reportSelectionValidators,
   body('format').optional().equals('zip')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -387,10 +1185,11 @@ router.post('/export', authenticateToken, [
     });
   }
 
-  const { reportIds, format } = req.body;
+  const { tagId, folderId, format } = req.body;
   const userId = req.user.uid;
 
   try {
+    const reportIds = await resolveReportSelection(userId, { reportIds: req.body.reportIds, tagId, folderId });
     const result = await exportReports(reportIds, userId);
 
     res.json({
@@ -399,7 +1198,8 @@ router.post('/export', authenticateToken, [
     });
   } catch (error) {
     console.error('Error exporting reports:', error);
-    
+    if (handleReportError(error, res)) return;
+
     if (error.message === 'No valid reports found for export') {
       return res.status(404).json({
         success: false,
@@ -418,10 +1218,11 @@ router.post('/export', authenticateToken, [
 /**
  * Generate QR Code for Reports
  * POST /v1/reports/qr/generate
+ * Body: one of reportIds, tagId or folderId. A tag or folder shares the reports in it now;
+ * reports added later are not shared.
  */
-router.post('/qr/generate', authenticateToken, [
-  body('reportIds').isArray({ min: 1 }),
-  body('reportIds.*').isString(),
+router.post('/qr/generate', authenticateToken, requireVerifiedEmail, [
+  ...reportSelectionValidators,
   body('expiresIn').optional().isInt({ min: 60, max: 86400 })
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -436,14 +1237,16 @@ router.post('/qr/generate', authenticateToken, [
     });
   }
 
-  const { reportIds, expiresIn = 3600 } = req.body;
+  const { tagId, folderId, expiresIn = 3600 } = req.body;
   const userId = req.user.uid;
 
   try {
+    const reportIds = await resolveReportSelection(userId, { reportIds: req.body.reportIds, tagId, folderId });
+
     // Verify user owns all reports
     for (const reportId of reportIds) {
       const reportDoc = await db.collection('reports').doc(reportId).get();
-      if (!reportDoc.exists || reportDoc.data().userId !== userId) {
+      if (!reportDoc.exists || reportDoc.data().userId !== userId || reportDoc.data().isDeleted) {
         return res.status(403).json({
           success: false,
           error: {
@@ -453,10 +1256,14 @@ router.post('/qr/generate', authenticateToken, [
           }
         });
       }
+      if (!isScanClean(reportDoc.data())) {
+        return res.status(409).json(scanBlockedResponse(reportId, reportDoc.data()));
+      }
     }
 
     // Generate QR token
-    const { qrToken, expiresAt } = await generateQRToken(reportIds, expiresIn, userId);
+    const selection = tagId ? { type: 'tag', tagId } : folderId ? { type: 'folder', folderId } : null;
+    const { qrToken, expiresAt } = await generateQRToken(reportIds, expiresIn, userId, selection);
 
     // Generate AI summary for selected reports (async, don't block QR generation)
     let aiSummary = null;
@@ -483,11 +1290,13 @@ router.post('/qr/generate', authenticateToken, [
         qrToken,
         qrCode,
         expiresAt,
+        reportIds,
         aiSummary: aiSummary // Include summary in response if available
       }
     });
   } catch (error) {
     console.error('Error generating QR code:', error);
+    if (handleReportError(error, res)) return;
     throw error;
   }
 }));
@@ -514,7 +1323,8 @@ router.post('/qr/validate', authenticateToken, [
   const { qrToken } = req.body;
 
   try {
-    const validation = await validateQRToken(qrToken);
+    // The owner's UID is for server-side lookups only
+    const { userId, ...validation } = await validateQRToken(qrToken);
 
     res.json({
       success: true,
@@ -530,23 +1340,10 @@ router.post('/qr/validate', authenticateToken, [
  * Get Reports via QR Token (Doctor Access)
  * GET /v1/reports/qr/:qrToken
  */
-router.get('/qr/:qrToken', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/qr/:qrToken', authenticateToken, requireRole('doctor'), requireVerifiedDoctor, requireVerifiedEmail, asyncHandler(async (req, res) => {
   const { qrToken } = req.params;
 
   try {
-    // Verify user is a doctor
-    const userDoc = await db.collection('users').doc(req.user.uid).get();
-    if (!userDoc.exists || userDoc.data().role !== 'doctor') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Doctor access required',
-          details: {}
-        }
-      });
-    }
-
     const result = await getReportsByQRToken(qrToken);
 
     res.json({
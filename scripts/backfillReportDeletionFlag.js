@@ -0,0 +1,63 @@
+const admin = require('firebase-admin');
+const path = require('path');
+require('dotenv').config();
+
+// Initialize Firebase Admin SDK
+const serviceAccountPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH || './firebase-service-account.json';
+const serviceAccount = require(path.resolve(__dirname, '..', serviceAccountPath));
+
+admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount)
+});
+
+const db = admin.firestore();
+
+const PAGE_SIZE = 500;
+
+// Pass --dry-run to only report what would change
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Set isDeleted: false on reports created before the trash existed
+ * Listings treat a missing field as not deleted, so this only makes the stored data consistent.
+ */
+const backfillReportDeletionFlag = async () => {
+    const counts = { updated: 0, unchanged: 0 };
+
+    try {
+        console.log(`Backfilling report isDeleted flags${dryRun ? ' (dry run)' : ''}...`);
+
+        let lastDoc = null;
+        while (true) {
+            let query = db.collection('reports').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const snapshot = await query.get();
+            if (snapshot.empty) {
+                break;
+            }
+
+            const missing = snapshot.docs.filter(doc => typeof doc.data().isDeleted !== 'boolean');
+            counts.unchanged += snapshot.size - missing.length;
+
+            if (missing.length > 0 && !dryRun) {
+                const batch = db.batch();
+                missing.forEach(doc => batch.update(doc.ref, { isDeleted: false }));
+                await batch.commit();
+            }
+            counts.updated += missing.length;
+
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        console.log(`Done. Updated: ${counts.updated}, unchanged: ${counts.unchanged}`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error backfilling report isDeleted flags:', error);
+        process.exit(1);
+    }
+};
+
+backfillReportDeletionFlag();
@@ -0,0 +1,61 @@
+require('dotenv').config();
+
+// Uses the same Firebase Admin setup as the server (config/firebase.js)
+const { db, admin } = require('../config/firebase');
+const { isScanClean } = require('../services/scanner');
+const { queueReportPreviews } = require('../services/reportPreviews');
+
+const PAGE_SIZE = 500;
+
+// Pass --force to regenerate previews that already exist (e.g. after changing the preview sizes)
+const force = process.argv.includes('--force');
+
+/**
+ * Queue thumbnail and page preview jobs for reports uploaded before previews existed
+ * The worker renders them; quarantined and not yet scanned reports are skipped.
+ * npm run backfill-report-previews [-- --force]
+ */
+const backfillReportPreviews = async () => {
+    const counts = { queued: 0, skipped: 0 };
+
+    try {
+        console.log(`Queueing report previews${force ? ' (regenerating existing ones)' : ''}...`);
+
+        let lastDoc = null;
+        while (true) {
+            let query = db.collection('reports').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const snapshot = await query.get();
+            if (snapshot.empty) {
+                break;
+            }
+
+            for (const doc of snapshot.docs) {
+                const report = doc.data();
+                const pending = ['queued', 'processing'].includes(report.previewStatus);
+                const done = report.previewStatus === 'completed' && !force;
+
+                if (!report.fileKey || !isScanClean(report) || pending || done) {
+                    counts.skipped++;
+                    continue;
+                }
+
+                await queueReportPreviews(doc.id);
+                counts.queued++;
+            }
+
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        console.log(`Done. Queued: ${counts.queued}, skipped: ${counts.skipped}`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error queueing report previews:', error);
+        process.exit(1);
+    }
+};
+
+backfillReportPreviews();
@@ -0,0 +1,89 @@
+const admin = require('firebase-admin');
+const path = require('path');
+require('dotenv').config();
+
+// Initialize Firebase Admin SDK
+const serviceAccountPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH || './firebase-service-account.json';
+const serviceAccount = require(path.resolve(__dirname, '..', serviceAccountPath));
+
+admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount)
+});
+
+const db = admin.firestore();
+const auth = admin.auth();
+
+const ROLES = ['patient', 'doctor', 'admin'];
+const PAGE_SIZE = 500;
+
+// Pass --dry-run to only report what would change
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Copy the role from every users document into the Firebase Auth role custom claim
+ */
+const backfillRoleClaims = async () => {
+    const counts = { updated: 0, unchanged: 0, skipped: 0, failed: 0 };
+
+    try {
+        console.log(`Backfilling role claims${dryRun ? ' (dry run)' : ''}...`);
+
+        let lastDoc = null;
+        while (true) {
+            let query = db.collection('users').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const snapshot = await query.get();
+            if (snapshot.empty) {
+                break;
+            }
+
+            for (const doc of snapshot.docs) {
+                const { role } = doc.data();
+
+                if (!ROLES.includes(role)) {
+                    console.warn(`Skipping ${doc.id}: unknown role "${role}"`);
+                    counts.skipped++;
+                    continue;
+                }
+
+                try {
+                    const userRecord = await auth.getUser(doc.id);
+                    const currentClaims = userRecord.customClaims || {};
+
+                    if (currentClaims.role === role) {
+                        counts.unchanged++;
+                        continue;
+                    }
+
+                    if (!dryRun) {
+                        await auth.setCustomUserClaims(doc.id, { ...currentClaims, role });
+                    }
+                    console.log(`${doc.id}: ${currentClaims.role || '(none)'} -> ${role}`);
+                    counts.updated++;
+                } catch (error) {
+                    if (error.code === 'auth/user-not-found') {
+                        console.warn(`Skipping ${doc.id}: no Firebase Auth user`);
+                        counts.skipped++;
+                    } else {
+                        console.error(`Failed to update ${doc.id}:`, error.message);
+                        counts.failed++;
+                    }
+                }
+            }
+
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        console.log(`Done. Updated: ${counts.updated}, unchanged: ${counts.unchanged}, skipped: ${counts.skipped}, failed: ${counts.failed}`);
+        console.log('Users pick up new claims the next time their ID token refreshes.');
+        process.exit(counts.failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Error backfilling role claims:', error);
+        process.exit(1);
+    }
+};
+
+backfillRoleClaims();
@@ -0,0 +1,74 @@
+require('dotenv').config();
+
+// Uses the same Firebase Admin setup as the server (config/firebase.js)
+const { auth, db, admin } = require('../config/firebase');
+const { isTwoFactorEnabled, setTwoFactorClaim } = require('../services/twoFactor');
+
+const PAGE_SIZE = 500;
+
+// Pass --dry-run to only report what would change
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Set the twoFactorEnrolled custom claim on every user with a second factor enabled
+ * Without it, tokens from a direct password sign-in are not recognised as missing the second step.
+ * Run once after deploying the claim: npm run backfill-two-factor-claims [-- --dry-run]
+ */
+const backfillTwoFactorClaims = async () => {
+    const counts = { updated: 0, unchanged: 0, skipped: 0, failed: 0 };
+
+    try {
+        console.log(`Backfilling two-factor claims${dryRun ? ' (dry run)' : ''}...`);
+
+        let lastDoc = null;
+        while (true) {
+            let query = db.collection('twoFactor').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const snapshot = await query.get();
+            if (snapshot.empty) {
+                break;
+            }
+
+            for (const doc of snapshot.docs) {
+                try {
+                    // Settings documents also exist for users who only started an enrolment
+                    if (!await isTwoFactorEnabled(doc.id)) {
+                        counts.skipped++;
+                        continue;
+                    }
+
+                    if (dryRun) {
+                        const { customClaims } = await auth.getUser(doc.id);
+                        counts[(customClaims || {}).twoFactorEnrolled ? 'unchanged' : 'updated']++;
+                        continue;
+                    }
+
+                    const changed = await setTwoFactorClaim(doc.id, true);
+                    counts[changed ? 'updated' : 'unchanged']++;
+                } catch (error) {
+                    if (error.code === 'auth/user-not-found') {
+                        console.warn(`Skipping ${doc.id}: no Firebase Auth user`);
+                        counts.skipped++;
+                    } else {
+                        console.error(`Failed to update ${doc.id}:`, error.message);
+                        counts.failed++;
+                    }
+                }
+            }
+
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        console.log(`Done. Updated: ${counts.updated}, unchanged: ${counts.unchanged}, skipped: ${counts.skipped}, failed: ${counts.failed}`);
+        console.log('Users pick up the claim the next time their ID token refreshes.');
+        process.exit(counts.failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Error backfilling two-factor claims:', error);
+        process.exit(1);
+    }
+};
+
+backfillTwoFactorClaims();
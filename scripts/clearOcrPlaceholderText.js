@@ -0,0 +1,73 @@
+require('dotenv').config();
+
+// Uses the same Firebase Admin setup as the server (config/firebase.js)
+const { db, admin } = require('../config/firebase');
+const { indexReport } = require('../services/search');
+const { unavailableSuggestions } = require('../services/metadataSuggestions');
+
+// What OCR used to store as extractedText when a document had no text
+const PLACEHOLDER_TEXT = 'No text could be extracted from the document.';
+
+const PAGE_SIZE = 500;
+
+// Pass --dry-run to only count the affected reports
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Replace the old "no text" placeholder in extractedText with an empty string
+ * The placeholder was indexed for search and fed to metadata suggestions as if it were report text;
+ * cleared reports are re-indexed and their suggestions marked unavailable (no_text).
+ * npm run clear-ocr-placeholder-text [-- --dry-run]
+ */
+const clearOcrPlaceholderText = async () => {
+    const counts = { cleared: 0, failed: 0 };
+
+    try {
+        console.log(`Clearing placeholder OCR text${dryRun ? ' (dry run)' : ''}...`);
+
+        let lastDoc = null;
+        while (true) {
+            let query = db.collection('reports')
+                .where('extractedText', '==', PLACEHOLDER_TEXT)
+                .orderBy(admin.firestore.FieldPath.documentId())
+                .limit(PAGE_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const snapshot = await query.get();
+            if (snapshot.empty) {
+                break;
+            }
+
+            for (const doc of snapshot.docs) {
+                if (dryRun) {
+                    counts.cleared++;
+                    continue;
+                }
+
+                try {
+                    await doc.ref.update({
+                        extractedText: '',
+                        suggestedMetadata: unavailableSuggestions('no_text')
+                    });
+                    await indexReport(doc.id);
+                    counts.cleared++;
+                } catch (error) {
+                    console.error(`Failed to clear ${doc.id}:`, error.message);
+                    counts.failed++;
+                }
+            }
+
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        console.log(`Done. ${dryRun ? 'Would clear' : 'Cleared'}: ${counts.cleared}, failed: ${counts.failed}`);
+        process.exit(counts.failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Error clearing placeholder OCR text:', error);
+        process.exit(1);
+    }
+};
+
+clearOcrPlaceholderText();
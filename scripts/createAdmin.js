@@ -57,6 +57,10 @@ const createAdmin = async () => {
         await db.collection('users').doc(userRecord.uid).set(userData, { merge: true });
         console.log('Admin user document created/updated in Firestore');
 
+        // Role claim used by requireRole() in middleware/auth.js
+        await auth.setCustomUserClaims(userRecord.uid, { ...(userRecord.customClaims || {}), role: 'admin' });
+        console.log('Admin role claim set');
+
         console.log('Admin setup completed successfully');
         process.exit(0);
     } catch (error) {
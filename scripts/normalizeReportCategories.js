@@ -0,0 +1,125 @@
+require('dotenv').config();
+
+// Uses the same Firebase Admin setup as the server (config/firebase.js)
+const { db, admin } = require('../config/firebase');
+const {
+    FALLBACK_CATEGORY_ID,
+    CLASSIFIER_MIN_CONFIDENCE,
+    getTaxonomy,
+    findCategory,
+    classifyReport
+} = require('../services/categories');
+const { queueReportIndexing } = require('../services/search');
+
+const PAGE_SIZE = 500;
+
+// Pass --dry-run to only report what would change
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Work out the category a report should be filed under
+ * Known names and aliases map to the taxonomy name. Reports left in the fallback category, or
+ * with free text the taxonomy doesn't know, are classified from their OCR text; free text that
+ * can't be placed is kept in categoryLegacy.
+ * @param {Object} report
+ * @param {Array<Object>} taxonomy
+ * @returns {Object|null} - Fields to update, or null when the report is already normalised
+ */
+function planReport(report, taxonomy) {
+    const fallback = taxonomy.find(category => category.categoryId === FALLBACK_CATEGORY_ID);
+    const matched = findCategory(report.category, taxonomy);
+
+    // The fallback category is only kept without classifying when the owner picked it
+    if (matched && (matched.categoryId !== FALLBACK_CATEGORY_ID || report.categorySource === 'user')) {
+        if (matched.name === report.category && report.categorySource) {
+            return null;
+        }
+        return { category: matched.name, categorySource: report.categorySource || 'user', reason: 'normalized' };
+    }
+
+    const identifiedPanels = (report.findingsAnalysis && report.findingsAnalysis.identifiedPanels) || [];
+    const [best] = classifyReport({ text: report.extractedText || '', identifiedPanels }, taxonomy);
+    const legacy = report.category && !matched ? { categoryLegacy: report.category } : {};
+
+    if (best && best.confidence >= CLASSIFIER_MIN_CONFIDENCE) {
+        return {
+            category: best.name,
+            categorySource: 'classifier',
+            categoryConfidence: best.confidence,
+            ...legacy,
+            reason: 'classified'
+        };
+    }
+
+    if (report.category === fallback.name && report.categorySource) {
+        return null;
+    }
+    return { category: fallback.name, categorySource: 'default', ...legacy, reason: matched ? 'normalized' : 'unmatched' };
+}
+
+/**
+ * File every report under a category of the taxonomy
+ * Run once after deploying the category taxonomy, and again after larger taxonomy changes:
+ * npm run normalize-report-categories [-- --dry-run]
+ */
+const normalizeReportCategories = async () => {
+    const counts = { normalized: 0, classified: 0, unmatched: 0, unchanged: 0 };
+
+    try {
+        console.log(`Normalising report categories${dryRun ? ' (dry run)' : ''}...`);
+        const taxonomy = await getTaxonomy({ fresh: true });
+
+        let lastDoc = null;
+        while (true) {
+            let query = db.collection('reports').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const snapshot = await query.get();
+            if (snapshot.empty) {
+                break;
+            }
+
+            const changes = [];
+            snapshot.docs.forEach(doc => {
+                const plan = planReport(doc.data(), taxonomy);
+                if (!plan) {
+                    counts.unchanged++;
+                    return;
+                }
+
+                const { reason, ...updates } = plan;
+                counts[reason]++;
+                if (dryRun) {
+                    console.log(`${doc.id}: "${doc.data().category || ''}" -> "${updates.category}" (${reason})`);
+                }
+                changes.push({ doc, updates });
+            });
+
+            if (changes.length > 0 && !dryRun) {
+                const batch = db.batch();
+                changes.forEach(({ doc, updates }) => batch.update(doc.ref, updates));
+                await batch.commit();
+
+                // The category is part of the search index
+                for (const { doc, updates } of changes) {
+                    if (updates.category !== doc.data().category) {
+                        await queueReportIndexing(doc.id);
+                    }
+                }
+            }
+
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        console.log(`Done. Normalised: ${counts.normalized}, classified: ${counts.classified}, `
+            + `unmatched (moved to the fallback category): ${counts.unmatched}, unchanged: ${counts.unchanged}`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error normalising report categories:', error);
+        process.exit(1);
+    }
+};
+
+normalizeReportCategories();
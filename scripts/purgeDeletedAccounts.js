@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+// Uses the same Firebase Admin setup as the server (config/firebase.js)
+const { processDueAccountDeletions } = require('../services/account');
+
+/**
+ * Permanently delete accounts whose deletion grace period has ended
+ * Run daily, e.g. from cron: npm run purge-deleted-accounts
+ */
+const purgeDeletedAccounts = async () => {
+    try {
+        console.log('Purging accounts past their deletion grace period...');
+
+        const { purged, failed } = await processDueAccountDeletions();
+
+        purged.forEach(userId => console.log(`Purged ${userId}`));
+        failed.forEach(userId => console.error(`Failed to purge ${userId}`));
+
+        console.log(`Done. Purged: ${purged.length}, failed: ${failed.length}`);
+        process.exit(failed.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Error purging deleted accounts:', error);
+        process.exit(1);
+    }
+};
+
+purgeDeletedAccounts();
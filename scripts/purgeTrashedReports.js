@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+// Uses the same Firebase Admin setup as the server (config/firebase.js)
+const { processDueReportPurges } = require('../services/reports');
+
+/**
+ * Permanently delete reports that have been in the trash longer than REPORT_TRASH_RETENTION_DAYS
+ * Run daily, e.g. from cron: npm run purge-trashed-reports
+ */
+const purgeTrashedReports = async () => {
+    try {
+        console.log('Purging reports past their trash retention window...');
+
+        const { purged, failed } = await processDueReportPurges();
+
+        purged.forEach(reportId => console.log(`Purged ${reportId}`));
+        failed.forEach(reportId => console.error(`Failed to purge ${reportId}`));
+
+        console.log(`Done. Purged: ${purged.length}, failed: ${failed.length}`);
+        process.exit(failed.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Error purging trashed reports:', error);
+        process.exit(1);
+    }
+};
+
+purgeTrashedReports();
@@ -0,0 +1,53 @@
+require('dotenv').config();
+
+// Uses the same Firebase Admin setup as the server (config/firebase.js)
+const { db, admin } = require('../config/firebase');
+const { indexReport } = require('../services/search');
+
+const PAGE_SIZE = 500;
+
+/**
+ * Index every report for full-text search
+ * Run once after deploying search, and again whenever the tokeniser or synonyms change:
+ * npm run rebuild-search-index
+ */
+const rebuildSearchIndex = async () => {
+    const counts = { indexed: 0, failed: 0 };
+
+    try {
+        console.log('Rebuilding the report search index...');
+
+        let lastDoc = null;
+        while (true) {
+            let query = db.collection('reports').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const snapshot = await query.get();
+            if (snapshot.empty) {
+                break;
+            }
+
+            for (const doc of snapshot.docs) {
+                try {
+                    await indexReport(doc.id);
+                    counts.indexed++;
+                } catch (error) {
+                    console.error(`Failed to index ${doc.id}:`, error.message);
+                    counts.failed++;
+                }
+            }
+
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        console.log(`Done. Indexed: ${counts.indexed}, failed: ${counts.failed}`);
+        process.exit(counts.failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Error rebuilding the search index:', error);
+        process.exit(1);
+    }
+};
+
+rebuildSearchIndex();
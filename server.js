@@ -8,6 +8,16 @@ require('./config/firebase.js');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+/**
+ * Proxies whose X-Forwarded-For is trusted, so req.ip is the client and not the proxy
+ * (the login lockout counts failures per IP). A hop count ("1"), or addresses/subnets
+ * ("loopback, 10.0.0.0/8"). Unset means req.ip is the direct peer.
+ */
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN?.split(',') || '*',
@@ -44,6 +54,7 @@ app.get('/', (req, res) => {
       auth: '/v1/auth',
       reports: '/v1/reports',
       ai: '/v1/ai',
+      healthTrends: '/v1/health',
       doctors: '/v1/doctors',
       appointments: '/v1/appointments',
       payment: '/v1/payment'
@@ -59,6 +70,8 @@ const doctorsRoutes = require('./routes/doctors');
 const appointmentsRoutes = require('./routes/appointments');
 const paymentRoutes = require('./routes/payment');
 const adminRoutes = require('./routes/admin');
+const meRoutes = require('./routes/me');
+const healthRoutes = require('./routes/health');
 
 app.use('/v1/auth', authRoutes);
 app.use('/v1/reports', reportsRoutes);
@@ -67,6 +80,8 @@ app.use('/v1/doctors', doctorsRoutes);
 app.use('/v1/appointments', appointmentsRoutes);
 app.use('/v1/payment', paymentRoutes);
 app.use('/v1/admin', adminRoutes);
+app.use('/v1/me', meRoutes);
+app.use('/v1/health', healthRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -90,14 +105,22 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`Health check available at http://localhost:${PORT}/health`);
 });
 
+// Background jobs (malware scan, OCR) - disable with JOB_WORKER_IN_PROCESS=false when running worker.js separately
+const { startWorker } = require('./services/jobQueue');
+const jobWorker = process.env.JOB_WORKER_IN_PROCESS === 'false' ? null : startWorker();
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  process.exit(0);
-});
+const shutdown = (signal) => {
+  console.log(`${signal} signal received: closing HTTP server`);
+  if (!jobWorker) {
+    process.exit(0);
+  }
+  // Unfinished jobs are picked up again after JOB_LOCK_SECONDS, but let the current one finish if it can
+  jobWorker.stop()
+    .catch(error => console.error('Error stopping job worker:', error))
+    .finally(() => process.exit(0));
+};
 
-process.on('SIGINT', () => {
-  console.log('SIGINT signal received: closing HTTP server');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
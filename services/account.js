@@ -0,0 +1,504 @@
+const { auth, db, admin } = require('../config/firebase');
+const {
+  generateDownloadUrl,
+  deleteFile,
+  deleteFilesByPrefix,
+  createZipArchive,
+  uploadExportArchive
+} = require('./storage');
+const { reauthenticate } = require('./profile');
+const { sendMail } = require('./mail');
+const { deleteUserSearchIndex } = require('./search');
+const { isScanClean } = require('./scanner');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const DATA_EXPORTS_COLLECTION = 'dataExports';
+const DATA_EXPORT_JOB = 'account.export';
+const ACCOUNT_DELETIONS_COLLECTION = 'accountDeletions';
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function accountError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Convert Firestore values (Timestamps) into plain JSON
+ * @param {*} value
+ * @returns {*}
+ */
+function toPlainJson(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlainJson);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainJson(item)]));
+  }
+  return value;
+}
+
+/**
+ * Get all documents of a collection matching field == userId
+ * @returns {Promise<Array<FirebaseFirestore.QueryDocumentSnapshot>>}
+ */
+async function getUserDocs(collection, field, userId) {
+  const snapshot = await db.collection(collection).where(field, '==', userId).get();
+  return snapshot.docs;
+}
+
+/**
+ * Apply a write to many documents in batches
+ * @param {Array<FirebaseFirestore.QueryDocumentSnapshot>} docs
+ * @param {Function} write - (batch, doc) => void
+ */
+async function batchWrite(docs, write) {
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_SIZE).forEach(doc => write(batch, doc));
+    await batch.commit();
+  }
+}
+
+// ---------- Data export ----------
+
+/**
+ * Collect everything stored about a user as JSON-ready objects
+ * Secrets (refresh token hashes, TOTP secrets, QR tokens) are left out.
+ * @param {string} userId - Firebase Auth UID
+ * @returns {Promise<{data: Object, reports: Array}>}
+ */
+async function collectUserData(userId) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  const doctorDoc = await db.collection('doctors').doc(userId).get();
+
+  const [
+    reports,
+    patientAppointments,
+    doctorAppointments,
+    payments,
+    qrTokens,
+    aiSummaries,
+    observations,
+    tags,
+    folders,
+    sessions
+  ] = await Promise.all([
+    getUserDocs('reports', 'userId', userId),
+    getUserDocs('appointments', 'patientId', userId),
+    getUserDocs('appointments', 'doctorId', userId),
+    getUserDocs('payments', 'patientId', userId),
+    getUserDocs('qrTokens', 'userId', userId),
+    getUserDocs('aiSummaries', 'userId', userId),
+    getUserDocs('observations', 'userId', userId),
+    getUserDocs('reportTags', 'userId', userId),
+    getUserDocs('reportFolders', 'userId', userId),
+    getUserDocs('sessions', 'userId', userId)
+  ]);
+
+  const twoFactorDoc = await db.collection('twoFactor').doc(userId).get();
+  const twoFactor = twoFactorDoc.exists ? twoFactorDoc.data() : null;
+
+  const data = {
+    profile: userDoc.exists ? userDoc.data() : null,
+    doctorProfile: doctorDoc.exists ? doctorDoc.data() : null,
+    reports: reports.map(doc => ({ reportId: doc.id, ...doc.data() })),
+    appointments: [...patientAppointments, ...doctorAppointments].map(doc => ({ appointmentId: doc.id, ...doc.data() })),
+    payments: payments.map(doc => ({ paymentId: doc.id, ...doc.data() })),
+    sharedQrCodes: qrTokens.map(doc => {
+      const { qrToken, ...rest } = doc.data();
+      return rest;
+    }),
+    aiSummaries: aiSummaries.map(doc => doc.data()),
+    labResults: observations.map(doc => doc.data()),
+    reportTags: tags.map(doc => doc.data()),
+    reportFolders: folders.map(doc => doc.data()),
+    sessions: sessions.map(doc => {
+      const { refreshTokenHash, ...rest } = doc.data();
+      return rest;
+    }),
+    twoFactor: twoFactor
+      ? {
+        totpEnabled: !!twoFactor.totp?.enabled,
+        smsEnabled: !!twoFactor.sms?.enabled,
+        smsPhone: twoFactor.sms?.phone || null
+      }
+      : null
+  };
+
+  return { data: toPlainJson(data), reports: data.reports };
+}
+
+/**
+ * Job handler: build the export archive and record the result
+ * Throwing makes the queue retry; the export is marked failed once it is dead-lettered.
+ * @param {{exportId: string}} payload
+ * @returns {Promise<Object>} - Stored as the job result
+ */
+async function processDataExport({ exportId }) {
+  const exportRef = db.collection(DATA_EXPORTS_COLLECTION).doc(exportId);
+  const exportDoc = await exportRef.get();
+  if (!exportDoc.exists) {
+    return { skipped: 'export_not_found' };
+  }
+  const { userId } = exportDoc.data();
+
+  await exportRef.update({ status: 'processing', startedAt: new Date().toISOString() });
+
+  const { data, reports } = await collectUserData(userId);
+
+  const entries = Object.entries(data).map(([name, content]) => ({
+    name: `data/${name}.json`,
+    content: JSON.stringify(content, null, 2)
+  }));
+  // Files that failed (or haven't finished) the malware scan stay out of the archive; their metadata is in data/
+  const skippedFiles = reports.filter(report => report.fileKey && !isScanClean(report)).length;
+  reports.forEach(report => {
+    if (report.fileKey && isScanClean(report)) {
+      entries.push({
+        name: `reports/${report.reportId}_${report.fileName || `report.${report.fileType || 'pdf'}`}`,
+        fileKey: report.fileKey
+      });
+    }
+  });
+  entries.push({
+    name: 'README.txt',
+    content: `HelloCare personal data export\nGenerated: ${new Date().toISOString()}\n\n` +
+      'data/ contains JSON copies of your profile, reports, appointments, payments, shared QR codes, AI summaries and sign-in sessions.\n' +
+      'reports/ contains the original files you uploaded.\n' +
+      (skippedFiles > 0
+        ? `${skippedFiles} file(s) that did not pass the malware scan (or are still being scanned) are not included.\n`
+        : '')
+  });
+
+  const zipBuffer = await createZipArchive(entries);
+  const { exportKey } = await uploadExportArchive(userId, zipBuffer, 'data_export');
+
+  await exportRef.update({
+    status: 'completed',
+    fileKey: exportKey,
+    fileSize: zipBuffer.length,
+    skippedFiles,
+    error: null,
+    completedAt: new Date().toISOString()
+  });
+
+  return { fileSize: zipBuffer.length, skippedFiles };
+}
+
+/**
+ * Dead-letter hook: the export gave up after its last attempt
+ */
+async function markDataExportFailed(job, error) {
+  const exportRef = db.collection(DATA_EXPORTS_COLLECTION).doc(job.payload.exportId);
+  const exportDoc = await exportRef.get();
+  if (!exportDoc.exists) return;
+
+  await exportRef.update({
+    status: 'failed',
+    error: error.message,
+    completedAt: new Date().toISOString()
+  });
+}
+
+registerJobHandler(DATA_EXPORT_JOB, processDataExport, { onDeadLetter: markDataExportFailed });
+
+/**
+ * Start a personal data export
+ * Reuses an export that is still being built instead of starting another one.
+ * @param {string} userId - Firebase Auth UID
+ * @returns {Promise<{exportId: string, status: string, createdAt: string}>}
+ */
+async function requestDataExport(userId) {
+  const inProgress = await db.collection(DATA_EXPORTS_COLLECTION)
+    .where('userId', '==', userId)
+    .where('status', 'in', ['pending', 'processing'])
+    .limit(1)
+    .get();
+
+  if (!inProgress.empty) {
+    const existing = inProgress.docs[0].data();
+    return { exportId: inProgress.docs[0].id, status: existing.status, createdAt: existing.createdAt };
+  }
+
+  const exportRef = db.collection(DATA_EXPORTS_COLLECTION).doc();
+  const createdAt = new Date().toISOString();
+  await exportRef.set({
+    exportId: exportRef.id,
+    userId,
+    status: 'pending',
+    fileKey: null,
+    createdAt,
+    completedAt: null
+  });
+
+  // The archive is built by a job worker, with retries
+  const job = await enqueueJob(DATA_EXPORT_JOB, { exportId: exportRef.id });
+  await exportRef.update({ jobId: job.jobId });
+
+  return { exportId: exportRef.id, status: 'pending', createdAt };
+}
+
+/**
+ * Get the status of a data export, with a fresh download URL once completed
+ * @param {string} userId - Firebase Auth UID
+ * @param {string} exportId - Export ID
+ * @returns {Promise<Object>}
+ */
+async function getDataExport(userId, exportId) {
+  const exportDoc = await db.collection(DATA_EXPORTS_COLLECTION).doc(exportId).get();
+  if (!exportDoc.exists || exportDoc.data().userId !== userId) {
+    throw accountError('NOT_FOUND', 'Export not found');
+  }
+
+  const exportData = exportDoc.data();
+  const result = {
+    exportId,
+    status: exportData.status,
+    createdAt: exportData.createdAt,
+    completedAt: exportData.completedAt || null,
+    fileSize: exportData.fileSize || null,
+    // Report files left out because they didn't pass the malware scan
+    skippedFiles: exportData.skippedFiles || 0,
+    downloadUrl: null,
+    expiresIn: null
+  };
+
+  if (exportData.status === 'completed') {
+    const { downloadUrl, expiresIn } = await generateDownloadUrl(exportData.fileKey);
+    result.downloadUrl = downloadUrl;
+    result.expiresIn = expiresIn;
+  }
+
+  return result;
+}
+
+// ---------- Account deletion ----------
+
+/**
+ * Schedule deletion of the current user's account after the grace period
+ * @param {string} userId - Firebase Auth UID
+ * @param {string} currentPassword - Current password (re-authentication)
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<{requestedAt: string, scheduledFor: string}>}
+ */
+async function requestAccountDeletion(userId, currentPassword, ipAddress) {
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    throw accountError('NOT_FOUND', 'User profile not found');
+  }
+
+  const userData = userDoc.data();
+  if (userData.role === 'admin') {
+    throw accountError('FORBIDDEN', 'Admin accounts must be removed by another admin');
+  }
+  if (userData.deletionScheduledFor) {
+    throw accountError('DELETION_ALREADY_REQUESTED', 'Account deletion has already been requested');
+  }
+
+  const userRecord = await auth.getUser(userId);
+  await reauthenticate(userRecord.email, currentPassword, ipAddress);
+
+  const requestedAt = new Date().toISOString();
+  const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  await db.collection(ACCOUNT_DELETIONS_COLLECTION).doc(userId).set({
+    userId,
+    status: 'scheduled',
+    requestedAt,
+    scheduledFor,
+    cancelledAt: null,
+    completedAt: null
+  });
+  await userRef.update({ deletionRequestedAt: requestedAt, deletionScheduledFor: scheduledFor });
+
+  try {
+    await sendMail({
+      to: userRecord.email,
+      subject: 'Your HelloCare account is scheduled for deletion',
+      text: `Your HelloCare account and all of its data will be permanently deleted on ${new Date(scheduledFor).toUTCString()}.\n\n` +
+        'If you change your mind, log in and cancel the deletion before then.'
+    });
+  } catch (error) {
+    console.error('Error sending account deletion notice:', error.message);
+  }
+
+  return { requestedAt, scheduledFor };
+}
+
+/**
+ * Cancel a scheduled account deletion
+ * @param {string} userId - Firebase Auth UID
+ * @returns {Promise<void>}
+ */
+async function cancelAccountDeletion(userId) {
+  const deletionRef = db.collection(ACCOUNT_DELETIONS_COLLECTION).doc(userId);
+  const deletionDoc = await deletionRef.get();
+  if (!deletionDoc.exists || deletionDoc.data().status !== 'scheduled') {
+    throw accountError('NOT_FOUND', 'No pending account deletion');
+  }
+
+  await deletionRef.update({ status: 'cancelled', cancelledAt: new Date().toISOString() });
+  await db.collection('users').doc(userId).update({
+    deletionRequestedAt: admin.firestore.FieldValue.delete(),
+    deletionScheduledFor: admin.firestore.FieldValue.delete()
+  });
+}
+
+/**
+ * Get the account deletion status of a user
+ * @param {string} userId - Firebase Auth UID
+ * @returns {Promise<{status: string, requestedAt: string|null, scheduledFor: string|null}>}
+ */
+async function getAccountDeletionStatus(userId) {
+  const deletionDoc = await db.collection(ACCOUNT_DELETIONS_COLLECTION).doc(userId).get();
+  if (!deletionDoc.exists) {
+    return { status: 'none', requestedAt: null, scheduledFor: null };
+  }
+
+  const { status, requestedAt, scheduledFor } = deletionDoc.data();
+  return { status, requestedAt, scheduledFor };
+}
+
+/**
+ * Permanently delete a user and everything linked to them
+ * Payments are kept for accounting but stripped of the link to the person.
+ * Appointments booked with a deleted doctor stay in the patients' history, anonymised.
+ * @param {string} userId - Firebase Auth UID
+ * @returns {Promise<Object>} - Counts of removed / anonymised records
+ */
+async function purgeAccount(userId) {
+  const counts = {};
+
+  // Reports and their files
+  const reports = await getUserDocs('reports', 'userId', userId);
+  for (const doc of reports) {
+    if (doc.data().fileKey) {
+      await deleteFile(doc.data().fileKey);
+    }
+  }
+  for (const doc of reports) {
+    // Includes the report's pages subcollection
+    await db.recursiveDelete(doc.ref);
+  }
+  counts.reports = reports.length;
+  counts.searchIndex = await deleteUserSearchIndex(userId);
+
+  // Anything left in the user's storage folders (orphaned uploads, exports, credentials)
+  for (const prefix of [`reports/${userId}/`, `uploads/reports/${userId}/`, `exports/${userId}/`, `credentials/${userId}/`, `profile-photos/${userId}/`, `quarantine/reports/${userId}/`]) {
+    await deleteFilesByPrefix(prefix);
+  }
+
+  // Records that only exist for this user
+  const ownedCollections = [
+    ['appointments', 'patientId'],
+    ['qrTokens', 'userId'],
+    ['aiSummaries', 'userId'],
+    ['observations', 'userId'],
+    ['reportTags', 'userId'],
+    ['reportFolders', 'userId'],
+    ['sessions', 'userId'],
+    ['loginChallenges', 'userId'],
+    ['dataExports', 'userId']
+  ];
+  for (const [collection, field] of ownedCollections) {
+    const docs = await getUserDocs(collection, field, userId);
+    await batchWrite(docs, (batch, doc) => batch.delete(doc.ref));
+    counts[collection] = docs.length;
+  }
+
+  // Appointments other patients booked with this doctor
+  const doctorAppointments = await getUserDocs('appointments', 'doctorId', userId);
+  await batchWrite(doctorAppointments, (batch, doc) => batch.update(doc.ref, {
+    doctorName: 'Deleted doctor',
+    doctorDeleted: true,
+    updatedAt: new Date().toISOString()
+  }));
+  counts.anonymisedAppointments = doctorAppointments.length;
+
+  // Financial records must be retained - remove the personal link only
+  const anonymisedAt = new Date().toISOString();
+  const patientPayments = await getUserDocs('payments', 'patientId', userId);
+  await batchWrite(patientPayments, (batch, doc) => batch.update(doc.ref, {
+    patientId: null,
+    anonymised: true,
+    anonymisedAt
+  }));
+  const doctorPayments = await getUserDocs('payments', 'doctorId', userId);
+  await batchWrite(doctorPayments, (batch, doc) => batch.update(doc.ref, {
+    doctorId: null,
+    anonymised: true,
+    anonymisedAt
+  }));
+  counts.anonymisedPayments = patientPayments.length + doctorPayments.length;
+
+  await db.collection('twoFactor').doc(userId).delete();
+  await db.collection('doctors').doc(userId).delete();
+  await db.collection('users').doc(userId).delete();
+
+  try {
+    await auth.deleteUser(userId);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      throw error;
+    }
+  }
+
+  await db.collection(ACCOUNT_DELETIONS_COLLECTION).doc(userId).set({
+    status: 'completed',
+    completedAt: new Date().toISOString()
+  }, { merge: true });
+
+  return counts;
+}
+
+/**
+ * Purge every account whose grace period has ended
+ * @returns {Promise<{purged: Array<string>, failed: Array<string>}>}
+ */
+async function processDueAccountDeletions() {
+  const snapshot = await db.collection(ACCOUNT_DELETIONS_COLLECTION)
+    .where('status', '==', 'scheduled')
+    .get();
+
+  const now = new Date();
+  const purged = [];
+  const failed = [];
+
+  for (const doc of snapshot.docs) {
+    if (new Date(doc.data().scheduledFor) > now) {
+      continue;
+    }
+
+    try {
+      await purgeAccount(doc.id);
+      purged.push(doc.id);
+    } catch (error) {
+      console.error(`Error purging account ${doc.id}:`, error);
+      failed.push(doc.id);
+    }
+  }
+
+  return { purged, failed };
+}
+
+module.exports = {
+  requestDataExport,
+  getDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getAccountDeletionStatus,
+  purgeAccount,
+  processDueAccountDeletions
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+
+const INVITES_COLLECTION = 'adminInvites';
+const DEFAULT_INVITE_TTL_HOURS = parseInt(process.env.ADMIN_INVITE_TTL_HOURS, 10) || 72;
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function inviteError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Hash an invite token so the raw value is never stored
+ * @param {string} token - Raw invite token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Derive the current status of an invite
+ * @param {Object} invite - adminInvites document data
+ * @returns {string} - 'pending' | 'used' | 'revoked' | 'expired'
+ */
+function getInviteStatus(invite) {
+  if (invite.usedAt) return 'used';
+  if (invite.revokedAt) return 'revoked';
+  if (new Date(invite.expiresAt) < new Date()) return 'expired';
+  return 'pending';
+}
+
+/**
+ * Shape an invite document for API responses (never exposes the token hash)
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @returns {Object}
+ */
+function formatInvite(doc) {
+  const invite = doc.data();
+  return {
+    inviteId: doc.id,
+    email: invite.email,
+    status: getInviteStatus(invite),
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    usedAt: invite.usedAt,
+    usedBy: invite.usedBy,
+    revokedAt: invite.revokedAt
+  };
+}
+
+/**
+ * Check that an invite can be redeemed for an email address
+ * @param {Object} invite - adminInvites document data
+ * @param {string} email - Email the new admin is signing up with
+ */
+function assertRedeemable(invite, email) {
+  if (getInviteStatus(invite) !== 'pending') {
+    throw inviteError('INVALID_INVITE', 'Invite is invalid, expired or has already been used');
+  }
+  if (invite.email && invite.email !== email.toLowerCase()) {
+    throw inviteError('INVALID_INVITE', 'Invite was issued for a different email address');
+  }
+}
+
+/**
+ * Find the invite document for a raw token
+ * @param {string} token - Raw invite token
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function findInviteByToken(token) {
+  const snapshot = await db.collection(INVITES_COLLECTION)
+    .where('tokenHash', '==', hashInviteToken(token))
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * Create a single-use admin invite
+ * @param {Object} params
+ * @param {string} params.createdBy - UID of the admin creating the invite
+ * @param {string} [params.email] - Restrict the invite to this email address
+ * @param {number} [params.expiresInHours] - Invite lifetime (default ADMIN_INVITE_TTL_HOURS)
+ * @returns {Promise<{inviteId: string, token: string, email: string|null, expiresAt: string}>}
+ */
+async function createInvite({ createdBy, email = null, expiresInHours = DEFAULT_INVITE_TTL_HOURS }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString();
+  const inviteRef = db.collection(INVITES_COLLECTION).doc();
+
+  await inviteRef.set({
+    inviteId: inviteRef.id,
+    tokenHash: hashInviteToken(token),
+    email: email ? email.toLowerCase() : null,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    usedAt: null,
+    usedBy: null,
+    revokedAt: null
+  });
+
+  // The raw token is only returned here - it cannot be recovered later
+  return { inviteId: inviteRef.id, token, email: email ? email.toLowerCase() : null, expiresAt };
+}
+
+/**
+ * List invites, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - 'pending' | 'used' | 'revoked' | 'expired'
+ * @returns {Promise<Array>}
+ */
+async function listInvites({ status } = {}) {
+  const snapshot = await db.collection(INVITES_COLLECTION)
+    .orderBy('createdAt', 'desc')
+    .get();
+
+  const invites = snapshot.docs.map(formatInvite);
+  return status ? invites.filter(invite => invite.status === status) : invites;
+}
+
+/**
+ * Revoke a pending invite
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<void>}
+ */
+async function revokeInvite(inviteId) {
+  const inviteRef = db.collection(INVITES_COLLECTION).doc(inviteId);
+  const doc = await inviteRef.get();
+
+  if (!doc.exists) {
+    throw inviteError('NOT_FOUND', 'Invite not found');
+  }
+  if (doc.data().usedAt) {
+    throw inviteError('INVITE_ALREADY_USED', 'Invite has already been used');
+  }
+
+  await inviteRef.update({ revokedAt: new Date().toISOString() });
+}
+
+/**
+ * Check an invite before creating the admin account
+ * @param {string} token - Raw invite token
+ * @param {string} email - Email the new admin is signing up with
+ * @returns {Promise<void>}
+ */
+async function verifyInvite(token, email) {
+  const doc = await findInviteByToken(token);
+  if (!doc) {
+    throw inviteError('INVALID_INVITE', 'Invite is invalid, expired or has already been used');
+  }
+  assertRedeemable(doc.data(), email);
+}
+
+/**
+ * Redeem an invite for a newly created admin
+ * Runs in a transaction so two signups cannot use the same invite.
+ * @param {string} token - Raw invite token
+ * @param {string} email - Email of the new admin
+ * @param {string} userId - UID of the new admin
+ * @returns {Promise<{inviteId: string}>}
+ */
+async function redeemInvite(token, email, userId) {
+  const doc = await findInviteByToken(token);
+  if (!doc) {
+    throw inviteError('INVALID_INVITE', 'Invite is invalid, expired or has already been used');
+  }
+
+  await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(doc.ref);
+    assertRedeemable(current.data(), email);
+    transaction.update(doc.ref, {
+      usedAt: new Date().toISOString(),
+      usedBy: userId
+    });
+  });
+
+  return { inviteId: doc.id };
+}
+
+module.exports = {
+  createInvite,
+  listInvites,
+  revokeInvite,
+  verifyInvite,
+  redeemInvite
+};
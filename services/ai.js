@@ -206,6 +206,21 @@ If you use technical terms or wrap the response in markdown, you will receive ne
 
 // ------------------ End of suggestions prompt ------------------
 
+// System instruction for proposing report metadata (title, date, doctor, clinic, category)
+const METADATA_SYSTEM_PROMPT = `
+You read the OCR text of a single medical document and identify its metadata. Return ONE JSON object only, no markdown, with exactly these keys:
+{
+  "title": { "value": "short document title, e.g. 'Lipid Profile' or 'Chest X-Ray'", "confidence": 0.0 },
+  "reportDate": { "value": "YYYY-MM-DD - the date the report was issued or the sample collected, never a date of birth", "confidence": 0.0 },
+  "doctorName": { "value": "the referring or treating doctor as written, e.g. 'Dr. A. Sharma'", "confidence": 0.0 },
+  "clinicName": { "value": "the hospital, clinic or laboratory that issued the document", "confidence": 0.0 },
+  "category": { "value": "exactly one of the categories listed after the document", "confidence": 0.0 }
+}
+Confidence is 0.0-1.0. Use null for a value that is not in the text; do not guess.
+`;
+
+// ------------------ End of metadata prompt ------------------
+
 // Simple PHI redaction helper (lightweight). Tailor to your needs.
 function redactPHI(text) {
   if (!text || typeof text !== 'string') return text;
@@ -405,6 +420,75 @@ const suggestionsSchema = {
 let validateSuggestions = null;
 if (ajv) validateSuggestions = ajv.compile(suggestionsSchema);
 
+// Report analysis schema for AJV (if present) - the parts of the analyst prompt's response object we store
+const FINDING_STATUSES = ['NORMAL', 'HIGH', 'LOW', 'PENDING'];
+const reportAnalysisSchema = {
+  type: 'object',
+  required: ['findings'],
+  properties: {
+    schemaVersion: { type: ['string', 'null'] },
+    reportDate: { type: ['string', 'null'] },
+    confidence: { type: ['number', 'null'] },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['testName'],
+        properties: {
+          testName: { type: 'string' },
+          measuredValue: { type: ['number', 'string', 'null'] },
+          rawValue: { type: ['string', 'number', 'null'] },
+          units: { type: ['string', 'null'] },
+          referenceRangeRaw: { type: ['string', 'null'] },
+          referenceRangeParsed: {
+            type: ['object', 'null'],
+            properties: {
+              low: { type: ['number', 'string', 'null'] },
+              high: { type: ['number', 'string', 'null'] }
+            }
+          },
+          status: { type: ['string', 'null'] },
+          critical: { type: ['boolean', 'null'] },
+          comments: { type: ['string', 'null'] }
+        }
+      }
+    },
+    identifiedPanels: { type: ['array', 'null'], items: { type: 'string' } },
+    overallSummary: { type: ['string', 'null'] },
+    criticalSummary: { type: ['string', 'null'] },
+    parsingNotes: { type: ['string', 'null'] }
+  }
+};
+let validateReportAnalysis = null;
+if (ajv) validateReportAnalysis = ajv.compile(reportAnalysisSchema);
+
+// Lightweight validation fallback if ajv not present
+function basicValidateReportAnalysis(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return false;
+  if (!Array.isArray(obj.findings)) return false;
+  for (const item of obj.findings) {
+    if (!item || typeof item !== 'object') return false;
+    if (typeof item.testName !== 'string') return false;
+  }
+  return true;
+}
+
+// The analyst returns an object; extractJsonFromText prefers arrays and would pick out `findings` alone
+function extractJsonObjectFromText(text) {
+  if (!text || typeof text !== 'string') return null;
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const cleaned = (fenced ? fenced[1] : text).trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    const parsed = JSON.parse(cleaned.substring(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
 // ---------- Cache Helper Functions ----------
 
 /**
@@ -550,7 +634,7 @@ async function generateSummaryForReports(reportIds) {
     );
 
     const reports = reportDocs
-      .filter(doc => doc.exists)
+      .filter(doc => doc.exists && !doc.data().isDeleted)
       .map(doc => ({ reportId: doc.id, ...(doc.data() || {}) }))
       .sort((a, b) => {
         // Sort by reportDate descending
@@ -639,7 +723,10 @@ async function generateSummary(userId) {
       .orderBy('reportDate', 'desc')
       .get();
 
-    if (snapshot.empty) {
+    // Reports in the trash are left out of summaries
+    const activeDocs = snapshot.docs.filter(d => !d.data().isDeleted);
+
+    if (activeDocs.length === 0) {
       return {
         summary: 'No medical reports found. Upload reports to get personalized health insights.',
         generatedAt: new Date().toISOString(),
@@ -648,7 +735,7 @@ async function generateSummary(userId) {
       };
     }
 
-    const reports = snapshot.docs.map(d => ({ reportId: d.id, ...(d.data() || {}) }));
+    const reports = activeDocs.map(d => ({ reportId: d.id, ...(d.data() || {}) }));
     const reportCount = reports.length;
     const lastReportDate = reports[0].reportDate || null;
 
@@ -722,7 +809,7 @@ async function generateSuggestions(userId, reportId = null) {
 
     if (reportId) {
       const doc = await db.collection('reports').doc(reportId).get();
-      if (!doc.exists) return { suggestions: [], generatedAt: new Date().toISOString(), reportId };
+      if (!doc.exists || doc.data().isDeleted) return { suggestions: [], generatedAt: new Date().toISOString(), reportId };
       const data = doc.data();
       if (!data || data.userId !== userId) throw new Error('Unauthorized or no data');
       reports = [{ reportId: doc.id, ...data }];
@@ -730,9 +817,12 @@ async function generateSuggestions(userId, reportId = null) {
       const snap = await db.collection('reports')
         .where('userId', '==', userId)
         .orderBy('reportDate', 'desc')
-        .limit(MAX_SUGGESTIONS_REPORTS)
         .get();
-      if (!snap.empty) reports = snap.docs.map(d => ({ reportId: d.id, ...(d.data() || {}) }));
+      // Trashed reports are skipped in memory, as reports from before the trash have no isDeleted field
+      reports = snap.docs
+        .filter(d => !d.data().isDeleted)
+        .slice(0, MAX_SUGGESTIONS_REPORTS)
+        .map(d => ({ reportId: d.id, ...(d.data() || {}) }));
     }
 
     if (!reports.length) return { suggestions: [], generatedAt: new Date().toISOString(), ...(reportId ? { reportId } : {}) };
@@ -853,4 +943,94 @@ ${promptReports}`;
   }
 }
 
-module.exports = { generateSummary, generateSuggestions, generateSummaryForReports, invalidateUserCache };
+/**
+ * analyzeReportFindings(reportText)
+ * - Runs HEALTH_REPORT_ANALYST_SYSTEM_PROMPT over the OCR text of one report.
+ * - Redacts PHI before sending to the model.
+ * - Throws if the model is not configured or returns something that fails the schema,
+ *   so the caller (a queued job) can retry.
+ * @param {string} reportText - extractedText of the report
+ * @returns {Promise<Object>} - The analyst's response object (findings, identifiedPanels, overallSummary, ...)
+ */
+async function analyzeReportFindings(reportText) {
+  if (!GEMINI_API_KEY) throw new Error('Gemini API key not configured');
+  if (!reportText || typeof reportText !== 'string') throw new Error('Invalid reportText');
+
+  const prompt = `Extract every measurable lab/test result from the medical report below and return the single JSON response object described in your instructions. If the report contains no measurable results, return findings: [].\n\n--- Report ---\n${redactPHI(reportText)}\n--- End of Report ---`;
+
+  const modelResp = await callModel({
+    contents: [{ parts: [{ text: prompt }] }],
+    systemInstruction: { parts: [{ text: HEALTH_REPORT_ANALYST_SYSTEM_PROMPT }] }
+  });
+
+  const parsed = extractJsonObjectFromText(modelResp);
+  if (!parsed) {
+    throw new Error('Report analysis did not return a JSON object');
+  }
+
+  if (validateReportAnalysis) {
+    if (!validateReportAnalysis(parsed)) {
+      console.warn('AJV validation errors:', validateReportAnalysis.errors);
+      throw new Error('Report analysis failed schema validation');
+    }
+  } else if (!basicValidateReportAnalysis(parsed)) {
+    throw new Error('Report analysis failed schema validation');
+  }
+
+  return parsed;
+}
+
+/**
+ * suggestReportMetadata(reportText, { categories })
+ * - Asks the model for title / reportDate / doctorName / clinicName / category with confidences.
+ * - Names are left unredacted on purpose: doctor and clinic names are what we are looking for.
+ * @param {string} reportText
+ * @param {Object} [options]
+ * @param {Array<string>} [options.categories] - Category names the model may choose from
+ * @returns {Promise<Object>} - { field: { value, confidence } }
+ */
+async function suggestReportMetadata(reportText, { categories = ['General'] } = {}) {
+  if (!GEMINI_API_KEY) throw new Error('Gemini API key not configured');
+  if (!reportText || typeof reportText !== 'string') throw new Error('Invalid reportText');
+
+  const modelResp = await callModel({
+    contents: [{ parts: [{ text: `--- Document ---\n${safeTrim(reportText, 20000)}\n--- End of Document ---\nCategories: ${categories.join(', ')}` }] }],
+    systemInstruction: { parts: [{ text: METADATA_SYSTEM_PROMPT }] }
+  });
+
+  const parsed = extractJsonObjectFromText(modelResp);
+  if (!parsed) {
+    throw new Error('Metadata suggestion did not return a JSON object');
+  }
+
+  const result = {};
+  ['title', 'reportDate', 'doctorName', 'clinicName', 'category'].forEach(field => {
+    const entry = parsed[field];
+    if (!entry || typeof entry !== 'object' || typeof entry.value !== 'string' || !entry.value.trim()) return;
+    const confidence = Number(entry.confidence);
+    result[field] = {
+      value: entry.value.trim(),
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5
+    };
+  });
+  return result;
+}
+
+/**
+ * Whether AI features can run (GEMINI_API_KEY is set)
+ * @returns {boolean}
+ */
+function isAiConfigured() {
+  return !!GEMINI_API_KEY;
+}
+
+module.exports = {
+  FINDING_STATUSES,
+  generateSummary,
+  generateSuggestions,
+  generateSummaryForReports,
+  analyzeReportFindings,
+  suggestReportMetadata,
+  isAiConfigured,
+  invalidateUserCache
+};
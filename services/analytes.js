@@ -0,0 +1,260 @@
+const { toAnalyteKey } = require('./observations');
+
+/**
+ * Lab analytes the app knows how to line up across reports
+ * unit is the unit values are charted in; units maps other (normalised) unit spellings to a
+ * multiplier, or a function for non-linear conversions, that turns a value into the canonical unit.
+ * Tests outside this list are still grouped by name, but their units are never converted.
+ */
+const ANALYTES = [
+  {
+    key: 'glucose',
+    name: 'Glucose',
+    unit: 'mg/dL',
+    aliases: ['glucose', 'blood glucose', 'blood sugar', 'fasting glucose', 'fasting blood sugar', 'fbs', 'fbg', 'random blood sugar', 'rbs', 'plasma glucose'],
+    units: { 'mg/dl': 1, 'mmol/l': 18.016 }
+  },
+  {
+    key: 'hba1c',
+    name: 'HbA1c',
+    unit: '%',
+    aliases: ['hba1c', 'a1c', 'hemoglobin a1c', 'haemoglobin a1c', 'glycated hemoglobin', 'glycated haemoglobin', 'glycosylated hemoglobin', 'glycosylated haemoglobin'],
+    // IFCC (mmol/mol) to NGSP (%)
+    units: { '%': 1, 'mmol/mol': value => value * 0.09148 + 2.152 }
+  },
+  {
+    key: 'total-cholesterol',
+    name: 'Total cholesterol',
+    unit: 'mg/dL',
+    aliases: ['cholesterol', 'total cholesterol', 'cholesterol total', 'tc'],
+    units: { 'mg/dl': 1, 'mmol/l': 38.67 }
+  },
+  {
+    key: 'ldl',
+    name: 'LDL cholesterol',
+    unit: 'mg/dL',
+    aliases: ['ldl', 'ldl c', 'ldl cholesterol', 'cholesterol ldl', 'low density lipoprotein', 'ldl cholesterol direct', 'ldl calculated'],
+    units: { 'mg/dl': 1, 'mmol/l': 38.67 }
+  },
+  {
+    key: 'hdl',
+    name: 'HDL cholesterol',
+    unit: 'mg/dL',
+    aliases: ['hdl', 'hdl c', 'hdl cholesterol', 'cholesterol hdl', 'high density lipoprotein'],
+    units: { 'mg/dl': 1, 'mmol/l': 38.67 }
+  },
+  {
+    key: 'triglycerides',
+    name: 'Triglycerides',
+    unit: 'mg/dL',
+    aliases: ['triglycerides', 'triglyceride', 'tg', 'trigs'],
+    units: { 'mg/dl': 1, 'mmol/l': 88.57 }
+  },
+  {
+    key: 'tsh',
+    name: 'TSH',
+    unit: 'mIU/L',
+    aliases: ['tsh', 'thyroid stimulating hormone', 'thyrotropin', 'tsh ultrasensitive', 'ultrasensitive tsh'],
+    units: { 'miu/l': 1, 'uiu/ml': 1, 'mu/l': 1, 'uu/ml': 1 }
+  },
+  {
+    key: 'free-t4',
+    name: 'Free T4',
+    unit: 'ng/dL',
+    aliases: ['free t4', 'ft4', 't4 free', 'free thyroxine'],
+    units: { 'ng/dl': 1, 'pmol/l': 1 / 12.87 }
+  },
+  {
+    key: 'creatinine',
+    name: 'Creatinine',
+    unit: 'mg/dL',
+    aliases: ['creatinine', 'creat'],
+    units: { 'mg/dl': 1, 'umol/l': 1 / 88.42 }
+  },
+  {
+    key: 'hemoglobin',
+    name: 'Hemoglobin',
+    unit: 'g/dL',
+    aliases: ['hemoglobin', 'haemoglobin', 'hb', 'hgb'],
+    units: { 'g/dl': 1, 'g/l': 0.1, 'mmol/l': 1.611 }
+  },
+  {
+    key: 'ferritin',
+    name: 'Ferritin',
+    unit: 'ng/mL',
+    aliases: ['ferritin'],
+    units: { 'ng/ml': 1, 'ug/l': 1 }
+  },
+  {
+    key: 'vitamin-d',
+    name: 'Vitamin D (25-OH)',
+    unit: 'ng/mL',
+    aliases: ['vitamin d', 'vit d', '25 oh vitamin d', '25 hydroxy vitamin d', 'vitamin d 25 hydroxy', 'vitamin d3', '25 oh d'],
+    units: { 'ng/ml': 1, 'nmol/l': 1 / 2.496 }
+  },
+  {
+    key: 'vitamin-b12',
+    name: 'Vitamin B12',
+    unit: 'pg/mL',
+    aliases: ['vitamin b12', 'vit b12', 'b12', 'cobalamin', 'cyanocobalamin'],
+    units: { 'pg/ml': 1, 'pmol/l': 1.355 }
+  },
+  {
+    key: 'alt',
+    name: 'ALT',
+    unit: 'U/L',
+    aliases: ['alt', 'sgpt', 'alanine aminotransferase', 'alanine transaminase'],
+    units: { 'u/l': 1, 'iu/l': 1 }
+  },
+  {
+    key: 'ast',
+    name: 'AST',
+    unit: 'U/L',
+    aliases: ['ast', 'sgot', 'aspartate aminotransferase', 'aspartate transaminase'],
+    units: { 'u/l': 1, 'iu/l': 1 }
+  },
+  {
+    key: 'platelets',
+    name: 'Platelets',
+    unit: '10^3/uL',
+    aliases: ['platelets', 'platelet count', 'plt'],
+    units: { '10^3/ul': 1, '10^9/l': 1, 'k/ul': 1, '10^3/mm3': 1 }
+  },
+  {
+    key: 'wbc',
+    name: 'White blood cells',
+    unit: '10^3/uL',
+    aliases: ['wbc', 'white blood cells', 'white blood cell count', 'total leukocyte count', 'tlc', 'leukocytes'],
+    units: { '10^3/ul': 1, '10^9/l': 1, 'k/ul': 1, '10^3/mm3': 1 }
+  }
+];
+
+// Words that qualify a test name without changing what is measured
+const IGNORED_NAME_WORDS = new Set(['serum', 'plasma', 'level', 'levels', 's', 'p']);
+
+/**
+ * Normalise a test name for alias lookup: "Glucose (Fasting), Serum" -> "glucose fasting"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !IGNORED_NAME_WORDS.has(word))
+    .join(' ');
+}
+
+/**
+ * Normalise a unit for lookup: "µIU/mL" -> "uiu/ml", "x10³/µL" -> "10^3/ul"
+ * @param {string|null} unit
+ * @returns {string|null}
+ */
+function normalizeUnit(unit) {
+  if (!unit) return null;
+  return String(unit)
+    .toLowerCase()
+    .replace(/[µμ]/g, 'u')
+    .replace(/mcg/g, 'ug')
+    .replace(/³/g, '^3')
+    .replace(/⁹/g, '^9')
+    .replace(/\s+/g, '')
+    .replace(/^[x×*]/, '')
+    .replace(/10e(\d)/, '10^$1')
+    .replace(/\/cumm$/, '/mm3');
+}
+
+/**
+ * Word-order-insensitive form of a normalised name ("glucose fasting" == "fasting glucose")
+ * @param {string} normalized
+ * @returns {string}
+ */
+function sortedWords(normalized) {
+  return normalized.split(' ').sort().join(' ');
+}
+
+const aliasIndex = new Map();
+const sortedAliasIndex = new Map();
+ANALYTES.forEach(analyte => {
+  analyte.aliases.forEach(alias => {
+    aliasIndex.set(normalizeName(alias), analyte);
+    sortedAliasIndex.set(sortedWords(normalizeName(alias)), analyte);
+  });
+});
+
+/**
+ * Find the catalogue entry for a test name or analyte key
+ * Reports often add an abbreviation in brackets ("Hemoglobin A1c (HbA1c)"), so the name
+ * with and without the bracketed part, and the bracketed part alone, are all tried.
+ * @param {string} nameOrKey - e.g. "Hemoglobin A1c", "hba1c", "ldl"
+ * @returns {Object|null}
+ */
+function findAnalyte(nameOrKey) {
+  const name = String(nameOrKey);
+  const byKey = ANALYTES.find(analyte => analyte.key === toAnalyteKey(name));
+  if (byKey) {
+    return byKey;
+  }
+
+  const bracketed = [...name.matchAll(/\(([^)]*)\)/g)].map(match => match[1]);
+  const candidates = [name, name.replace(/\([^)]*\)/g, ' '), ...bracketed]
+    .map(normalizeName)
+    .filter(Boolean);
+
+  for (const candidate of candidates) {
+    const analyte = aliasIndex.get(candidate) || sortedAliasIndex.get(sortedWords(candidate));
+    if (analyte) {
+      return analyte;
+    }
+  }
+  return null;
+}
+
+/**
+ * Identify the analyte an observation measures
+ * @param {{testName: string, analyteKey?: string}} observation
+ * @returns {{key: string, name: string, unit: string|null, known: boolean}}
+ */
+function resolveAnalyte(observation) {
+  const analyte = findAnalyte(observation.testName);
+  if (analyte) {
+    return { key: analyte.key, name: analyte.name, unit: analyte.unit, known: true };
+  }
+  return {
+    key: observation.analyteKey || toAnalyteKey(observation.testName),
+    name: observation.testName,
+    unit: null,
+    known: false
+  };
+}
+
+/**
+ * Convert a value of a known analyte to its canonical unit
+ * @param {string} analyteKey
+ * @param {number} value
+ * @param {string|null} unit - Unit as written on the report
+ * @returns {number|null} - null when the unit is missing or not one the analyte can be measured in
+ */
+function toCanonicalUnit(analyteKey, value, unit) {
+  const analyte = ANALYTES.find(entry => entry.key === analyteKey);
+  const normalizedUnit = normalizeUnit(unit);
+  if (!analyte || !normalizedUnit || value === null || value === undefined) {
+    return null;
+  }
+
+  const conversion = analyte.units[normalizedUnit];
+  if (conversion === undefined) {
+    return null;
+  }
+  return typeof conversion === 'function' ? conversion(value) : value * conversion;
+}
+
+module.exports = {
+  ANALYTES,
+  normalizeName,
+  normalizeUnit,
+  findAnalyte,
+  resolveAnalyte,
+  toCanonicalUnit
+};
@@ -0,0 +1,106 @@
+const { auth } = require('../config/firebase');
+const { sendMail } = require('./mail');
+
+/**
+ * Build the link sent to the user for an out-of-band auth action
+ * If AUTH_ACTION_URL is set, the oobCode is forwarded to that page (mode + oobCode query params,
+ * same convention as the Firebase action handler) so the client can call our confirm endpoints.
+ * Otherwise the Firebase-hosted action link is used as-is.
+ * @param {string} firebaseLink - Link generated by the Admin SDK
+ * @param {string} mode - 'resetPassword' | 'verifyEmail'
+ * @returns {string}
+ */
+function buildActionLink(firebaseLink, mode) {
+  const actionUrl = process.env.AUTH_ACTION_URL;
+  if (!actionUrl) {
+    return firebaseLink;
+  }
+
+  const oobCode = new URL(firebaseLink).searchParams.get('oobCode');
+  const link = new URL(actionUrl);
+  link.searchParams.set('mode', mode);
+  link.searchParams.set('oobCode', oobCode);
+  return link.toString();
+}
+
+/**
+ * Send a password reset email
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} - false if no account exists for the email
+ */
+async function sendPasswordResetEmail(email) {
+  let firebaseLink;
+  try {
+    firebaseLink = await auth.generatePasswordResetLink(email);
+  } catch (error) {
+    if (error.code === 'auth/email-not-found' || error.code === 'auth/user-not-found') {
+      return false;
+    }
+    throw error;
+  }
+
+  const link = buildActionLink(firebaseLink, 'resetPassword');
+
+  await sendMail({
+    to: email,
+    subject: 'Reset your HelloCare password',
+    text: `We received a request to reset your HelloCare password.\n\nUse the link below to choose a new password:\n${link}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>We received a request to reset your HelloCare password.</p><p><a href="${link}">Choose a new password</a></p><p>If you did not request this, you can ignore this email.</p>`
+  });
+
+  return true;
+}
+
+/**
+ * Send an email address verification email
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(email) {
+  const firebaseLink = await auth.generateEmailVerificationLink(email);
+  const link = buildActionLink(firebaseLink, 'verifyEmail');
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your HelloCare email address',
+    text: `Please confirm your email address for HelloCare using the link below:\n${link}`,
+    html: `<p>Please confirm your email address for HelloCare.</p><p><a href="${link}">Verify email address</a></p>`
+  });
+}
+
+/**
+ * Send an admin invitation email
+ * If ADMIN_INVITE_URL is set, the token is passed to that signup page as ?token=...
+ * @param {string} email - Invitee email
+ * @param {string} token - Raw invite token
+ * @param {string} expiresAt - ISO expiry time
+ * @returns {Promise<void>}
+ */
+async function sendAdminInviteEmail(email, token, expiresAt) {
+  const inviteUrl = process.env.ADMIN_INVITE_URL;
+  let link = null;
+  if (inviteUrl) {
+    const url = new URL(inviteUrl);
+    url.searchParams.set('token', token);
+    link = url.toString();
+  }
+
+  const expiry = new Date(expiresAt).toUTCString();
+
+  await sendMail({
+    to: email,
+    subject: 'You have been invited to administer HelloCare',
+    text: link
+      ? `You have been invited to create a HelloCare admin account.\n\nSign up using the link below before ${expiry}:\n${link}`
+      : `You have been invited to create a HelloCare admin account.\n\nUse this invite code when signing up before ${expiry}:\n${token}`,
+    html: link
+      ? `<p>You have been invited to create a HelloCare admin account.</p><p><a href="${link}">Create your admin account</a> before ${expiry}.</p>`
+      : `<p>You have been invited to create a HelloCare admin account.</p><p>Use this invite code when signing up before ${expiry}:</p><p><code>${token}</code></p>`
+  });
+}
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAdminInviteEmail
+};
@@ -0,0 +1,437 @@
+const { db, admin } = require('../config/firebase');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { normalizeToken, stem } = require('./searchText');
+const { queueReportIndexing } = require('./search');
+
+// One document per category, keyed by categoryId (a slug of the name)
+const CATEGORIES_COLLECTION = 'reportCategories';
+
+// Moves reports from one category name to another after a rename or delete
+const CATEGORY_REASSIGN_JOB = 'categories.reassign';
+
+// Reports end up here when nothing else fits; it cannot be deleted
+const FALLBACK_CATEGORY_ID = 'general';
+
+// Classifier results below this confidence leave the report in its current category
+const CLASSIFIER_MIN_CONFIDENCE = parseFloat(process.env.CATEGORY_CLASSIFIER_MIN_CONFIDENCE) || 0.5;
+
+// Each process re-reads the taxonomy at most this often
+const TAXONOMY_CACHE_MS = 60 * 1000;
+
+// A panel found by lab result extraction counts as this many keyword hits
+const PANEL_WEIGHT = 3;
+
+const PAGE_SIZE = 500;
+
+/**
+ * Taxonomy written on first use
+ * aliases are what people type for the category ("blood work", "CBC"); keywords are what the
+ * classifier looks for in the OCR text and in identified panels.
+ */
+const DEFAULT_CATEGORIES = [
+  {
+    categoryId: 'general',
+    name: 'General',
+    aliases: ['other', 'misc', 'miscellaneous', 'uncategorized', 'uncategorised'],
+    keywords: []
+  },
+  {
+    categoryId: 'blood-test',
+    name: 'Blood Test',
+    aliases: ['blood', 'blood work', 'bloodwork', 'blood report', 'lab test', 'lab report', 'pathology', 'hematology', 'haematology', 'biochemistry', 'cbc'],
+    keywords: ['complete blood count', 'cbc', 'hemogram', 'haemogram', 'hemoglobin', 'haemoglobin', 'platelet count', 'wbc', 'rbc', 'hematology', 'haematology', 'glucose', 'hba1c', 'lipid profile', 'lipid panel', 'cholesterol', 'triglycerides', 'creatinine', 'urea', 'thyroid', 'tsh', 'ferritin', 'vitamin d', 'vitamin b12', 'bilirubin', 'sgpt', 'sgot', 'serum', 'esr', 'liver function', 'kidney function']
+  },
+  {
+    categoryId: 'urine-test',
+    name: 'Urine Test',
+    aliases: ['urine', 'urinalysis', 'urine report', 'urine routine'],
+    keywords: ['urine', 'urinalysis', 'urine routine', 'pus cells', 'specific gravity', 'epithelial cells', 'ketones']
+  },
+  {
+    categoryId: 'imaging',
+    name: 'Imaging',
+    aliases: ['radiology', 'scan', 'x ray', 'xray', 'ultrasound', 'usg', 'sonography', 'mri', 'ct', 'ct scan'],
+    keywords: ['x ray', 'xray', 'radiograph', 'ultrasound', 'sonography', 'usg', 'mri', 'ct scan', 'computed tomography', 'radiology', 'mammogram', 'mammography', 'impression', 'contrast']
+  },
+  {
+    categoryId: 'cardiology',
+    name: 'Cardiology',
+    aliases: ['cardiac', 'heart', 'ecg', 'ekg', 'echo', 'echocardiogram'],
+    keywords: ['ecg', 'ekg', 'electrocardiogram', 'echocardiogram', '2d echo', 'treadmill test', 'tmt', 'holter', 'ejection fraction', 'sinus rhythm', 'cardiac']
+  },
+  {
+    categoryId: 'prescription',
+    name: 'Prescription',
+    aliases: ['rx', 'medication', 'medicine', 'medicines'],
+    keywords: ['prescription', 'rx', 'tablet', 'tab', 'capsule', 'syrup', 'once daily', 'twice daily', 'after food', 'before food']
+  },
+  {
+    categoryId: 'discharge-summary',
+    name: 'Discharge Summary',
+    aliases: ['discharge', 'hospital discharge', 'discharge note'],
+    keywords: ['discharge summary', 'date of admission', 'date of discharge', 'admitted', 'discharged', 'course in hospital', 'condition at discharge']
+  },
+  {
+    categoryId: 'vaccination',
+    name: 'Vaccination',
+    aliases: ['vaccine', 'immunization', 'immunisation', 'vaccination record'],
+    keywords: ['vaccine', 'vaccination', 'immunization', 'immunisation', 'booster']
+  }
+];
+
+let taxonomyCache = null;
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {Error}
+ */
+function categoryError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * Normalise a phrase for comparison: lower-cased, accent-folded and stemmed word by word,
+ * so "Blood Tests" and "blood test" compare equal
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizePhrase(text) {
+  return String(text || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .map(normalizeToken)
+    .filter(Boolean)
+    .map(stem)
+    .join(' ');
+}
+
+/**
+ * Category ID for a name: "Discharge Summary" -> "discharge-summary"
+ */
+function toCategoryId(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
+
+/**
+ * Write the default taxonomy (first use only)
+ */
+async function seedDefaultCategories() {
+  const now = new Date().toISOString();
+  const batch = db.batch();
+  DEFAULT_CATEGORIES.forEach(category => {
+    batch.set(db.collection(CATEGORIES_COLLECTION).doc(category.categoryId), {
+      ...category,
+      createdBy: 'system',
+      createdAt: now,
+      updatedAt: now
+    });
+  });
+  await batch.commit();
+}
+
+/**
+ * Load the category taxonomy (cached per process)
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Skip the cache
+ * @returns {Promise<Array<Object>>} - Categories sorted by name
+ */
+async function getTaxonomy({ fresh = false } = {}) {
+  if (!fresh && taxonomyCache && Date.now() - taxonomyCache.loadedAt < TAXONOMY_CACHE_MS) {
+    return taxonomyCache.categories;
+  }
+
+  let snapshot = await db.collection(CATEGORIES_COLLECTION).get();
+  if (snapshot.empty) {
+    await seedDefaultCategories();
+    snapshot = await db.collection(CATEGORIES_COLLECTION).get();
+  }
+
+  const categories = snapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => a.name.localeCompare(b.name));
+  taxonomyCache = { loadedAt: Date.now(), categories };
+  return categories;
+}
+
+/**
+ * Forget the cached taxonomy after a change
+ */
+function invalidateTaxonomy() {
+  taxonomyCache = null;
+}
+
+/**
+ * Find the category a name, alias or categoryId refers to
+ * @param {string} input - e.g. "blood tests", "CBC", "blood-test"
+ * @param {Array<Object>} taxonomy
+ * @returns {Object|null}
+ */
+function findCategory(input, taxonomy) {
+  if (!input) return null;
+  const byId = taxonomy.find(category => category.categoryId === input);
+  if (byId) return byId;
+
+  const phrase = normalizePhrase(input);
+  if (!phrase) return null;
+  return taxonomy.find(category => (
+    normalizePhrase(category.name) === phrase
+    || (category.aliases || []).some(alias => normalizePhrase(alias) === phrase)
+  )) || null;
+}
+
+/**
+ * Canonical category name for user input
+ * A blank value is the fallback category; anything the taxonomy doesn't know is rejected.
+ * @param {string|null|undefined} input
+ * @returns {Promise<string>}
+ */
+async function resolveCategoryName(input) {
+  const taxonomy = await getTaxonomy();
+  if (!input || !String(input).trim()) {
+    const fallback = taxonomy.find(category => category.categoryId === FALLBACK_CATEGORY_ID);
+    return fallback ? fallback.name : 'General';
+  }
+
+  const category = findCategory(input, taxonomy);
+  if (!category) {
+    throw categoryError('UNKNOWN_CATEGORY', `Unknown report category "${input}"`, {
+      category: input,
+      categories: taxonomy.map(entry => entry.name)
+    });
+  }
+  return category.name;
+}
+
+/**
+ * Rank categories for a report from its OCR text and the panels found by lab result extraction
+ * @param {Object} input
+ * @param {string} [input.text] - OCR text
+ * @param {Array<string>} [input.identifiedPanels]
+ * @param {Array<Object>} taxonomy
+ * @returns {Array<{categoryId: string, name: string, confidence: number, matches: Array<string>}>} - Best first
+ */
+function classifyReport({ text = '', identifiedPanels = [] }, taxonomy) {
+  const textPhrase = ` ${normalizePhrase(text)} `;
+  const panelPhrases = identifiedPanels.map(panel => ` ${normalizePhrase(panel)} `);
+
+  const scored = taxonomy
+    .filter(category => category.categoryId !== FALLBACK_CATEGORY_ID)
+    .map(category => {
+      const keywords = [...new Set((category.keywords || []).map(normalizePhrase).filter(Boolean))];
+      const panelTerms = [...new Set([category.name, ...(category.aliases || []), ...(category.keywords || [])]
+        .map(normalizePhrase)
+        .filter(Boolean))];
+
+      const matches = keywords.filter(keyword => textPhrase.includes(` ${keyword} `));
+      const panelHits = panelPhrases.filter(panel => panelTerms.some(term => panel.includes(` ${term} `)));
+      return {
+        categoryId: category.categoryId,
+        name: category.name,
+        score: matches.length + PANEL_WEIGHT * panelHits.length,
+        matches: [...matches, ...panelHits.map(panel => panel.trim())]
+      };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  // Confidence grows with the evidence and shrinks when other categories have some too
+  const totalScore = scored.reduce((sum, { score }) => sum + score, 0);
+  return scored.map(({ score, ...entry }) => ({
+    ...entry,
+    confidence: Math.round(Math.min(0.5 + 0.1 * score, 0.95) * (score / totalScore) * 100) / 100
+  }));
+}
+
+/**
+ * Check that a category's name and aliases don't already belong to another category
+ * @param {Object} category - name, aliases
+ * @param {Array<Object>} taxonomy
+ * @param {string|null} ownId - categoryId being updated
+ */
+function assertNoConflict(category, taxonomy, ownId) {
+  [category.name, ...category.aliases].forEach(term => {
+    const existing = findCategory(term, taxonomy.filter(entry => entry.categoryId !== ownId));
+    if (existing) {
+      throw categoryError('CATEGORY_CONFLICT', `"${term}" is already used by category "${existing.name}"`, {
+        term,
+        categoryId: existing.categoryId
+      });
+    }
+  });
+}
+
+/**
+ * Trim, de-duplicate and drop empty entries of a term list
+ */
+function cleanTerms(terms) {
+  return [...new Set((terms || []).map(term => String(term).trim()).filter(Boolean))];
+}
+
+/**
+ * List the taxonomy
+ * @returns {Promise<Array<Object>>}
+ */
+async function listCategories() {
+  return getTaxonomy({ fresh: true });
+}
+
+/**
+ * Add a category
+ * @param {Object} input - name, aliases, keywords
+ * @param {string} adminId
+ * @returns {Promise<Object>} - Created category
+ */
+async function createCategory({ name, aliases, keywords }, adminId) {
+  const taxonomy = await getTaxonomy({ fresh: true });
+  const category = {
+    categoryId: toCategoryId(name),
+    name: name.trim(),
+    aliases: cleanTerms(aliases),
+    keywords: cleanTerms(keywords)
+  };
+  if (!category.categoryId) {
+    throw categoryError('VALIDATION_ERROR', 'Category name must contain letters or digits');
+  }
+  if (taxonomy.some(entry => entry.categoryId === category.categoryId)) {
+    throw categoryError('CATEGORY_CONFLICT', `Category "${category.categoryId}" already exists`, { categoryId: category.categoryId });
+  }
+  assertNoConflict(category, taxonomy, null);
+
+  const now = new Date().toISOString();
+  const data = { ...category, createdBy: adminId, createdAt: now, updatedBy: adminId, updatedAt: now };
+  await db.collection(CATEGORIES_COLLECTION).doc(category.categoryId).set(data);
+
+  invalidateTaxonomy();
+  return data;
+}
+
+/**
+ * Change a category's name, aliases or keywords
+ * Renaming keeps the old name as an alias and moves the reports filed under it.
+ * @param {string} categoryId
+ * @param {Object} changes - name, aliases, keywords
+ * @param {string} adminId
+ * @returns {Promise<Object>} - Updated category
+ */
+async function updateCategory(categoryId, { name, aliases, keywords }, adminId) {
+  const taxonomy = await getTaxonomy({ fresh: true });
+  const current = taxonomy.find(entry => entry.categoryId === categoryId);
+  if (!current) {
+    throw categoryError('NOT_FOUND', 'Category not found');
+  }
+
+  const renamed = name !== undefined && name.trim() !== current.name;
+  const updated = {
+    ...current,
+    name: name !== undefined ? name.trim() : current.name,
+    aliases: cleanTerms(aliases !== undefined ? aliases : current.aliases),
+    keywords: cleanTerms(keywords !== undefined ? keywords : current.keywords)
+  };
+  if (renamed && !updated.aliases.some(alias => normalizePhrase(alias) === normalizePhrase(current.name))) {
+    updated.aliases.push(current.name);
+  }
+  assertNoConflict(updated, taxonomy, categoryId);
+
+  updated.updatedBy = adminId;
+  updated.updatedAt = new Date().toISOString();
+  await db.collection(CATEGORIES_COLLECTION).doc(categoryId).set(updated);
+
+  invalidateTaxonomy();
+  if (renamed) {
+    await enqueueJob(CATEGORY_REASSIGN_JOB, { from: current.name, to: updated.name });
+  }
+  return updated;
+}
+
+/**
+ * Delete a category; its reports, name and aliases move to another category
+ * @param {string} categoryId
+ * @param {Object} [options]
+ * @param {string} [options.reassignTo] - categoryId receiving the reports (default: the fallback category)
+ * @returns {Promise<{categoryId: string, reassignedTo: string}>}
+ */
+async function deleteCategory(categoryId, { reassignTo = FALLBACK_CATEGORY_ID } = {}) {
+  if (categoryId === FALLBACK_CATEGORY_ID) {
+    throw categoryError('CATEGORY_PROTECTED', 'The fallback category cannot be deleted');
+  }
+
+  const taxonomy = await getTaxonomy({ fresh: true });
+  const current = taxonomy.find(entry => entry.categoryId === categoryId);
+  if (!current) {
+    throw categoryError('NOT_FOUND', 'Category not found');
+  }
+  const target = taxonomy.find(entry => entry.categoryId === reassignTo);
+  if (!target || target.categoryId === categoryId) {
+    throw categoryError('VALIDATION_ERROR', 'reassignTo must be another existing category', { reassignTo });
+  }
+
+  // What people typed for the old category now leads to the new one
+  const targetAliases = cleanTerms([...target.aliases, current.name, ...current.aliases]);
+
+  const batch = db.batch();
+  batch.delete(db.collection(CATEGORIES_COLLECTION).doc(categoryId));
+  batch.update(db.collection(CATEGORIES_COLLECTION).doc(target.categoryId), {
+    aliases: targetAliases,
+    updatedAt: new Date().toISOString()
+  });
+  await batch.commit();
+
+  invalidateTaxonomy();
+  await enqueueJob(CATEGORY_REASSIGN_JOB, { from: current.name, to: target.name });
+  return { categoryId, reassignedTo: target.categoryId };
+}
+
+/**
+ * Job handler: move every report filed under one category name to another
+ * Reports leave the query as they are updated, so the first page is read until it comes back empty.
+ * @param {{from: string, to: string}} payload
+ * @returns {Promise<{updated: number}>}
+ */
+async function reassignReports({ from, to }) {
+  let updated = 0;
+
+  while (true) {
+    const snapshot = await db.collection('reports').where('category', '==', from).limit(PAGE_SIZE).get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.update(doc.ref, {
+      category: to,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+    await batch.commit();
+
+    // Category words are part of the search index
+    for (const doc of snapshot.docs) {
+      await queueReportIndexing(doc.id);
+    }
+    updated += snapshot.size;
+  }
+
+  return { updated };
+}
+
+registerJobHandler(CATEGORY_REASSIGN_JOB, reassignReports);
+
+module.exports = {
+  CATEGORIES_COLLECTION,
+  CATEGORY_REASSIGN_JOB,
+  FALLBACK_CATEGORY_ID,
+  CLASSIFIER_MIN_CONFIDENCE,
+  DEFAULT_CATEGORIES,
+  getTaxonomy,
+  findCategory,
+  resolveCategoryName,
+  classifyReport,
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,333 @@
+const { db, admin } = require('../config/firebase');
+const { generateUploadUrl, generateDownloadUrl, getFileMetadata, downloadFile, deleteFile } = require('./storage');
+const { detectContentType } = require('./reportUpload');
+const { sendMail } = require('./mail');
+
+const VERIFICATION_STATUSES = ['pending_verification', 'verified', 'rejected'];
+
+const CREDENTIAL_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg'
+};
+
+const MAX_CREDENTIAL_BYTES = parseInt(process.env.CREDENTIAL_MAX_FILE_BYTES, 10) || 10 * 1024 * 1024; // 10 MB
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function verificationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether a doctor may be listed, booked and use QR report access
+ * Doctors created before verification existed have no status and are treated as verified.
+ * @param {Object} doctorData - doctors document data
+ * @returns {boolean}
+ */
+function isDoctorVerified(doctorData) {
+  if (!doctorData) return false;
+  return !doctorData.verificationStatus || doctorData.verificationStatus === 'verified';
+}
+
+/**
+ * Build a verification history entry
+ * @param {string} status - New status
+ * @param {string} actorId - UID of the doctor or admin making the change
+ * @param {string|null} [reason] - Reason / notes
+ * @returns {Object}
+ */
+function historyEntry(status, actorId, reason = null) {
+  return {
+    status,
+    by: actorId,
+    reason,
+    at: new Date().toISOString()
+  };
+}
+
+/**
+ * Get a doctor document or throw NOT_FOUND
+ * @param {string} doctorId
+ * @returns {Promise<Object>}
+ */
+async function getDoctorData(doctorId) {
+  const doctorDoc = await db.collection('doctors').doc(doctorId).get();
+  if (!doctorDoc.exists) {
+    throw verificationError('NOT_FOUND', 'Doctor not found');
+  }
+  return doctorDoc.data();
+}
+
+/**
+ * Initial verification fields for a newly signed-up doctor
+ * @param {string} doctorId - Doctor UID
+ * @returns {Object}
+ */
+function getInitialVerificationFields(doctorId) {
+  return {
+    verificationStatus: 'pending_verification',
+    verificationHistory: [historyEntry('pending_verification', doctorId, 'Signed up')],
+    credentials: []
+  };
+}
+
+/**
+ * Generate a signed upload URL for a license / credential document
+ * @param {string} doctorId - Doctor UID
+ * @param {string} fileName - Original file name
+ * @param {string} fileType - pdf | png | jpg | jpeg
+ * @returns {Promise<{uploadUrl: string, fileKey: string, expiresIn: number}>}
+ */
+async function generateCredentialUploadUrl(doctorId, fileName, fileType) {
+  const contentType = CREDENTIAL_CONTENT_TYPES[fileType.toLowerCase()];
+  if (!contentType) {
+    throw verificationError('VALIDATION_ERROR', 'Credential documents must be PDF, PNG or JPEG files');
+  }
+
+  const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
+  const fileKey = `credentials/${doctorId}/${Date.now()}_${sanitizedFileName}`;
+  return generateUploadUrl(fileKey, contentType);
+}
+
+/**
+ * Check that a credential document was really uploaded and is a PDF, PNG or JPEG file
+ * Rejected uploads are deleted from Storage.
+ * @param {string} fileKey - Storage key returned by generateCredentialUploadUrl
+ */
+async function verifyCredentialUpload(fileKey) {
+  let metadata;
+  try {
+    metadata = await getFileMetadata(fileKey);
+  } catch (error) {
+    if (error.code === 404) {
+      throw verificationError('UPLOAD_NOT_FOUND', 'Uploaded file not found. Upload the document before submitting it.');
+    }
+    throw error;
+  }
+
+  let rejection = null;
+  if (!Object.values(CREDENTIAL_CONTENT_TYPES).includes(metadata.contentType)) {
+    rejection = verificationError('UNSUPPORTED_FILE_TYPE', 'Credential documents must be PDF, PNG or JPEG files');
+  } else if (metadata.size > MAX_CREDENTIAL_BYTES) {
+    rejection = verificationError('FILE_TOO_LARGE', `Credential documents must be at most ${MAX_CREDENTIAL_BYTES} bytes`);
+  } else {
+    // Check the actual content, not the type the upload URL was signed with
+    const { buffer } = await downloadFile(fileKey);
+    if (detectContentType(buffer) !== metadata.contentType) {
+      rejection = verificationError('UNSUPPORTED_FILE_TYPE', 'Uploaded file is not a PDF, PNG or JPEG file');
+    }
+  }
+
+  if (rejection) {
+    try {
+      await deleteFile(fileKey);
+    } catch (error) {
+      console.error(`Error removing rejected credential upload ${fileKey}:`, error.message);
+    }
+    throw rejection;
+  }
+}
+
+/**
+ * Attach an uploaded credential document to the doctor profile
+ * A rejected doctor who submits new documents goes back to pending_verification.
+ * @param {string} doctorId - Doctor UID
+ * @param {Object} credential
+ * @param {string} credential.fileKey - Storage key returned by generateCredentialUploadUrl
+ * @param {string} credential.fileName - Original file name
+ * @param {string} credential.documentType - e.g. 'medical_license', 'degree', 'id'
+ * @returns {Promise<{credential: Object, verificationStatus: string}>}
+ */
+async function addCredentialDocument(doctorId, { fileKey, fileName, documentType }) {
+  if (!fileKey.startsWith(`credentials/${doctorId}/`)) {
+    throw verificationError('VALIDATION_ERROR', 'Invalid credential file key');
+  }
+
+  const doctorData = await getDoctorData(doctorId);
+  await verifyCredentialUpload(fileKey);
+
+  const credential = {
+    fileKey,
+    fileName,
+    documentType,
+    uploadedAt: new Date().toISOString()
+  };
+
+  const updates = {
+    credentials: admin.firestore.FieldValue.arrayUnion(credential),
+    updatedAt: new Date().toISOString()
+  };
+
+  let verificationStatus = doctorData.verificationStatus || 'verified';
+  if (verificationStatus === 'rejected') {
+    verificationStatus = 'pending_verification';
+    updates.verificationStatus = verificationStatus;
+    updates.verificationHistory = admin.firestore.FieldValue.arrayUnion(
+      historyEntry(verificationStatus, doctorId, 'New credentials submitted')
+    );
+  }
+
+  await db.collection('doctors').doc(doctorId).update(updates);
+
+  return { credential, verificationStatus };
+}
+
+/**
+ * Shape verification data for API responses
+ * @param {string} doctorId
+ * @param {Object} doctorData - doctors document data
+ * @param {boolean} [includeDownloadUrls=false] - Add signed URLs for credential documents (admin review)
+ * @returns {Promise<Object>}
+ */
+async function formatVerification(doctorId, doctorData, includeDownloadUrls = false) {
+  let credentials = doctorData.credentials || [];
+
+  if (includeDownloadUrls) {
+    credentials = await Promise.all(credentials.map(async (credential) => {
+      try {
+        const { downloadUrl } = await generateDownloadUrl(credential.fileKey);
+        return { ...credential, downloadUrl };
+      } catch (error) {
+        console.error(`Error generating credential URL for ${credential.fileKey}:`, error.message);
+        return { ...credential, downloadUrl: null };
+      }
+    }));
+  }
+
+  return {
+    doctorId,
+    name: doctorData.name,
+    email: doctorData.email,
+    specialization: doctorData.specialization,
+    licenseNumber: doctorData.licenseNumber || null,
+    verificationStatus: doctorData.verificationStatus || 'verified',
+    verifiedAt: doctorData.verifiedAt || null,
+    rejectionReason: doctorData.rejectionReason || null,
+    credentials,
+    verificationHistory: doctorData.verificationHistory || [],
+    createdAt: doctorData.createdAt
+  };
+}
+
+/**
+ * Get a doctor's verification details
+ * @param {string} doctorId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDownloadUrls=false]
+ * @returns {Promise<Object>}
+ */
+async function getDoctorVerification(doctorId, { includeDownloadUrls = false } = {}) {
+  const doctorData = await getDoctorData(doctorId);
+  return formatVerification(doctorId, doctorData, includeDownloadUrls);
+}
+
+/**
+ * List doctors by verification status
+ * @param {string} status - One of VERIFICATION_STATUSES
+ * @returns {Promise<Array>}
+ */
+async function listDoctorsByVerificationStatus(status) {
+  let doctors;
+  if (status === 'verified') {
+    // Legacy doctors without a status count as verified, so filter in memory
+    const snapshot = await db.collection('doctors').get();
+    doctors = snapshot.docs.filter(doc => isDoctorVerified(doc.data()));
+  } else {
+    const snapshot = await db.collection('doctors').where('verificationStatus', '==', status).get();
+    doctors = snapshot.docs;
+  }
+
+  return Promise.all(doctors.map(doc => formatVerification(doc.id, doc.data())));
+}
+
+/**
+ * Email the doctor about a verification decision (best effort)
+ */
+async function notifyDoctor(doctorData, subject, text) {
+  if (!doctorData.email) return;
+  try {
+    await sendMail({ to: doctorData.email, subject, text });
+  } catch (error) {
+    console.error('Error sending verification decision email:', error.message);
+  }
+}
+
+/**
+ * Approve a doctor
+ * @param {string} doctorId - Doctor UID
+ * @param {string} adminId - UID of the approving admin
+ * @param {string|null} [notes] - Optional review notes
+ * @returns {Promise<Object>} - Updated verification details
+ */
+async function approveDoctor(doctorId, adminId, notes = null) {
+  const doctorData = await getDoctorData(doctorId);
+
+  if (doctorData.verificationStatus === 'verified') {
+    throw verificationError('ALREADY_VERIFIED', 'Doctor is already verified');
+  }
+
+  const verifiedAt = new Date().toISOString();
+  await db.collection('doctors').doc(doctorId).update({
+    verificationStatus: 'verified',
+    verifiedAt,
+    verifiedBy: adminId,
+    rejectionReason: null,
+    verificationHistory: admin.firestore.FieldValue.arrayUnion(historyEntry('verified', adminId, notes)),
+    updatedAt: verifiedAt
+  });
+
+  await notifyDoctor(
+    doctorData,
+    'Your HelloCare doctor profile has been verified',
+    `Hello ${doctorData.name},\n\nYour credentials have been reviewed and your profile is now visible to patients on HelloCare.`
+  );
+
+  return getDoctorVerification(doctorId);
+}
+
+/**
+ * Reject a doctor
+ * @param {string} doctorId - Doctor UID
+ * @param {string} adminId - UID of the rejecting admin
+ * @param {string} reason - Reason shown to the doctor
+ * @returns {Promise<Object>} - Updated verification details
+ */
+async function rejectDoctor(doctorId, adminId, reason) {
+  const doctorData = await getDoctorData(doctorId);
+
+  await db.collection('doctors').doc(doctorId).update({
+    verificationStatus: 'rejected',
+    verifiedAt: null,
+    rejectionReason: reason,
+    verificationHistory: admin.firestore.FieldValue.arrayUnion(historyEntry('rejected', adminId, reason)),
+    updatedAt: new Date().toISOString()
+  });
+
+  await notifyDoctor(
+    doctorData,
+    'Your HelloCare doctor verification needs attention',
+    `Hello ${doctorData.name},\n\nWe could not verify your credentials:\n${reason}\n\nYou can upload new documents from your HelloCare account to be reviewed again.`
+  );
+
+  return getDoctorVerification(doctorId);
+}
+
+module.exports = {
+  VERIFICATION_STATUSES,
+  isDoctorVerified,
+  getInitialVerificationFields,
+  generateCredentialUploadUrl,
+  addCredentialDocument,
+  getDoctorVerification,
+  listDoctorsByVerificationStatus,
+  approveDoctor,
+  rejectDoctor
+};
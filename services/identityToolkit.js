@@ -0,0 +1,147 @@
+const axios = require('axios');
+
+const IDENTITY_TOOLKIT_URL = 'https://identitytoolkit.googleapis.com/v1';
+
+/**
+ * Get the Firebase Web API key used for the Auth REST endpoints
+ * @returns {string}
+ */
+function getFirebaseApiKey() {
+  const apiKey = process.env.FIREBASE_WEB_API_KEY;
+  if (!apiKey) {
+    const error = new Error('FIREBASE_WEB_API_KEY environment variable is required');
+    error.code = 'SERVER_CONFIG_ERROR';
+    throw error;
+  }
+  return apiKey;
+}
+
+/**
+ * Call a Firebase Auth (Identity Toolkit) REST endpoint
+ * Firebase error responses are thrown as an Error whose code is the Firebase error message
+ * (e.g. INVALID_OOB_CODE, WEAK_PASSWORD : Password should be at least 6 characters).
+ * @param {string} endpoint - Endpoint name, e.g. 'accounts:resetPassword'
+ * @param {Object} payload - JSON request body
+ * @returns {Promise<Object>} - Response body
+ */
+async function callIdentityToolkit(endpoint, payload) {
+  const response = await axios.post(
+    `${IDENTITY_TOOLKIT_URL}/${endpoint}?key=${getFirebaseApiKey()}`,
+    payload,
+    {
+      validateStatus: function (status) {
+        return status >= 200 && status < 600;
+      }
+    }
+  );
+
+  if (response.status !== 200 || !response.data || response.data.error) {
+    const firebaseMessage = response.data?.error?.message || `HTTP_${response.status}`;
+    const error = new Error(`Firebase Auth request failed: ${firebaseMessage}`);
+    // Firebase appends details after the code, e.g. "WEAK_PASSWORD : Password should be..."
+    error.code = firebaseMessage.split(' ')[0];
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.data;
+}
+
+// Identity Toolkit error codes that all mean the email/password pair was not accepted
+const INVALID_CREDENTIAL_ERRORS = [
+  'INVALID_PASSWORD',
+  'EMAIL_NOT_FOUND',
+  'INVALID_EMAIL',
+  'INVALID_LOGIN_CREDENTIALS',
+  'USER_DISABLED',
+  'MISSING_PASSWORD'
+];
+
+/**
+ * Check whether an Identity Toolkit error means the credentials were rejected
+ * @param {Error} error - Error thrown by callIdentityToolkit
+ * @returns {boolean}
+ */
+function isInvalidCredentialError(error) {
+  return INVALID_CREDENTIAL_ERRORS.includes(error.code);
+}
+
+/**
+ * Verify an email/password pair
+ * @param {string} email - Account email
+ * @param {string} password - Account password
+ * @returns {Promise<{userId: string, idToken: string, refreshToken: string, expiresIn: string}>}
+ */
+async function signInWithPassword(email, password) {
+  const data = await callIdentityToolkit('accounts:signInWithPassword', {
+    email,
+    password,
+    returnSecureToken: true
+  });
+
+  // A successful sign-in always carries the user ID and tokens
+  if (!data.localId || !data.idToken) {
+    const error = new Error('Firebase Auth response missing required fields');
+    error.code = 'INVALID_LOGIN_CREDENTIALS';
+    throw error;
+  }
+
+  return {
+    userId: data.localId,
+    idToken: data.idToken,
+    refreshToken: data.refreshToken,
+    expiresIn: data.expiresIn
+  };
+}
+
+/**
+ * Exchange a custom token for an ID token / refresh token pair
+ * @param {string} customToken - Token from auth.createCustomToken
+ * @returns {Promise<{idToken: string, refreshToken: string, expiresIn: string}>}
+ */
+async function signInWithCustomToken(customToken) {
+  const data = await callIdentityToolkit('accounts:signInWithCustomToken', {
+    token: customToken,
+    returnSecureToken: true
+  });
+  return {
+    idToken: data.idToken,
+    refreshToken: data.refreshToken,
+    expiresIn: data.expiresIn
+  };
+}
+
+/**
+ * Apply a password reset out-of-band code
+ * @param {string} oobCode - Code from the password reset email
+ * @param {string} newPassword - New password
+ * @returns {Promise<{email: string}>}
+ */
+async function confirmPasswordReset(oobCode, newPassword) {
+  const data = await callIdentityToolkit('accounts:resetPassword', { oobCode, newPassword });
+  return { email: data.email };
+}
+
+/**
+ * Apply an email verification out-of-band code
+ * @param {string} oobCode - Code from the verification email
+ * @returns {Promise<{userId: string, email: string, emailVerified: boolean}>}
+ */
+async function confirmEmailVerification(oobCode) {
+  const data = await callIdentityToolkit('accounts:update', { oobCode });
+  return {
+    userId: data.localId,
+    email: data.email,
+    emailVerified: data.emailVerified === true
+  };
+}
+
+module.exports = {
+  getFirebaseApiKey,
+  callIdentityToolkit,
+  isInvalidCredentialError,
+  signInWithPassword,
+  signInWithCustomToken,
+  confirmPasswordReset,
+  confirmEmailVerification
+};
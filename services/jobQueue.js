@@ -0,0 +1,393 @@
+const os = require('os');
+const { db } = require('../config/firebase');
+
+const JOBS_COLLECTION = 'jobs';
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+const BACKOFF_BASE_SECONDS = parseInt(process.env.JOB_BACKOFF_BASE_SECONDS, 10) || 30;
+const BACKOFF_MAX_SECONDS = parseInt(process.env.JOB_BACKOFF_MAX_SECONDS, 10) || 3600;
+// A running job whose lock expires is assumed to belong to a worker that died
+const LOCK_SECONDS = parseInt(process.env.JOB_LOCK_SECONDS, 10) || 600;
+// The worker renews the lock of the job it is running this often, so long jobs aren't recovered mid-run
+const HEARTBEAT_MS = Math.max(Math.floor(LOCK_SECONDS * 1000 / 3), 1000);
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000;
+const CLAIM_BATCH_SIZE = 10;
+
+// Job status values: queued -> running -> completed | queued (retry) | dead
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+// type -> { handler, onDeadLetter }
+const handlers = {};
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type, e.g. 'report.process'
+ * @param {Function} handler - async (payload, job) => result; throw to retry. job.signal is aborted if the
+ *   worker loses the job's lock (it was recovered as stale); long handlers should check it before writing results.
+ * @param {Object} [options]
+ * @param {Function} [options.onDeadLetter] - async (job, error) called once the job has used all its attempts
+ */
+function registerJobHandler(type, handler, { onDeadLetter = null } = {}) {
+  handlers[type] = { handler, onDeadLetter };
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Registered job type
+ * @param {Object} payload - Handler input (must be Firestore-serialisable)
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts]
+ * @param {string} [options.runAt] - ISO time before which the job isn't run (default: now)
+ * @returns {Promise<Object>} - The job document
+ */
+async function enqueueJob(type, payload, { maxAttempts = MAX_ATTEMPTS, runAt = null } = {}) {
+  const jobRef = db.collection(JOBS_COLLECTION).doc();
+  const now = new Date().toISOString();
+
+  const job = {
+    jobId: jobRef.id,
+    type,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts,
+    runAt: runAt || now,
+    lockedUntil: null,
+    workerId: null,
+    lastError: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  await jobRef.set(job);
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(jobId) {
+  const jobDoc = await db.collection(JOBS_COLLECTION).doc(jobId).get();
+  return jobDoc.exists ? jobDoc.data() : null;
+}
+
+/**
+ * Delay before the next attempt: BACKOFF_BASE_SECONDS doubled per failed attempt, capped
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Seconds
+ */
+function backoffSeconds(attempts) {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * End of a job lock taken or renewed now
+ * @param {Date} now
+ * @returns {string} - ISO timestamp
+ */
+function lockExpiry(now) {
+  return new Date(now.getTime() + LOCK_SECONDS * 1000).toISOString();
+}
+
+/**
+ * Atomically take a queued job for this worker
+ * @returns {Promise<Object|null>} - The claimed job, or null if another worker got it first
+ */
+async function claimJob(jobRef, workerId) {
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists || jobDoc.data().status !== 'queued') {
+      return null;
+    }
+
+    const now = new Date();
+    const claimed = {
+      status: 'running',
+      attempts: jobDoc.data().attempts + 1,
+      workerId,
+      lockedUntil: lockExpiry(now),
+      startedAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+    transaction.update(jobRef, claimed);
+
+    return { ...jobDoc.data(), ...claimed };
+  });
+}
+
+/**
+ * Update a running job only if the attempt that claimed it still holds its lock
+ * A job recovered as stale (and maybe claimed again by another worker) is left alone.
+ * @param {Object} job - The claimed job
+ * @param {Object} update - Job fields to write
+ * @returns {Promise<boolean>} - false if the job was recovered (or finished) in the meantime
+ */
+async function updateHeldJob(job, update) {
+  const jobRef = db.collection(JOBS_COLLECTION).doc(job.jobId);
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    const current = jobDoc.exists ? jobDoc.data() : null;
+    if (!current || current.status !== 'running' || current.workerId !== job.workerId || current.attempts !== job.attempts) {
+      return false;
+    }
+
+    transaction.update(jobRef, update);
+    return true;
+  });
+}
+
+/**
+ * Renew the lock of a running job, as long as this attempt still holds it
+ * @param {Object} job - The claimed job
+ * @returns {Promise<boolean>} - false if the job was recovered (or finished) in the meantime
+ */
+async function extendJobLock(job) {
+  const now = new Date();
+  return updateHeldJob(job, { lockedUntil: lockExpiry(now), updatedAt: now.toISOString() });
+}
+
+/**
+ * Claim the next job that is due
+ * @param {string} workerId
+ * @returns {Promise<Object|null>}
+ */
+async function claimNextJob(workerId) {
+  const snapshot = await db.collection(JOBS_COLLECTION)
+    .where('status', '==', 'queued')
+    .where('runAt', '<=', new Date().toISOString())
+    .orderBy('runAt')
+    .limit(CLAIM_BATCH_SIZE)
+    .get();
+
+  for (const doc of snapshot.docs) {
+    const job = await claimJob(doc.ref, workerId);
+    if (job) {
+      return job;
+    }
+  }
+  return null;
+}
+
+/**
+ * Mark a job as completed
+ * @param {Object} job
+ * @param {*} result - Stored on the job for inspection
+ * @returns {Promise<boolean>} - false if this attempt no longer held the job's lock
+ */
+async function completeJob(job, result) {
+  const now = new Date().toISOString();
+  return updateHeldJob(job, {
+    status: 'completed',
+    result: result === undefined ? null : result,
+    lockedUntil: null,
+    lastError: null,
+    completedAt: now,
+    updatedAt: now
+  });
+}
+
+/**
+ * Fields of a failed attempt: a retry with backoff, or the dead letter when out of attempts
+ * @param {Object} job
+ * @param {Error} error
+ * @returns {Object} - Job update; its status is 'queued' or 'dead'
+ */
+function failureUpdate(job, error) {
+  const now = new Date();
+
+  if (job.attempts >= job.maxAttempts) {
+    return {
+      status: 'dead',
+      lockedUntil: null,
+      lastError: error.message,
+      deadAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+  }
+
+  return {
+    status: 'queued',
+    runAt: new Date(now.getTime() + backoffSeconds(job.attempts) * 1000).toISOString(),
+    lockedUntil: null,
+    workerId: null,
+    lastError: error.message,
+    updatedAt: now.toISOString()
+  };
+}
+
+/**
+ * Call the dead-letter hook of a job's type, if it has one
+ * @param {Object} job
+ * @param {Error} error
+ */
+async function runDeadLetterHook(job, error) {
+  const registration = handlers[job.type];
+  if (registration && registration.onDeadLetter) {
+    try {
+      await registration.onDeadLetter(job, error);
+    } catch (hookError) {
+      console.error(`Error in dead-letter hook for job ${job.jobId}:`, hookError);
+    }
+  }
+}
+
+/**
+ * Record a failed attempt: schedule a retry with backoff, or dead-letter the job when out of attempts
+ * @param {Object} job
+ * @param {Error} error
+ * @returns {Promise<string|null>} - New job status ('queued' or 'dead'), or null if this attempt no longer held the lock
+ */
+async function failJob(job, error) {
+  const update = failureUpdate(job, error);
+  if (!await updateHeldJob(job, update)) {
+    return null;
+  }
+
+  if (update.status === 'dead') {
+    await runDeadLetterHook(job, error);
+  }
+  return update.status;
+}
+
+/**
+ * Run a claimed job with its registered handler
+ * @param {Object} job
+ */
+async function runJob(job) {
+  const registration = handlers[job.type];
+  if (!registration) {
+    await failJob({ ...job, maxAttempts: job.attempts }, new Error(`No handler registered for job type ${job.type}`));
+    return;
+  }
+
+  // Once the lock is lost the job belongs to whoever recovered it: the handler is aborted
+  // and this attempt records nothing, whatever the handler still does.
+  const controller = new AbortController();
+  const lockLost = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+  });
+  lockLost.catch(() => {});
+
+  const heartbeat = setInterval(() => {
+    extendJobLock(job)
+      .then((held) => {
+        if (!held) {
+          controller.abort(new Error(`Job ${job.jobId} lost its lock`));
+        }
+      })
+      .catch(error => console.error(`Error renewing lock of job ${job.jobId}:`, error.message));
+  }, HEARTBEAT_MS);
+
+  try {
+    const result = await Promise.race([registration.handler(job.payload, { ...job, signal: controller.signal }), lockLost]);
+    if (!await completeJob(job, result)) {
+      console.warn(`Job ${job.jobId} (${job.type}) finished after losing its lock on attempt ${job.attempts}; result discarded`);
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.warn(`Job ${job.jobId} (${job.type}) lost its lock while running on attempt ${job.attempts}; handler aborted`);
+      return;
+    }
+    console.error(`Job ${job.jobId} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}:`, error.message);
+    await failJob(job, error);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Put back jobs left running by a worker that stopped (crash, restart, deploy)
+ * The interrupted run counts as a failed attempt. Each job is re-checked in a transaction,
+ * so a job another worker already recovered, or whose lock was renewed since the query, is left alone.
+ * @returns {Promise<number>} - Number of jobs recovered
+ */
+async function recoverStaleJobs() {
+  const snapshot = await db.collection(JOBS_COLLECTION)
+    .where('status', '==', 'running')
+    .where('lockedUntil', '<=', new Date().toISOString())
+    .get();
+
+  let recovered = 0;
+  for (const doc of snapshot.docs) {
+    const error = new Error('Worker stopped before the job finished');
+    const job = await db.runTransaction(async (transaction) => {
+      const jobDoc = await transaction.get(doc.ref);
+      const current = jobDoc.exists ? jobDoc.data() : null;
+      if (!current || current.status !== 'running' || current.lockedUntil > new Date().toISOString()) {
+        return null;
+      }
+
+      transaction.update(doc.ref, failureUpdate(current, error));
+      return current;
+    });
+    if (!job) {
+      continue;
+    }
+
+    console.warn(`Recovered job ${job.jobId} abandoned by worker ${job.workerId}`);
+    recovered++;
+    if (job.attempts >= job.maxAttempts) {
+      await runDeadLetterHook(job, error);
+    }
+  }
+  return recovered;
+}
+
+/**
+ * Start polling the queue and running due jobs one at a time
+ * Several workers (in-process or `node worker.js`) can run side by side; claims are transactional.
+ * @param {Object} [options]
+ * @param {number} [options.pollIntervalMs]
+ * @param {string} [options.workerId]
+ * @returns {{workerId: string, stop: Function}} - stop() resolves once the current job has finished
+ */
+function startWorker({ pollIntervalMs = POLL_INTERVAL_MS, workerId = `${os.hostname()}-${process.pid}` } = {}) {
+  let stopped = false;
+  let timer = null;
+  let current = null;
+
+  const poll = async () => {
+    try {
+      await recoverStaleJobs();
+
+      let job = null;
+      while (!stopped && (job = await claimNextJob(workerId))) {
+        current = runJob(job);
+        await current;
+        current = null;
+      }
+    } catch (error) {
+      console.error('Job worker error:', error);
+    }
+
+    if (!stopped) {
+      timer = setTimeout(poll, pollIntervalMs);
+    }
+  };
+
+  console.log(`Job worker ${workerId} started`);
+  poll();
+
+  return {
+    workerId,
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (current) {
+        await current;
+      }
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  startWorker
+};
@@ -0,0 +1,183 @@
+const { auth, db } = require('../config/firebase');
+const { signInWithPassword, signInWithCustomToken, isInvalidCredentialError } = require('./identityToolkit');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('./loginThrottle');
+const { createSession } = require('./session');
+const { setRoleClaim } = require('./roles');
+const { TWO_FACTOR_ROLES, TWO_FACTOR_ENFORCED, isTwoFactorEnabled, setTwoFactorClaim, createLoginChallenge } = require('./twoFactor');
+
+// Retry-after used when Firebase itself rate limits the account
+const FIREBASE_THROTTLE_RETRY_SECONDS = 60;
+
+// Role mismatch messages (kept from the original per-role handlers)
+const ROLE_MISMATCH_MESSAGES = {
+  admin: 'Invalid user role. Admin access required.'
+};
+
+/**
+ * Build a login error with a machine-readable code
+ * @param {string} code - API error code (UNAUTHORIZED | FORBIDDEN | ACCOUNT_LOCKED)
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra error details
+ * @returns {Error}
+ */
+function loginError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+function invalidCredentialsError() {
+  return loginError('UNAUTHORIZED', 'Invalid email or password');
+}
+
+function accountLockedError(retryAfter) {
+  return loginError(
+    'ACCOUNT_LOCKED',
+    'Too many failed login attempts. Please try again later.',
+    { retryAfter }
+  );
+}
+
+/**
+ * Issue a custom token and a refresh-token session for a user who has passed authentication
+ * @param {string} userId - Firebase Auth UID
+ * @param {Object} context - { userAgent, ipAddress }
+ * @param {Object} [tokens] - ID/refresh token pair from a password sign-in; minted from the custom token if omitted
+ * @param {Object} [options]
+ * @param {boolean} [options.twoFactorVerified] - The user completed a second factor. Carried as a claim of the
+ *   custom token, so it stays on every ID token of the session; tokens of enrolled users without it are rejected.
+ * @returns {Promise<{token: string, accessToken: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+ */
+async function issueLoginTokens(userId, context, tokens = null, { twoFactorVerified = false } = {}) {
+  let customToken;
+  try {
+    customToken = await auth.createCustomToken(userId, twoFactorVerified ? { twoFactorVerified: true } : undefined);
+  } catch (tokenError) {
+    console.error('Error creating custom token:', tokenError);
+    if (tokenError.code === 'auth/user-not-found') {
+      throw loginError('UNAUTHORIZED', 'User account not properly configured');
+    }
+    throw tokenError;
+  }
+
+  // Password sign-in tokens never carry the second-factor claim
+  const sessionTokens = tokens && !twoFactorVerified ? tokens : await signInWithCustomToken(customToken);
+  const session = await createSession(userId, sessionTokens, context);
+
+  return {
+    token: customToken,
+    accessToken: session.accessToken,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    sessionId: session.sessionId
+  };
+}
+
+/**
+ * Shared email/password login pipeline for every role
+ * 1. Reject locked-out emails / IP addresses
+ * 2. Verify the password with Firebase Auth (failures count towards a lockout)
+ * 3. Check the user profile and role
+ * 4. Start a second-factor challenge for enrolled doctors/admins, otherwise issue tokens
+ *    (doctors/admins that haven't enrolled yet can only use them to set up an authenticator app)
+ * The email's failure counter is only cleared once the whole login (including the second factor) succeeds.
+ * @param {Object} params
+ * @param {string} params.email - Account email
+ * @param {string} params.password - Account password
+ * @param {string} params.role - Role the login endpoint is for ('patient' | 'doctor' | 'admin')
+ * @param {Object} params.context - { userAgent, ipAddress }
+ * @returns {Promise<Object>} - Login response data
+ */
+async function loginWithPassword({ email, password, role, context }) {
+  const lock = await checkLoginAllowed(email, context.ipAddress);
+  if (lock.locked) {
+    throw accountLockedError(lock.retryAfter);
+  }
+
+  // Verify the password - nothing else is looked up until this succeeds
+  let credentials;
+  try {
+    credentials = await signInWithPassword(email, password);
+  } catch (authError) {
+    if (authError.code === 'SERVER_CONFIG_ERROR') {
+      throw authError;
+    }
+    if (authError.code === 'TOO_MANY_ATTEMPTS_TRY_LATER') {
+      throw accountLockedError(FIREBASE_THROTTLE_RETRY_SECONDS);
+    }
+    // Outages and unexpected responses are not the caller's fault - don't count them
+    if (!isInvalidCredentialError(authError)) {
+      console.error('Unexpected Firebase Auth sign-in error:', authError.message);
+      throw authError;
+    }
+
+    const failure = await recordLoginFailure(email, context.ipAddress);
+    if (failure.locked) {
+      throw accountLockedError(failure.retryAfter);
+    }
+    throw invalidCredentialsError();
+  }
+
+  const { userId } = credentials;
+
+  let userRecord;
+  try {
+    userRecord = await auth.getUser(userId);
+  } catch (adminError) {
+    console.error('Error getting user from Admin SDK:', adminError);
+    if (adminError.code === 'auth/user-not-found') {
+      throw loginError('UNAUTHORIZED', 'User account not properly configured');
+    }
+    throw adminError;
+  }
+
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (!userDoc.exists) {
+    throw loginError('UNAUTHORIZED', 'User account not found');
+  }
+
+  const userData = userDoc.data();
+  if (userData.role !== role) {
+    throw loginError('FORBIDDEN', ROLE_MISMATCH_MESSAGES[role] || 'Invalid user role');
+  }
+
+  // Accounts created before role claims get theirs on first login. The password sign-in
+  // tokens were minted without the claim, so mint fresh ones from the custom token instead.
+  const claimMissing = (userRecord.customClaims || {}).role !== userData.role;
+  if (claimMissing) {
+    await setRoleClaim(userId, userData.role);
+  }
+
+  // Doctors and admins with two-factor enabled must pass a second step before any token is issued
+  if (TWO_FACTOR_ROLES.includes(role) && await isTwoFactorEnabled(userId)) {
+    // Accounts enrolled before the claim existed get it here (and from npm run backfill-two-factor-claims)
+    await setTwoFactorClaim(userId, true);
+    const challenge = await createLoginChallenge(userId, { ...context, email });
+    // Nothing identifying the account (such as its UID) until the second factor has been verified
+    return {
+      twoFactorRequired: true,
+      challengeId: challenge.challengeId,
+      methods: challenge.methods,
+      expiresAt: challenge.expiresAt
+    };
+  }
+
+  await recordLoginSuccess(email);
+  const tokens = await issueLoginTokens(userId, context, claimMissing ? null : credentials);
+
+  return {
+    ...tokens,
+    userId: userId,
+    email: email,
+    name: userData.name,
+    role: userData.role,
+    // These tokens only reach the authenticator app setup endpoints until it is enabled
+    ...(TWO_FACTOR_ENFORCED && TWO_FACTOR_ROLES.includes(role) && { twoFactorEnrolmentRequired: true })
+  };
+}
+
+module.exports = {
+  loginWithPassword,
+  issueLoginTokens
+};
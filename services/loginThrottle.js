@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { db, admin } = require('../config/firebase');
+
+const LOGIN_ATTEMPTS_COLLECTION = 'loginAttempts';
+
+// Failed attempts allowed before a lockout starts (per email and per IP address)
+const MAX_EMAIL_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES_PER_EMAIL, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 20;
+
+// Lockout doubles with every further failure: base, 2x base, 4x base ... capped at max
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60;
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 60 * 60;
+
+// Failure counters reset after this long without a failed attempt
+const FAILURE_WINDOW_MS = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 30) * 60 * 1000;
+
+/**
+ * Get the loginAttempts document for an email or IP address
+ * Keys are hashed so raw emails / IPs are not used as document IDs.
+ * @param {string} type - 'email' | 'ip'
+ * @param {string} value - Email address or IP address
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+function getAttemptRef(type, value) {
+  const normalized = String(value || 'unknown').trim().toLowerCase();
+  const hash = crypto.createHash('sha256').update(normalized).digest('hex');
+  return db.collection(LOGIN_ATTEMPTS_COLLECTION).doc(`${type}_${hash}`);
+}
+
+/**
+ * Seconds left on a lock, or 0 if the key is not locked
+ * @param {Object|undefined} data - loginAttempts document data
+ * @returns {number}
+ */
+function getRemainingLockSeconds(data) {
+  if (!data || !data.lockedUntil) {
+    return 0;
+  }
+  const remainingMs = data.lockedUntil.toDate().getTime() - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+/**
+ * Lockout duration for a failure count
+ * @param {number} failures - Consecutive failures including the current one
+ * @param {number} maxFailures - Failures allowed before locking
+ * @returns {number} - Seconds (0 if below the threshold)
+ */
+function getLockoutSeconds(failures, maxFailures) {
+  if (failures < maxFailures) {
+    return 0;
+  }
+  const exponent = Math.min(failures - maxFailures, 20);
+  return Math.min(LOCKOUT_BASE_SECONDS * Math.pow(2, exponent), LOCKOUT_MAX_SECONDS);
+}
+
+/**
+ * Check whether a login attempt is currently allowed
+ * @param {string} email - Email being logged in to
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<{locked: boolean, retryAfter: number}>} - retryAfter in seconds
+ */
+async function checkLoginAllowed(email, ipAddress) {
+  const [emailDoc, ipDoc] = await Promise.all([
+    getAttemptRef('email', email).get(),
+    getAttemptRef('ip', ipAddress).get()
+  ]);
+
+  const retryAfter = Math.max(
+    getRemainingLockSeconds(emailDoc.data()),
+    getRemainingLockSeconds(ipDoc.data())
+  );
+
+  return { locked: retryAfter > 0, retryAfter };
+}
+
+/**
+ * Increment the failure counter for one key, locking it once over the threshold
+ * @returns {Promise<number>} - Lock duration in seconds (0 if not locked)
+ */
+async function incrementFailures(type, value, maxFailures) {
+  const ref = getAttemptRef(type, value);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const data = doc.exists ? doc.data() : null;
+    const now = Date.now();
+
+    // Start a new window if the last failure is old enough
+    const withinWindow = data && data.lastFailureAt &&
+      now - data.lastFailureAt.toDate().getTime() < FAILURE_WINDOW_MS;
+    const failures = (withinWindow ? data.failures || 0 : 0) + 1;
+    const lockSeconds = getLockoutSeconds(failures, maxFailures);
+
+    transaction.set(ref, {
+      type,
+      failures,
+      lastFailureAt: admin.firestore.Timestamp.fromMillis(now),
+      lockedUntil: lockSeconds > 0 ? admin.firestore.Timestamp.fromMillis(now + lockSeconds * 1000) : null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return lockSeconds;
+  });
+}
+
+/**
+ * Record a failed login attempt against the email and the IP address
+ * @param {string} email - Email being logged in to
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<{locked: boolean, retryAfter: number}>} - Lock state after this failure
+ */
+async function recordLoginFailure(email, ipAddress) {
+  const [emailLock, ipLock] = await Promise.all([
+    incrementFailures('email', email, MAX_EMAIL_FAILURES),
+    incrementFailures('ip', ipAddress, MAX_IP_FAILURES)
+  ]);
+
+  const retryAfter = Math.max(emailLock, ipLock);
+  return { locked: retryAfter > 0, retryAfter };
+}
+
+/**
+ * Clear the failure counter for an email after a successful login
+ * The IP counter is left to expire on its own so one valid account
+ * cannot be used to reset a credential-stuffing run from the same address.
+ * @param {string} email - Email that logged in
+ */
+async function recordLoginSuccess(email) {
+  await getAttemptRef('email', email).delete();
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+};
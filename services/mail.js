@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'HelloCare <no-reply@hellocare.local>';
+const DEFAULT_OUTBOX_DIR = path.resolve(__dirname, '../mail-outbox');
+
+// Stand-ins that leave message bodies (password reset and verification links) in logs or on disk
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Mail transports
+ * A transport is an object with a send(message) method returning a Promise.
+ * Select one with MAIL_TRANSPORT (console | file | smtp) or plug in a custom one with setMailTransport().
+ */
+const transportFactories = {
+  // Local stand-in: print the message to the server log
+  console: () => ({
+    name: 'console',
+    send: async (message) => {
+      console.log(`[Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  }),
+
+  // Local stand-in: write each message as a JSON file into MAIL_OUTBOX_DIR
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR
+      ? path.resolve(process.env.MAIL_OUTBOX_DIR)
+      : DEFAULT_OUTBOX_DIR;
+
+    return {
+      name: 'file',
+      send: async (message) => {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const messageId = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+        const filePath = path.join(outboxDir, `${messageId}.json`);
+        await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+        console.log(`[Mail] Wrote message for ${message.to} to ${filePath}`);
+        return { messageId };
+      }
+    };
+  },
+
+  // Real delivery through an SMTP server
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Check whether email can be sent
+ * In production the local transports count as unavailable: mail-sending endpoints answer 503
+ * instead of the server refusing to start, and best-effort notices are skipped.
+ * @returns {boolean}
+ */
+function isMailAvailable() {
+  if (activeTransport) {
+    return true;
+  }
+
+  const transportName = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  return Boolean(transportFactories[transportName]) &&
+    !(process.env.NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(transportName));
+}
+
+/**
+ * Get the configured mail transport (created on first use)
+ * @returns {{name: string, send: Function}}
+ */
+function getMailTransport() {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  const transportName = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const factory = transportFactories[transportName];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+  }
+  if (process.env.NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(transportName)) {
+    throw new Error(`MAIL_TRANSPORT=${transportName} is for local development only; set MAIL_TRANSPORT=smtp in production`);
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+}
+
+/**
+ * Replace the mail transport (custom providers, tests)
+ * @param {{name?: string, send: Function}} transport - Object with a send(message) method
+ */
+function setMailTransport(transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+}
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendMail({ to, subject, text, html }) {
+  if (!isMailAvailable()) {
+    const error = new Error('Email is not configured on this server');
+    error.code = 'MAIL_UNAVAILABLE';
+    throw error;
+  }
+
+  try {
+    return await getMailTransport().send({
+      from: MAIL_FROM,
+      to,
+      subject,
+      text,
+      ...(html && { html })
+    });
+  } catch (error) {
+    console.error(`Error sending mail to ${to}:`, error);
+    throw new Error('Failed to send email');
+  }
+}
+
+module.exports = {
+  sendMail,
+  isMailAvailable,
+  getMailTransport,
+  setMailTransport
+};
@@ -0,0 +1,599 @@
+const { db, admin } = require('../config/firebase');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { suggestReportMetadata, isAiConfigured } = require('./ai');
+const { DEFAULT_CATEGORIES, CLASSIFIER_MIN_CONFIDENCE, getTaxonomy, findCategory, classifyReport } = require('./categories');
+const { queueReportIndexing } = require('./search');
+
+const METADATA_SUGGESTION_JOB = 'report.suggest-metadata';
+
+// Fields the extraction step proposes; all of them are editable with PATCH /v1/reports/:reportId
+const SUGGESTED_FIELDS = ['title', 'reportDate', 'doctorName', 'clinicName', 'category'];
+
+// Ask the model as well as the rules. Off by default: it sends the report text to Gemini.
+const AI_ASSIST = process.env.METADATA_AI_ASSIST === 'true';
+
+// Suggestions below this confidence are left out of an accept without an explicit field list
+const DEFAULT_ACCEPT_CONFIDENCE = parseFloat(process.env.METADATA_MIN_CONFIDENCE) || 0.5;
+
+// Only the top of a report holds its header; signatures at the bottom name the pathologist, not the doctor
+const HEADER_LINES = 25;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Words in front of a date on the same line, strongest first
+const DATE_LABELS = [
+  { pattern: /\breport(?:ed|ing)?\b/, confidence: 0.9 },
+  { pattern: /\b(?:collect(?:ed|ion)|sample|specimen|drawn)\b/, confidence: 0.85 },
+  { pattern: /\b(?:receiv(?:ed|ing)|regist(?:ered|ration)|visit|exam(?:ination)?|test)\b/, confidence: 0.75 },
+  { pattern: /\bdated?\b/, confidence: 0.7 }
+];
+const BIRTH_DATE_LABEL = /\b(?:birth|dob|d\.o\.b|born)\b/;
+const UNLABELLED_DATE_CONFIDENCE = 0.4;
+
+const DOCTOR_LABEL = /\b(?:referred\s+by|ref(?:\.|erring)?\s*(?:by|doctor|dr|physician)?|consultant|consulting\s+doctor|treating\s+doctor|physician|doctor)\s*[:\-]\s*/i;
+const DOCTOR_NAME = /^(?:Dr\.?\s*)?([A-Z][A-Za-z'\-]*\.?(?:\s+[A-Z][A-Za-z'\-]*\.?){0,3})/;
+const BARE_DOCTOR = /\bDr\.?\s+([A-Z][A-Za-z'\-]*\.?(?:\s+[A-Z][A-Za-z'\-]*\.?){0,3})/g;
+// Degrees printed after a name: "Dr. A. Sharma MBBS, MD"
+const QUALIFICATIONS = /\b(?:MBBS|MD|MS|DNB|FRCP|MRCP|DM|MCh|DCP|DPB|PhD|BDS|MDS|Consultant|Pathologist|Radiologist)\b.*$/;
+
+const CLINIC_WORDS = /\b(?:hospitals?|clinics?|polyclinic|diagnostics?|laborator(?:y|ies)|labs?|pathology|imaging|scans?|medical\s+(?:centre|center|college)|health\s*care|nursing\s+home)\b/i;
+const CLINIC_LABEL = /\b(?:lab(?:oratory)?|hospital|clinic|centre|center)\s+name\s*[:\-]\s*/i;
+
+const TITLE_WORDS = /\b(?:report|profile|panel|test|analysis|examination|study|scan|x-?ray|ultrasound|usg|sonography|mri|ct|ecg|ekg|echo(?:cardiography)?|hemogram|haemogram|urinalysis|prescription)\b/i;
+const TITLE_LABEL = /\b(?:test|investigation|study|examination)\s*(?:name)?\s*[:\-]\s*/i;
+// Header lines that mention a test word but are not titles
+const NOT_A_TITLE = /\b(?:patient|name|age|sex|gender|date|ref|page|sample|id|no\.?)\s*[:\-]/i;
+
+// Kept in capitals when an all-caps heading is title-cased
+const ACRONYMS = new Set(['cbc', 'ecg', 'ekg', 'mri', 'usg', 'tsh', 'lft', 'kft', 'rft', 'ct']);
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function suggestionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Clamp and round a confidence to two decimals
+ */
+function roundConfidence(value) {
+  return Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100;
+}
+
+/**
+ * Build a calendar date, rejecting impossible, very old and future dates
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function toIsoDate(year, month, day) {
+  if (year < 100) {
+    // Two-digit years: 24 -> 2024, 95 -> 1995
+    const currentYear = new Date().getUTCFullYear() % 100;
+    year += year <= currentYear ? 2000 : 1900;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  if (year < 1950 || date.getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the dates written on a line
+ * Numeric dates are read day-first, as printed by most labs we see; when day and month could be
+ * swapped the date is returned as ambiguous.
+ * @param {string} line
+ * @returns {Array<{value: string, index: number, ambiguous: boolean}>}
+ */
+function findDates(line) {
+  const dates = [];
+  const monthPattern = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+  for (const match of line.matchAll(/\b(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})\b/g)) {
+    const value = toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    if (value) dates.push({ value, index: match.index, ambiguous: false });
+  }
+  for (const match of line.matchAll(/\b(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4}|\d{2})\b/g)) {
+    const first = Number(match[1]);
+    const second = Number(match[2]);
+    const year = Number(match[3]);
+    // Read month-first only when the second number cannot be a month (03/25/2024)
+    const value = second > 12 ? toIsoDate(year, first, second) : toIsoDate(year, second, first);
+    if (value) dates.push({ value, index: match.index, ambiguous: first <= 12 && second <= 12 && first !== second });
+  }
+  for (const match of line.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s\\-]+${monthPattern},?[\\s\\-]+(\\d{4}|\\d{2})\\b`, 'gi'))) {
+    const value = toIsoDate(Number(match[3]), MONTHS.indexOf(match[2].toLowerCase()) + 1, Number(match[1]));
+    if (value) dates.push({ value, index: match.index, ambiguous: false });
+  }
+  for (const match of line.matchAll(new RegExp(`\\b${monthPattern}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'))) {
+    const value = toIsoDate(Number(match[3]), MONTHS.indexOf(match[1].toLowerCase()) + 1, Number(match[2]));
+    if (value) dates.push({ value, index: match.index, ambiguous: false });
+  }
+
+  return dates;
+}
+
+/**
+ * Candidate report dates, labelled ones ranked above bare dates; dates of birth are skipped
+ * @param {Array<string>} lines
+ * @returns {Array<{value: string, confidence: number}>}
+ */
+function extractReportDate(lines) {
+  const candidates = [];
+
+  lines.forEach(line => {
+    findDates(line).forEach(({ value, index, ambiguous }) => {
+      // The label is the text between the previous date (or line start) and this one
+      const before = line.slice(0, index).toLowerCase().split(/\d{1,4}[\/\-.]\d{1,2}[\/\-.]\d{1,4}/).pop();
+      if (BIRTH_DATE_LABEL.test(before)) return;
+
+      const label = DATE_LABELS.find(({ pattern }) => pattern.test(before));
+      const confidence = (label ? label.confidence : UNLABELLED_DATE_CONFIDENCE) * (ambiguous ? 0.85 : 1);
+      candidates.push({ value, confidence });
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Strip degrees and trailing punctuation from a doctor's name and prefix "Dr."
+ */
+function formatDoctorName(name) {
+  const cleaned = name.replace(QUALIFICATIONS, '').replace(/[\s,.;:\-]+$/, '').trim();
+  if (!cleaned || cleaned.split(/\s+/).every(word => word.length === 1)) {
+    return null;
+  }
+  return `Dr. ${cleaned}`;
+}
+
+/**
+ * Candidate doctor names: "Referred by: ..." style labels first, then any "Dr. ..." in the header
+ * @param {Array<string>} lines
+ * @returns {Array<{value: string, confidence: number}>}
+ */
+function extractDoctorName(lines) {
+  const candidates = [];
+
+  lines.forEach((line, lineIndex) => {
+    const label = line.match(DOCTOR_LABEL);
+    if (label) {
+      const name = line.slice(label.index + label[0].length).match(DOCTOR_NAME);
+      const value = name && formatDoctorName(name[1]);
+      if (value) {
+        candidates.push({ value, confidence: 0.85 });
+        return;
+      }
+    }
+
+    if (lineIndex < HEADER_LINES) {
+      for (const match of line.matchAll(BARE_DOCTOR)) {
+        const value = formatDoctorName(match[1]);
+        if (value) candidates.push({ value, confidence: 0.55 });
+      }
+    }
+  });
+
+  return candidates;
+}
+
+/**
+ * "LIPID PROFILE" -> "Lipid Profile"; mixed-case text is kept as written
+ */
+function toTitleCase(text) {
+  if (text !== text.toUpperCase()) return text;
+  return text.toLowerCase().replace(/\b([a-z])([a-z]*)/g, (word, first, rest) => (
+    ACRONYMS.has(word) ? word.toUpperCase() : first.toUpperCase() + rest
+  ));
+}
+
+/**
+ * Candidate clinic names: an explicit "Lab name:" label, or a header line naming a hospital, clinic or lab
+ * @param {Array<string>} lines
+ * @returns {Array<{value: string, confidence: number}>}
+ */
+function extractClinicName(lines) {
+  const candidates = [];
+
+  lines.forEach((line, lineIndex) => {
+    const label = line.match(CLINIC_LABEL);
+    if (label) {
+      const value = line.slice(label.index + label[0].length).split(/\s{2,}|,/)[0].trim();
+      if (value.length >= 3) candidates.push({ value, confidence: 0.85 });
+      return;
+    }
+
+    if (lineIndex >= HEADER_LINES || !CLINIC_WORDS.test(line) || line.includes(':') || /\bDr\b/.test(line)) {
+      return;
+    }
+    // Keep the name, drop an address after the first comma or dash
+    const value = line.split(/\s*,\s*|\s+[-|]\s+/)[0].trim();
+    if (value.length >= 4 && value.length <= 80 && /[a-z]/i.test(value) && !/\d{3,}/.test(value)) {
+      candidates.push({ value: toTitleCase(value), confidence: lineIndex < 5 ? 0.75 : 0.6 });
+    }
+  });
+
+  return candidates;
+}
+
+/**
+ * Candidate titles: a "Test name:" label, or a short heading that names a test or study
+ * @param {Array<string>} lines
+ * @param {Array<string>} identifiedPanels - From lab result extraction, when it has run
+ * @returns {Array<{value: string, confidence: number}>}
+ */
+function extractTitle(lines, identifiedPanels) {
+  const candidates = [];
+
+  lines.slice(0, HEADER_LINES).forEach(line => {
+    const label = line.match(TITLE_LABEL);
+    if (label) {
+      const value = line.slice(label.index + label[0].length).split(/\s{2,}/)[0].trim();
+      if (value.length >= 3 && value.length <= 60) candidates.push({ value: toTitleCase(value), confidence: 0.8 });
+      return;
+    }
+
+    if (!TITLE_WORDS.test(line) || line.includes(':') || NOT_A_TITLE.test(line) || CLINIC_WORDS.test(line)) return;
+    if (line.length < 5 || line.length > 60 || /\d{2,}/.test(line)) return;
+
+    // Printed headings are usually in capitals
+    candidates.push({ value: toTitleCase(line), confidence: line === line.toUpperCase() ? 0.65 : 0.55 });
+  });
+
+  if (identifiedPanels.length > 0) {
+    candidates.push({ value: identifiedPanels.slice(0, 2).join(' & '), confidence: 0.6 });
+  }
+
+  return candidates;
+}
+
+/**
+ * Candidate categories from the taxonomy classifier
+ * @param {string} text
+ * @param {Array<string>} identifiedPanels
+ * @param {Array<Object>} taxonomy
+ * @returns {Array<{value: string, confidence: number}>}
+ */
+function extractCategory(text, identifiedPanels, taxonomy) {
+  return classifyReport({ text, identifiedPanels }, taxonomy)
+    .map(({ name, confidence }) => ({ value: name, confidence }));
+}
+
+/**
+ * Collapse candidates to one suggestion: the same value found several times gains confidence,
+ * and the runners-up are kept as alternatives
+ * @param {Array<{value: string, confidence: number}>} candidates
+ * @param {string} source - rules | ai | rules+ai
+ * @returns {Object|null} - { value, confidence, source, alternatives }
+ */
+function pickSuggestion(candidates, source) {
+  const byValue = new Map();
+  candidates.forEach(({ value, confidence }) => {
+    const key = value.toLowerCase();
+    const existing = byValue.get(key);
+    if (!existing) {
+      byValue.set(key, { value, confidence, count: 1 });
+    } else {
+      existing.confidence = Math.max(existing.confidence, confidence);
+      existing.count++;
+    }
+  });
+
+  const ranked = [...byValue.values()]
+    .map(entry => ({ value: entry.value, confidence: roundConfidence(entry.confidence + 0.05 * Math.min(entry.count - 1, 2)) }))
+    .sort((a, b) => b.confidence - a.confidence);
+  if (ranked.length === 0) {
+    return null;
+  }
+
+  return {
+    value: ranked[0].value,
+    confidence: ranked[0].confidence,
+    source,
+    alternatives: ranked.slice(1, 4)
+  };
+}
+
+/**
+ * Propose report metadata from OCR text with rules only
+ * @param {string} text - OCR text
+ * @param {Object} [context]
+ * @param {Array<string>} [context.identifiedPanels] - Panels found by lab result extraction
+ * @param {Array<Object>} [context.taxonomy] - Report categories (see services/categories.js)
+ * @returns {Object} - { field: { value, confidence, source, alternatives } } for the fields that were found
+ */
+function extractMetadataFromText(text, { identifiedPanels = [], taxonomy = DEFAULT_CATEGORIES } = {}) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const candidates = {
+    title: extractTitle(lines, identifiedPanels),
+    reportDate: extractReportDate(lines),
+    doctorName: extractDoctorName(lines),
+    clinicName: extractClinicName(lines),
+    category: extractCategory(lines.join('\n'), identifiedPanels, taxonomy)
+  };
+
+  const fields = {};
+  SUGGESTED_FIELDS.forEach(field => {
+    const suggestion = pickSuggestion(candidates[field], 'rules');
+    if (suggestion) fields[field] = suggestion;
+  });
+
+  // No heading found: name the report after its category
+  if (!fields.title && fields.category) {
+    fields.title = { value: `${fields.category.value} Report`, confidence: 0.3, source: 'rules', alternatives: [] };
+  }
+
+  return fields;
+}
+
+/**
+ * Combine rule-based and model suggestions
+ * Agreement raises confidence; where they disagree the more confident one wins and the other is kept
+ * as an alternative.
+ * @param {Object} ruleFields
+ * @param {Object} aiFields - { field: { value, confidence } }
+ * @returns {Object}
+ */
+function mergeSuggestions(ruleFields, aiFields) {
+  const merged = {};
+
+  SUGGESTED_FIELDS.forEach(field => {
+    const rule = ruleFields[field];
+    const ai = aiFields[field];
+    if (!ai) {
+      if (rule) merged[field] = rule;
+      return;
+    }
+    if (!rule) {
+      // Nothing in the text backs the model up, so it is trusted a little less
+      merged[field] = { value: ai.value, confidence: roundConfidence(ai.confidence * 0.8), source: 'ai', alternatives: [] };
+      return;
+    }
+
+    if (rule.value.toLowerCase() === ai.value.toLowerCase()) {
+      merged[field] = {
+        ...rule,
+        confidence: roundConfidence(Math.max(rule.confidence, ai.confidence) + 0.1),
+        source: 'rules+ai'
+      };
+      return;
+    }
+
+    const aiWins = ai.confidence > rule.confidence;
+    const alternatives = [
+      aiWins ? { value: rule.value, confidence: rule.confidence } : { value: ai.value, confidence: roundConfidence(ai.confidence) },
+      ...rule.alternatives.filter(alternative => alternative.value.toLowerCase() !== ai.value.toLowerCase())
+    ].slice(0, 3);
+    merged[field] = aiWins
+      ? { value: ai.value, confidence: roundConfidence(ai.confidence), source: 'ai', alternatives }
+      : { ...rule, alternatives };
+  });
+
+  return merged;
+}
+
+/**
+ * Whether suggestions will also ask the model
+ */
+function isAiAssistEnabled() {
+  return AI_ASSIST && isAiConfigured();
+}
+
+/**
+ * Job handler: propose metadata for a report from its OCR text
+ * A model failure falls back to the rule-based suggestions rather than failing the job.
+ * @param {{reportId: string}} payload
+ * @returns {Promise<Object>} - Stored as the job result
+ */
+async function generateMetadataSuggestions({ reportId }) {
+  const reportRef = db.collection('reports').doc(reportId);
+  const reportDoc = await reportRef.get();
+  if (!reportDoc.exists) {
+    return { skipped: 'report_not_found' };
+  }
+
+  const report = reportDoc.data();
+  if (!report.extractedText) {
+    await reportRef.update({ suggestedMetadata: unavailableSuggestions('no_text') });
+    return { skipped: 'no_text' };
+  }
+
+  const taxonomy = await getTaxonomy();
+  const identifiedPanels = (report.findingsAnalysis && report.findingsAnalysis.identifiedPanels) || [];
+  let fields = extractMetadataFromText(report.extractedText, { identifiedPanels, taxonomy });
+  let aiError = null;
+
+  if (isAiAssistEnabled()) {
+    try {
+      const aiFields = await suggestReportMetadata(report.extractedText, {
+        categories: taxonomy.map(category => category.name)
+      });
+      // The model may answer with a category outside the taxonomy
+      const aiCategory = aiFields.category && findCategory(aiFields.category.value, taxonomy);
+      if (aiCategory) {
+        aiFields.category.value = aiCategory.name;
+      } else {
+        delete aiFields.category;
+      }
+      fields = mergeSuggestions(fields, aiFields);
+    } catch (error) {
+      console.error(`Metadata AI assist failed for report ${reportId}:`, error.message);
+      aiError = error.message;
+    }
+  }
+
+  // Field by field, so a re-run after lab result extraction keeps what the owner already accepted
+  await reportRef.update({
+    'suggestedMetadata.status': 'completed',
+    'suggestedMetadata.reason': null,
+    'suggestedMetadata.fields': fields,
+    'suggestedMetadata.aiAssisted': isAiAssistEnabled() && !aiError,
+    'suggestedMetadata.aiError': aiError,
+    'suggestedMetadata.generatedAt': new Date().toISOString()
+  });
+
+  const categoryAssigned = await applyClassifiedCategory(reportRef, report, fields.category);
+
+  return { fieldCount: Object.keys(fields).length, categoryAssigned };
+}
+
+/**
+ * File a report under the classified category when the owner didn't choose one
+ * A category the owner picked (or accepted) is never overwritten.
+ * @param {FirebaseFirestore.DocumentReference} reportRef
+ * @param {Object} report - reports document data
+ * @param {Object|undefined} suggestion - Category suggestion
+ * @returns {Promise<string|null>} - Category assigned, or null
+ */
+async function applyClassifiedCategory(reportRef, report, suggestion) {
+  const chosenByOwner = !(report.metadataPlaceholders || []).includes('category') && report.categorySource !== 'classifier';
+  if (chosenByOwner || !suggestion || suggestion.confidence < CLASSIFIER_MIN_CONFIDENCE) {
+    return null;
+  }
+  if (suggestion.value === report.category && report.categorySource === 'classifier') {
+    return null;
+  }
+
+  await reportRef.update({
+    category: suggestion.value,
+    categorySource: 'classifier',
+    categoryConfidence: suggestion.confidence,
+    metadataPlaceholders: admin.firestore.FieldValue.arrayRemove('category')
+  });
+  await queueReportIndexing(reportRef.id);
+  return suggestion.value;
+}
+
+/**
+ * Dead-letter hook: suggestions could not be saved
+ */
+async function markSuggestionsFailed(job, error) {
+  const reportRef = db.collection('reports').doc(job.payload.reportId);
+  const reportDoc = await reportRef.get();
+  if (!reportDoc.exists) return;
+
+  await reportRef.update({
+    suggestedMetadata: { status: 'failed', reason: error.message, fields: {}, generatedAt: new Date().toISOString() }
+  });
+}
+
+registerJobHandler(METADATA_SUGGESTION_JOB, generateMetadataSuggestions, { onDeadLetter: markSuggestionsFailed });
+
+/**
+ * Queue metadata suggestions for a report whose OCR text has just been saved
+ * @param {string} reportId
+ * @returns {Promise<Object>} - The queued job
+ */
+async function queueMetadataSuggestions(reportId) {
+  return enqueueJob(METADATA_SUGGESTION_JOB, { reportId });
+}
+
+/**
+ * Value of suggestedMetadata for a report OCR could not produce text for
+ * @param {string} reason - e.g. 'ocr_failed', 'file_quarantined', 'no_text'
+ * @returns {Object}
+ */
+function unavailableSuggestions(reason) {
+  return { status: 'unavailable', reason, fields: {}, generatedAt: new Date().toISOString() };
+}
+
+/**
+ * The stored suggestions of a report, with a status for reports that have none
+ * @param {string} reportId
+ * @param {Object} report - reports document data
+ * @returns {Object}
+ */
+function describeSuggestions(reportId, report) {
+  const stored = report.suggestedMetadata;
+  if (stored) {
+    return {
+      reportId,
+      status: stored.status,
+      reason: stored.reason || null,
+      fields: stored.fields || {},
+      aiAssisted: Boolean(stored.aiAssisted),
+      generatedAt: stored.generatedAt || null,
+      acceptedAt: stored.acceptedAt || null,
+      acceptedFields: stored.acceptedFields || [],
+      // Fields the patient left blank at upload and that still hold a placeholder
+      placeholderFields: report.metadataPlaceholders || []
+    };
+  }
+
+  // Still waiting for OCR, or uploaded before suggestions existed
+  const pending = ['queued', 'processing'].includes(report.processingStatus);
+  return {
+    reportId,
+    status: pending ? 'pending' : 'not_generated',
+    reason: null,
+    fields: {},
+    aiAssisted: false,
+    generatedAt: null,
+    acceptedAt: null,
+    acceptedFields: [],
+    placeholderFields: report.metadataPlaceholders || []
+  };
+}
+
+/**
+ * Pick the suggestions to apply
+ * @param {Object} fields - Stored suggestions
+ * @param {Object} options
+ * @param {Array<string>} [options.fields] - Fields to accept; all suggested fields when omitted
+ * @param {number} [options.minConfidence] - Applies when no field list is given
+ * @returns {Object} - { field: value } ready for updateReport
+ */
+function selectAcceptedValues(fields, { fields: requested, minConfidence = DEFAULT_ACCEPT_CONFIDENCE } = {}) {
+  const names = requested && requested.length > 0
+    ? requested.filter(field => fields[field])
+    : SUGGESTED_FIELDS.filter(field => fields[field] && fields[field].confidence >= minConfidence);
+
+  if (names.length === 0) {
+    throw suggestionError('NO_SUGGESTIONS', requested && requested.length > 0
+      ? 'None of the requested fields has a suggestion'
+      : 'No suggestion is confident enough to accept');
+  }
+
+  const values = {};
+  names.forEach(field => {
+    values[field] = fields[field].value;
+  });
+  return values;
+}
+
+/**
+ * Record which suggestions were applied to a report
+ * @param {string} reportId
+ * @param {Array<string>} acceptedFields
+ */
+async function markSuggestionsAccepted(reportId, acceptedFields) {
+  await db.collection('reports').doc(reportId).update({
+    'suggestedMetadata.acceptedAt': new Date().toISOString(),
+    'suggestedMetadata.acceptedFields': admin.firestore.FieldValue.arrayUnion(...acceptedFields)
+  });
+}
+
+module.exports = {
+  METADATA_SUGGESTION_JOB,
+  SUGGESTED_FIELDS,
+  suggestionError,
+  extractMetadataFromText,
+  mergeSuggestions,
+  queueMetadataSuggestions,
+  unavailableSuggestions,
+  describeSuggestions,
+  selectAcceptedValues,
+  markSuggestionsAccepted
+};
@@ -0,0 +1,240 @@
+const { db } = require('../config/firebase');
+const { FINDING_STATUSES } = require('./ai');
+
+const OBSERVATIONS_COLLECTION = 'observations';
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+// Guard against a runaway model response filling the collection
+const MAX_OBSERVATIONS_PER_REPORT = 200;
+
+// Values this far outside the reference range are flagged critical (same rule as the analyst prompt)
+const CRITICAL_HIGH_FACTOR = 1.5;
+const CRITICAL_LOW_FACTOR = 0.5;
+
+/**
+ * Parse a number the way the analyst prompt describes: "1,250", "6.2", "<5.7", "≥ 40"
+ * @param {number|string|null} value
+ * @returns {{value: number|null, qualifier: string|null}} - qualifier is '<', '<=', '>' or '>='
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') {
+    return { value: Number.isFinite(value) ? value : null, qualifier: null };
+  }
+  if (typeof value !== 'string') {
+    return { value: null, qualifier: null };
+  }
+
+  const match = value.replace(/,/g, '').match(/^\s*(<=|>=|≤|≥|<|>)?\s*(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)\s*$/i);
+  if (!match) {
+    return { value: null, qualifier: null };
+  }
+
+  const qualifier = { '≤': '<=', '≥': '>=' }[match[1]] || match[1] || null;
+  return { value: parseFloat(match[2]), qualifier };
+}
+
+/**
+ * Treat the model's placeholders ('N/A', 'Not Found', '') as missing
+ * @param {*} value
+ * @returns {string|null}
+ */
+function cleanText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text && !/^(n\/?a|not found|null)$/i.test(text) ? text : null;
+}
+
+/**
+ * Stable key for grouping the same test across reports ("HbA1c " and "hba1c" -> "hba1c")
+ * @param {string} testName
+ * @returns {string}
+ */
+function toAnalyteKey(testName) {
+  return testName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Status from a plain numeric value and its reference range (rule 5 of the analyst prompt)
+ * @returns {string|null} - null when the range gives nothing to compare against
+ */
+function statusFromRange(value, low, high) {
+  if (low !== null && value < low) return 'LOW';
+  if (high !== null && value > high) return 'HIGH';
+  if (low !== null || high !== null) return 'NORMAL';
+  return null;
+}
+
+/**
+ * Validate and normalise one finding from the model
+ * Status and critical are recomputed from the numbers where possible rather than trusted.
+ * @param {Object} finding - Item of the analyst response's findings array
+ * @returns {Object|null} - Observation fields, or null if the finding is unusable
+ */
+function normalizeFinding(finding) {
+  const testName = cleanText(finding && finding.testName);
+  if (!testName) {
+    return null;
+  }
+
+  const measured = parseNumber(finding.measuredValue);
+  const parsedRange = finding.referenceRangeParsed || {};
+  let low = parseNumber(parsedRange.low).value;
+  let high = parseNumber(parsedRange.high).value;
+  if (low !== null && high !== null && low > high) {
+    // A reversed range is a parsing error, not a range
+    low = null;
+    high = null;
+  }
+
+  const modelStatus = FINDING_STATUSES.includes(String(finding.status).toUpperCase())
+    ? String(finding.status).toUpperCase()
+    : 'PENDING';
+
+  let status;
+  let critical;
+  if (measured.value === null) {
+    status = 'PENDING';
+    critical = false;
+  } else if (measured.qualifier) {
+    // "<5.7" is a bound, not a measurement - keep the model's reading
+    status = modelStatus;
+    critical = finding.critical === true && (status === 'HIGH' || status === 'LOW');
+  } else {
+    status = statusFromRange(measured.value, low, high) || 'PENDING';
+    critical = (status === 'HIGH' && measured.value >= high * CRITICAL_HIGH_FACTOR)
+      || (status === 'LOW' && measured.value <= low * CRITICAL_LOW_FACTOR);
+  }
+
+  return {
+    testName,
+    analyteKey: toAnalyteKey(testName),
+    measuredValue: measured.value,
+    valueQualifier: measured.qualifier,
+    rawValue: cleanText(finding.rawValue),
+    units: cleanText(finding.units),
+    referenceRange: { low, high },
+    referenceRangeRaw: cleanText(finding.referenceRangeRaw),
+    status,
+    critical,
+    comments: cleanText(finding.comments)
+  };
+}
+
+/**
+ * ISO date of the report the observations were measured in
+ * @param {FirebaseFirestore.Timestamp|string|null} reportDate
+ * @returns {string|null}
+ */
+function toObservedAt(reportDate) {
+  if (!reportDate) return null;
+  const date = reportDate.toDate ? reportDate.toDate() : new Date(reportDate);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Run writes against a list of documents in batches
+ */
+async function batchWrite(docs, write) {
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_SIZE).forEach(doc => write(batch, doc));
+    await batch.commit();
+  }
+}
+
+/**
+ * Get the observation documents of a report
+ * @param {string} reportId
+ * @returns {Promise<Array<FirebaseFirestore.QueryDocumentSnapshot>>}
+ */
+async function getObservationDocs(reportId) {
+  const snapshot = await db.collection(OBSERVATIONS_COLLECTION)
+    .where('reportId', '==', reportId)
+    .get();
+  return snapshot.docs;
+}
+
+/**
+ * Replace the observations of a report with freshly analysed findings
+ * @param {string} reportId
+ * @param {Object} report - reports document data (userId, reportDate, isDeleted)
+ * @param {Array<Object>} findings - Raw findings from the analyst
+ * @returns {Promise<number>} - Number of observations stored
+ */
+async function replaceReportObservations(reportId, report, findings) {
+  const observations = findings
+    .map(normalizeFinding)
+    .filter(Boolean)
+    .slice(0, MAX_OBSERVATIONS_PER_REPORT);
+
+  const existing = await getObservationDocs(reportId);
+  await batchWrite(existing, (batch, doc) => batch.delete(doc.ref));
+
+  const observedAt = toObservedAt(report.reportDate);
+  const createdAt = new Date().toISOString();
+  const refs = observations.map(() => db.collection(OBSERVATIONS_COLLECTION).doc());
+
+  await batchWrite(observations.map((observation, position) => ({ observation, position })), (batch, { observation, position }) => {
+    batch.set(refs[position], {
+      observationId: refs[position].id,
+      reportId,
+      userId: report.userId,
+      position,
+      ...observation,
+      observedAt,
+      // Mirrors the report's trash state so queries across reports can leave trashed ones out
+      reportDeleted: !!report.isDeleted,
+      createdAt
+    });
+  });
+
+  return observations.length;
+}
+
+/**
+ * List the observations of a report in the order they appear in it
+ * @param {string} reportId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listReportObservations(reportId) {
+  const docs = await getObservationDocs(reportId);
+  return docs.map(doc => doc.data()).sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Delete every observation of a report (used when the report is purged)
+ * @param {string} reportId
+ * @returns {Promise<number>}
+ */
+async function deleteReportObservations(reportId) {
+  const docs = await getObservationDocs(reportId);
+  await batchWrite(docs, (batch, doc) => batch.delete(doc.ref));
+  return docs.length;
+}
+
+/**
+ * Keep the observations of a report in step with its trash state and date
+ * @param {string} reportId
+ * @param {Object} changes - reportDeleted and/or reportDate
+ */
+async function syncReportObservations(reportId, { reportDeleted, reportDate } = {}) {
+  const updates = {};
+  if (reportDeleted !== undefined) updates.reportDeleted = reportDeleted;
+  if (reportDate !== undefined) updates.observedAt = toObservedAt(reportDate);
+  if (Object.keys(updates).length === 0) return;
+
+  const docs = await getObservationDocs(reportId);
+  await batchWrite(docs, (batch, doc) => batch.update(doc.ref, updates));
+}
+
+module.exports = {
+  OBSERVATIONS_COLLECTION,
+  normalizeFinding,
+  toAnalyteKey,
+  replaceReportObservations,
+  listReportObservations,
+  deleteReportObservations,
+  syncReportObservations
+};
@@ -1,132 +1,205 @@
-const vision = require('@google-cloud/vision');
+// The package entry point runs a self-test when loaded without a parent module; use the library directly
+const pdfParse = require('pdf-parse/lib/pdf-parse');
 const { getFileStream } = require('./storage');
-const admin = require('firebase-admin');
-const path = require('path');
-const fs = require('fs');
+const { getOcrProvider, getOcrProviderChain } = require('./ocrProviders');
 
-// Initialize Vision client with Firebase service account credentials
-let visionClient = null;
+// Pages with fewer characters in their text layer than this are treated as scanned images and OCR'd
+const MIN_TEXT_LAYER_CHARS = 20;
 
-function getVisionClient() {
-  if (visionClient) {
-    return visionClient;
+// An OCR call that takes longer than this counts as failed, so the fallback engine gets a turn
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS, 10) || 120000;
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+
+/**
+ * Read a Storage object into memory
+ * @param {string} fileKey - Firebase Storage object path
+ * @returns {Promise<Buffer>}
+ */
+async function readFileBuffer(fileKey) {
+  const fileStream = await getFileStream(fileKey);
+  const chunks = [];
+  for await (const chunk of fileStream) {
+    chunks.push(chunk);
   }
+  return Buffer.concat(chunks);
+}
 
-  try {
-    let credentials;
-    
-    // Get credentials using the same logic as Firebase config
-    if (process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
-      credentials = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
-    } else if (process.env.FIREBASE_SERVICE_ACCOUNT_PATH) {
-      const serviceAccountPath = path.resolve(process.env.FIREBASE_SERVICE_ACCOUNT_PATH);
-      if (fs.existsSync(serviceAccountPath)) {
-        credentials = require(serviceAccountPath);
-      } else {
-        throw new Error(`Firebase service account file not found at: ${serviceAccountPath}`);
-      }
-    } else {
-      const defaultPath = path.resolve(__dirname, '../firebase-service-account.json');
-      if (fs.existsSync(defaultPath)) {
-        credentials = require(defaultPath);
-      } else {
-        throw new Error('Firebase service account not configured. Set FIREBASE_SERVICE_ACCOUNT_PATH or FIREBASE_SERVICE_ACCOUNT_JSON environment variable.');
+/**
+ * Read the embedded text layer of every page of a PDF
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<Array<string>>} - Text per page, in page order (may be empty for scanned pages)
+ */
+async function extractPdfTextLayer(pdfBuffer) {
+  const pageTexts = [];
+
+  await pdfParse(pdfBuffer, {
+    // Called once per page, in order
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY = null;
+      let text = '';
+      for (const item of textContent.items) {
+        // A change in the baseline starts a new line
+        text += lastY === null || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
       }
+      pageTexts.push(text.trim());
+      return text;
     }
+  });
 
-    // Initialize Vision client with credentials
-    visionClient = new vision.ImageAnnotatorClient({
-      credentials: credentials
-    });
+  return pageTexts;
+}
 
-    console.log('Google Cloud Vision API client initialized successfully');
-    return visionClient;
-  } catch (error) {
-    console.error('Error initializing Vision client:', error.message);
-    throw error;
-  }
+/**
+ * Reject if a promise doesn't settle in time
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} label - Used in the timeout error message
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
 /**
- * Extract text from a document using Google Cloud Vision API
- * @param {string} fileKey - Firebase Storage object path
- * @returns {Promise<string>} - Extracted text content
+ * Run an OCR task on the configured provider, falling back to the next one if it fails
+ * @param {Function} task - async (provider) => result
+ * @returns {Promise<{engine: string, result: *}>}
  */
-async function extractTextFromDocument(fileKey) {
-  try {
-    // Get file from Firebase Storage
-    const fileStream = await getFileStream(fileKey);
+async function runOcr(task) {
+  let lastError = null;
 
-    // Convert stream to buffer
-    const chunks = [];
-    for await (const chunk of fileStream) {
-      chunks.push(chunk);
+  for (const name of getOcrProviderChain()) {
+    try {
+      const provider = getOcrProvider(name);
+      const result = await withTimeout(task(provider), OCR_TIMEOUT_MS, `OCR provider ${name}`);
+      return { engine: name, result };
+    } catch (error) {
+      console.warn(`OCR provider ${name} failed:`, error.message);
+      lastError = error;
     }
-    const fileBuffer = Buffer.concat(chunks);
+  }
 
-    // Get Vision client
-    const client = getVisionClient();
+  throw lastError;
+}
 
-    // Detect text using Vision API
-    // Use documentTextDetection for better results with documents/PDFs
-    const [result] = await client.documentTextDetection({
-      image: { content: fileBuffer }
-    });
+/**
+ * OCR pages of a PDF
+ * @param {Buffer} pdfBuffer
+ * @param {Array<number>|null} pageNumbers - 1-based pages to OCR, or null for every page
+ * @returns {Promise<Array<{pageNumber: number, text: string, source: string, engine: string, confidence: number|null}>>}
+ */
+async function ocrPdfPages(pdfBuffer, pageNumbers) {
+  const { engine, result } = await runOcr(provider => provider.recognizePdfPages(pdfBuffer, pageNumbers));
 
-    // Extract text from response
-    let extractedText = '';
-    if (result.fullTextAnnotation && result.fullTextAnnotation.text) {
-      extractedText = result.fullTextAnnotation.text;
-    } else if (result.textAnnotations && result.textAnnotations.length > 0) {
-      // Fallback to textAnnotations if fullTextAnnotation is not available
-      extractedText = result.textAnnotations[0].description || '';
-    }
+  return [...result.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([pageNumber, { text, confidence }]) => ({ pageNumber, text, source: 'ocr', engine, confidence }));
+}
 
-    return extractedText || 'No text could be extracted from the document.';
+/**
+ * Extract text from every page of a PDF
+ * Uses the embedded text layer where there is one and OCRs the remaining (scanned) pages.
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<Array<{pageNumber: number, text: string, source: string}>>}
+ */
+async function extractPdfPages(pdfBuffer) {
+  let textLayer;
+  try {
+    textLayer = await extractPdfTextLayer(pdfBuffer);
   } catch (error) {
-    console.error('Error extracting text with Google Cloud Vision API:', error);
+    // Damaged or encrypted PDFs can still often be OCR'd
+    console.warn('Could not read PDF text layer, falling back to OCR:', error.message);
+    return ocrPdfPages(pdfBuffer, null);
+  }
 
-    // Return error message instead of throwing to allow report creation to continue
-    return `Error extracting text: ${error.message}`;
+  // Text taken straight from the PDF is exact
+  const pages = textLayer.map((text, index) => ({
+    pageNumber: index + 1,
+    text,
+    source: 'text_layer',
+    engine: 'pdf-text',
+    confidence: 1
+  }));
+
+  const scannedPages = pages
+    .filter(page => page.text.length < MIN_TEXT_LAYER_CHARS)
+    .map(page => page.pageNumber);
+
+  if (scannedPages.length > 0) {
+    const ocrPages = await ocrPdfPages(pdfBuffer, scannedPages);
+    ocrPages.forEach(ocrPage => {
+      pages[ocrPage.pageNumber - 1] = ocrPage;
+    });
   }
+
+  return pages;
+}
+
+/**
+ * OCR a single image
+ * @param {Buffer} imageBuffer
+ * @returns {Promise<{pageNumber: number, text: string, source: string, engine: string, confidence: number|null}>}
+ */
+async function ocrImage(imageBuffer) {
+  const { engine, result } = await runOcr(provider => provider.recognizeImage(imageBuffer));
+  return { pageNumber: 1, text: result.text, source: 'ocr', engine, confidence: result.confidence };
+}
+
+/**
+ * Summarise which engine produced a document's text and how confident it was
+ * @param {Array<Object>} pages
+ * @returns {{engine: string|null, confidence: number|null}} - engine is 'mixed' when pages differ;
+ *   confidence is the average over pages that reported one
+ */
+function summariseEngines(pages) {
+  const engines = new Set(pages.map(page => page.engine));
+  const scores = pages.map(page => page.confidence).filter(score => typeof score === 'number');
+
+  return {
+    engine: engines.size > 1 ? 'mixed' : ([...engines][0] || null),
+    confidence: scores.length > 0
+      ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 1000) / 1000
+      : null
+  };
 }
 
 /**
- * Process document asynchronously (for background jobs)
- * Updates the report document in Firestore with extracted text
- * @param {string} reportId - Report document ID
+ * Extract text from a report file, page by page
+ * PDFs are read page by page (text layer, then OCR for scanned pages); images are a single page.
  * @param {string} fileKey - Firebase Storage object path
+ * @returns {Promise<{text: string, pages: Array<Object>, engine: string|null, confidence: number|null}>} - text is '' if none was found
  */
-async function processDocumentAsync(reportId, fileKey) {
+async function extractTextFromDocument(fileKey) {
   try {
-    const extractedText = await extractTextFromDocument(fileKey);
+    const fileBuffer = await readFileBuffer(fileKey);
 
-    // Update report document in Firestore
-    const { db } = require('../config/firebase');
-    await db.collection('reports').doc(reportId).update({
-      extractedText,
-      processedAt: new Date().toISOString()
-    });
+    const isPdf = fileBuffer.subarray(0, PDF_SIGNATURE.length).equals(PDF_SIGNATURE);
+    const pages = isPdf ? await extractPdfPages(fileBuffer) : [await ocrImage(fileBuffer)];
 
-    console.log(`Successfully processed document for report ${reportId}`);
-  } catch (error) {
-    console.error(`Error processing document for report ${reportId}:`, error);
+    const text = pages.map(page => page.text).filter(Boolean).join('\n\n');
+    const { engine, confidence } = summariseEngines(pages);
 
-    // Update report with error message
-    try {
-      const { db } = require('../config/firebase');
-      await db.collection('reports').doc(reportId).update({
-        extractedText: `Error processing document: ${error.message}`,
-        processedAt: new Date().toISOString(),
-        processingError: true
-      });
-    } catch (updateError) {
-      console.error('Error updating report with error status:', updateError);
-    }
+    // '' when nothing was found; callers skip findings, suggestions and classification then
+    return {
+      text,
+      pages,
+      engine,
+      confidence
+    };
+  } catch (error) {
+    console.error('Error extracting text from document:', error);
+    // Let the job queue retry - never store the error as the extracted text
+    throw error;
   }
 }
 
 module.exports = {
-  extractTextFromDocument,
-  processDocumentAsync
+  extractTextFromDocument
 };
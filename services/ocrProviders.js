@@ -0,0 +1,235 @@
+const vision = require('@google-cloud/vision');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { renderPdfPages } = require('./pdfRaster');
+
+// Vision accepts at most 5 pages per file annotation request
+const VISION_PAGES_PER_REQUEST = 5;
+
+// Resolution PDF pages are rasterised at for Tesseract
+const PDF_RENDER_DPI = 144;
+
+/**
+ * Load the Firebase service account, which also grants access to the Vision API
+ * @returns {Object} - Service account credentials
+ */
+function loadServiceAccount() {
+  if (process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
+    return JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
+  }
+  if (process.env.FIREBASE_SERVICE_ACCOUNT_PATH) {
+    const serviceAccountPath = path.resolve(process.env.FIREBASE_SERVICE_ACCOUNT_PATH);
+    if (fs.existsSync(serviceAccountPath)) {
+      return require(serviceAccountPath);
+    }
+    throw new Error(`Firebase service account file not found at: ${serviceAccountPath}`);
+  }
+  const defaultPath = path.resolve(__dirname, '../firebase-service-account.json');
+  if (fs.existsSync(defaultPath)) {
+    return require(defaultPath);
+  }
+  throw new Error('Firebase service account not configured. Set FIREBASE_SERVICE_ACCOUNT_PATH or FIREBASE_SERVICE_ACCOUNT_JSON environment variable.');
+}
+
+/**
+ * Average the page confidences of a Vision fullTextAnnotation
+ * @param {Object|null} annotation
+ * @returns {number|null} - 0-1, or null when Vision didn't report one
+ */
+function visionConfidence(annotation) {
+  const pages = (annotation && annotation.pages) || [];
+  const scores = pages.map(page => page.confidence).filter(score => typeof score === 'number' && score > 0);
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * Google Cloud Vision provider
+ */
+function createVisionProvider() {
+  const client = new vision.ImageAnnotatorClient({ credentials: loadServiceAccount() });
+  console.log('Google Cloud Vision API client initialized successfully');
+
+  return {
+    name: 'vision',
+
+    recognizeImage: async (imageBuffer) => {
+      const [result] = await client.documentTextDetection({
+        image: { content: imageBuffer }
+      });
+
+      if (result.fullTextAnnotation && result.fullTextAnnotation.text) {
+        return { text: result.fullTextAnnotation.text.trim(), confidence: visionConfidence(result.fullTextAnnotation) };
+      }
+      if (result.textAnnotations && result.textAnnotations.length > 0) {
+        // Fallback to textAnnotations if fullTextAnnotation is not available
+        return { text: (result.textAnnotations[0].description || '').trim(), confidence: null };
+      }
+      return { text: '', confidence: null };
+    },
+
+    recognizePdfPages: async (pdfBuffer, pageNumbers) => {
+      const texts = new Map();
+
+      // Without a page list, keep requesting until Vision reports the last page
+      const pending = pageNumbers ? [...pageNumbers] : null;
+      let nextPage = 1;
+      let totalPages = Infinity;
+
+      while (pending ? pending.length > 0 : nextPage <= totalPages) {
+        let pages;
+        if (pending) {
+          pages = pending.splice(0, VISION_PAGES_PER_REQUEST);
+        } else {
+          pages = [];
+          for (let page = nextPage; page < nextPage + VISION_PAGES_PER_REQUEST && page <= totalPages; page++) {
+            pages.push(page);
+          }
+          nextPage += VISION_PAGES_PER_REQUEST;
+        }
+
+        const [result] = await client.batchAnnotateFiles({
+          requests: [{
+            inputConfig: { content: pdfBuffer, mimeType: 'application/pdf' },
+            features: [{ type: 'DOCUMENT_TEXT_DETECTION' }],
+            pages
+          }]
+        });
+
+        const fileResponse = result.responses[0];
+        if (fileResponse.error && fileResponse.error.message) {
+          throw new Error(`Vision file annotation failed: ${fileResponse.error.message}`);
+        }
+        totalPages = fileResponse.totalPages || 0;
+
+        fileResponse.responses.forEach((pageResponse, index) => {
+          const pageNumber = (pageResponse.context && pageResponse.context.pageNumber) || pages[index];
+          const annotation = pageResponse.fullTextAnnotation;
+          texts.set(pageNumber, {
+            text: ((annotation && annotation.text) || '').trim(),
+            confidence: visionConfidence(annotation)
+          });
+        });
+      }
+
+      return texts;
+    }
+  };
+}
+
+/**
+ * Local Tesseract provider (no cloud credentials needed)
+ * Language data is downloaded on first use unless TESSERACT_LANG_PATH points at local traineddata files.
+ */
+function createTesseractProvider() {
+  const { createWorker } = require('tesseract.js');
+  const lang = process.env.TESSERACT_LANG || 'eng';
+  let workerPromise = null;
+
+  const getWorker = () => {
+    if (!workerPromise) {
+      // Downloaded language data is cached on disk; the app directory isn't writable in the Docker image
+      const options = { cachePath: process.env.TESSERACT_CACHE_PATH || os.tmpdir() };
+      if (process.env.TESSERACT_LANG_PATH) options.langPath = process.env.TESSERACT_LANG_PATH;
+
+      workerPromise = createWorker(lang, 1, options).catch((error) => {
+        // Try again on the next call instead of caching the failure
+        workerPromise = null;
+        throw error;
+      });
+    }
+    return workerPromise;
+  };
+
+  const recognizeImage = async (imageBuffer) => {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(imageBuffer);
+    return {
+      text: (data.text || '').trim(),
+      confidence: typeof data.confidence === 'number' ? data.confidence / 100 : null
+    };
+  };
+
+  return {
+    name: 'tesseract',
+
+    recognizeImage,
+
+    recognizePdfPages: async (pdfBuffer, pageNumbers) => {
+      const { images } = await renderPdfPages(pdfBuffer, { pageNumbers, dpi: PDF_RENDER_DPI });
+      const texts = new Map();
+
+      for (const { pageNumber, image } of images) {
+        texts.set(pageNumber, await recognizeImage(image));
+      }
+
+      return texts;
+    }
+  };
+}
+
+/**
+ * OCR providers
+ * A provider has a name and two methods:
+ *   recognizeImage(buffer) -> {text, confidence}
+ *   recognizePdfPages(pdfBuffer, pageNumbers|null) -> Map<pageNumber, {text, confidence}>
+ * confidence is 0-1 (or null if the engine doesn't report one).
+ * Select with OCR_PROVIDER / OCR_FALLBACK_PROVIDER, or plug in a custom one with setOcrProvider().
+ */
+const providerFactories = {
+  vision: createVisionProvider,
+  tesseract: createTesseractProvider
+};
+
+const providers = {};
+
+/**
+ * Get an OCR provider by name (created on first use)
+ * @param {string} name - vision | tesseract | a name passed to setOcrProvider
+ * @returns {{name: string, recognizeImage: Function, recognizePdfPages: Function}}
+ */
+function getOcrProvider(name) {
+  if (providers[name]) {
+    return providers[name];
+  }
+
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown OCR provider: ${name}`);
+  }
+
+  providers[name] = factory();
+  return providers[name];
+}
+
+/**
+ * Register or replace an OCR provider (custom engines, tests)
+ * @param {string} name
+ * @param {{recognizeImage: Function, recognizePdfPages: Function}} provider
+ */
+function setOcrProvider(name, provider) {
+  if (!provider || typeof provider.recognizeImage !== 'function' || typeof provider.recognizePdfPages !== 'function') {
+    throw new Error('OCR provider must implement recognizeImage(buffer) and recognizePdfPages(pdfBuffer, pageNumbers)');
+  }
+  providers[name] = { name, ...provider };
+}
+
+/**
+ * Provider names to try in order: OCR_PROVIDER, then OCR_FALLBACK_PROVIDER
+ * The fallback defaults to the other built-in engine; set it to 'none' to disable.
+ * @returns {Array<string>}
+ */
+function getOcrProviderChain() {
+  const primary = (process.env.OCR_PROVIDER || 'vision').toLowerCase();
+  const defaultFallback = primary === 'vision' ? 'tesseract' : 'vision';
+  const fallback = (process.env.OCR_FALLBACK_PROVIDER || defaultFallback).toLowerCase();
+
+  return fallback === 'none' || fallback === primary ? [primary] : [primary, fallback];
+}
+
+module.exports = {
+  getOcrProvider,
+  setOcrProvider,
+  getOcrProviderChain
+};
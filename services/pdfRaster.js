@@ -0,0 +1,76 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const execFileAsync = promisify(execFile);
+
+// Poppler's pdfinfo / pdftoppm, run as separate processes (the poppler-utils system package)
+const POPPLER_BIN_DIR = process.env.POPPLER_BIN_DIR || '';
+// A malformed PDF shouldn't hold a job worker indefinitely
+const POPPLER_TIMEOUT_MS = parseInt(process.env.PDF_RENDER_TIMEOUT_MS, 10) || 60000;
+
+/**
+ * Run a poppler command line tool
+ * @param {string} tool - pdfinfo | pdftoppm
+ * @param {Array<string>} args
+ * @returns {Promise<string>} - stdout
+ */
+async function runPoppler(tool, args) {
+  const command = POPPLER_BIN_DIR ? path.join(POPPLER_BIN_DIR, tool) : tool;
+  try {
+    const { stdout } = await execFileAsync(command, args, { timeout: POPPLER_TIMEOUT_MS, maxBuffer: 1024 * 1024 });
+    return stdout;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${tool} not found; install poppler-utils (or set POPPLER_BIN_DIR) to render PDF pages`);
+    }
+    throw new Error(`${tool} failed: ${(error.stderr || error.message).toString().trim()}`);
+  }
+}
+
+/**
+ * Render pages of a PDF to PNG images
+ * @param {Buffer} pdfBuffer
+ * @param {Object} [options]
+ * @param {Array<number>|null} [options.pageNumbers] - 1-based pages to render; null for every page
+ * @param {number} [options.maxPages] - Render at most this many pages
+ * @param {number} [options.dpi=144] - Resolution (72 dpi = the page's size in points)
+ * @param {number} [options.width] - Render each page this many pixels wide instead of at dpi
+ * @returns {Promise<{pageCount: number, images: Array<{pageNumber: number, image: Buffer}>}>}
+ */
+async function renderPdfPages(pdfBuffer, { pageNumbers = null, maxPages = Infinity, dpi = 144, width = null } = {}) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hellocare-pdf-'));
+  const pdfPath = path.join(workDir, 'document.pdf');
+
+  try {
+    await fs.writeFile(pdfPath, pdfBuffer);
+
+    const info = await runPoppler('pdfinfo', [pdfPath]);
+    const match = info.match(/^Pages:\s+(\d+)/m);
+    const pageCount = match ? parseInt(match[1], 10) : 0;
+
+    const pages = (pageNumbers || Array.from({ length: pageCount }, (_, index) => index + 1))
+      .filter(pageNumber => pageNumber >= 1 && pageNumber <= pageCount)
+      .slice(0, maxPages);
+
+    const images = [];
+    for (const pageNumber of pages) {
+      const outputBase = path.join(workDir, `page-${pageNumber}`);
+      const size = width ? ['-scale-to-x', String(width), '-scale-to-y', '-1'] : ['-r', String(dpi)];
+      await runPoppler('pdftoppm', [
+        '-png', '-singlefile', '-f', String(pageNumber), '-l', String(pageNumber), ...size, pdfPath, outputBase
+      ]);
+      images.push({ pageNumber, image: await fs.readFile(`${outputBase}.png`) });
+    }
+
+    return { pageCount, images };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  renderPdfPages
+};
@@ -0,0 +1,276 @@
+const { auth, db } = require('../config/firebase');
+const { signInWithPassword, isInvalidCredentialError } = require('./identityToolkit');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('./loginThrottle');
+const { revokeAllSessions } = require('./session');
+const { sendVerificationEmail } = require('./authEmails');
+const { sendMail } = require('./mail');
+
+// Fields each role may change through PATCH /v1/me
+const USER_FIELDS = {
+  patient: ['name', 'phone', 'dateOfBirth'],
+  doctor: ['name', 'phone'],
+  admin: ['name', 'phone']
+};
+const DOCTOR_FIELDS = ['specialization', 'bio', 'yearsOfExperience'];
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {Error}
+ */
+function profileError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Get the profile of the current user
+ * @param {string} userId - Firebase Auth UID
+ * @returns {Promise<Object>}
+ */
+async function getProfile(userId) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (!userDoc.exists) {
+    throw profileError('NOT_FOUND', 'User profile not found');
+  }
+
+  const userData = userDoc.data();
+  const userRecord = await auth.getUser(userId);
+
+  const profile = {
+    userId,
+    email: userRecord.email,
+    emailVerified: userRecord.emailVerified,
+    name: userData.name,
+    phone: userData.phone || null,
+    role: userData.role,
+    createdAt: userData.createdAt,
+    updatedAt: userData.updatedAt || null,
+    // Set while an account deletion request is in its grace period
+    deletionScheduledFor: userData.deletionScheduledFor || null
+  };
+
+  if (userData.role === 'patient') {
+    profile.dateOfBirth = userData.dateOfBirth || null;
+  }
+
+  if (userData.role === 'doctor') {
+    const doctorDoc = await db.collection('doctors').doc(userId).get();
+    const doctorData = doctorDoc.exists ? doctorDoc.data() : {};
+    profile.specialization = doctorData.specialization || null;
+    profile.bio = doctorData.bio || '';
+    profile.yearsOfExperience = doctorData.yearsOfExperience || 0;
+    profile.licenseNumber = doctorData.licenseNumber || null;
+    profile.profileImageUrl = doctorData.profileImageUrl || null;
+    profile.verificationStatus = doctorData.verificationStatus || 'verified';
+  }
+
+  return profile;
+}
+
+/**
+ * Apply updates to many documents in batches
+ * @param {Array<FirebaseFirestore.QueryDocumentSnapshot>} docs
+ * @param {Object} updates
+ */
+async function batchUpdate(docs, updates) {
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_SIZE).forEach(doc => batch.update(doc.ref, updates));
+    await batch.commit();
+  }
+}
+
+/**
+ * Keep the denormalised names on appointments in sync with the profile
+ * @param {string} userId - Firebase Auth UID
+ * @param {string} role - 'patient' | 'doctor'
+ * @param {Object} changes - Changed profile fields
+ * @returns {Promise<number>} - Number of appointments updated
+ */
+async function syncAppointmentCopies(userId, role, changes) {
+  const updates = {};
+  let field;
+
+  if (role === 'doctor') {
+    field = 'doctorId';
+    if (changes.name !== undefined) updates.doctorName = changes.name;
+    if (changes.specialization !== undefined) updates.doctorSpecialization = changes.specialization;
+  } else if (role === 'patient') {
+    field = 'patientId';
+    if (changes.name !== undefined) updates.patientName = changes.name;
+  }
+
+  if (!field || Object.keys(updates).length === 0) {
+    return 0;
+  }
+
+  const snapshot = await db.collection('appointments').where(field, '==', userId).get();
+  await batchUpdate(snapshot.docs, updates);
+  return snapshot.size;
+}
+
+/**
+ * Update the profile of the current user
+ * @param {string} userId - Firebase Auth UID
+ * @param {Object} changes - Requested field changes
+ * @returns {Promise<Object>} - Updated profile
+ */
+async function updateProfile(userId, changes) {
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    throw profileError('NOT_FOUND', 'User profile not found');
+  }
+
+  const { role } = userDoc.data();
+  const allowedUserFields = USER_FIELDS[role] || [];
+  const allowedFields = role === 'doctor' ? [...allowedUserFields, ...DOCTOR_FIELDS] : allowedUserFields;
+
+  const requestedFields = Object.keys(changes).filter(key => changes[key] !== undefined);
+  const disallowed = requestedFields.filter(key => !allowedFields.includes(key));
+  if (disallowed.length > 0) {
+    throw profileError('VALIDATION_ERROR', `These fields cannot be changed for a ${role} account`, { fields: disallowed });
+  }
+  if (requestedFields.length === 0) {
+    throw profileError('VALIDATION_ERROR', 'No profile fields to update');
+  }
+
+  const updatedAt = new Date().toISOString();
+
+  const userUpdates = { updatedAt };
+  allowedUserFields.forEach(key => {
+    if (changes[key] !== undefined) userUpdates[key] = changes[key];
+  });
+  await userRef.update(userUpdates);
+
+  if (role === 'doctor') {
+    // name and phone are also stored on the doctor listing
+    const doctorUpdates = { updatedAt };
+    ['name', 'phone', ...DOCTOR_FIELDS].forEach(key => {
+      if (changes[key] !== undefined) doctorUpdates[key] = changes[key];
+    });
+    await db.collection('doctors').doc(userId).update(doctorUpdates);
+  }
+
+  if (changes.name !== undefined) {
+    await auth.updateUser(userId, { displayName: changes.name });
+  }
+
+  await syncAppointmentCopies(userId, role, changes);
+
+  return getProfile(userId);
+}
+
+/**
+ * Confirm the current password before a sensitive change
+ * Failed attempts count towards the login lockout.
+ * @param {string} email - Current account email
+ * @param {string} password - Current password
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object>} - Tokens from the password sign-in
+ */
+async function reauthenticate(email, password, ipAddress) {
+  const lock = await checkLoginAllowed(email, ipAddress);
+  if (lock.locked) {
+    throw profileError('ACCOUNT_LOCKED', 'Too many failed attempts. Please try again later.', { retryAfter: lock.retryAfter });
+  }
+
+  try {
+    const credentials = await signInWithPassword(email, password);
+    await recordLoginSuccess(email);
+    return credentials;
+  } catch (error) {
+    if (!isInvalidCredentialError(error)) {
+      throw error;
+    }
+
+    const failure = await recordLoginFailure(email, ipAddress);
+    if (failure.locked) {
+      throw profileError('ACCOUNT_LOCKED', 'Too many failed attempts. Please try again later.', { retryAfter: failure.retryAfter });
+    }
+    throw profileError('INVALID_PASSWORD', 'Current password is incorrect');
+  }
+}
+
+/**
+ * Change the account email address
+ * The new address must be verified again; the old address is notified of the change.
+ * @param {string} userId - Firebase Auth UID
+ * @param {string} currentPassword - Current password (re-authentication)
+ * @param {string} newEmail - New email address
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<{email: string, emailVerified: boolean}>}
+ */
+async function changeEmail(userId, currentPassword, newEmail, ipAddress) {
+  const userRecord = await auth.getUser(userId);
+  const oldEmail = userRecord.email;
+
+  if (oldEmail === newEmail) {
+    throw profileError('VALIDATION_ERROR', 'New email is the same as the current email');
+  }
+
+  await reauthenticate(oldEmail, currentPassword, ipAddress);
+
+  await auth.updateUser(userId, { email: newEmail, emailVerified: false });
+
+  const updatedAt = new Date().toISOString();
+  const userRef = db.collection('users').doc(userId);
+  await userRef.update({ email: newEmail, updatedAt });
+
+  const userDoc = await userRef.get();
+  if (userDoc.data().role === 'doctor') {
+    await db.collection('doctors').doc(userId).update({ email: newEmail, updatedAt });
+  }
+
+  // Mail failures should not undo the change - the user can request another verification email
+  try {
+    await sendVerificationEmail(newEmail);
+  } catch (error) {
+    console.error('Error sending verification email after email change:', error.message);
+  }
+  try {
+    await sendMail({
+      to: oldEmail,
+      subject: 'Your HelloCare email address was changed',
+      text: `The email address on your HelloCare account was changed to ${newEmail}.\n\nIf you did not make this change, reset your password and contact support immediately.`
+    });
+  } catch (error) {
+    console.error('Error sending email change notice:', error.message);
+  }
+
+  return { email: newEmail, emailVerified: false };
+}
+
+/**
+ * Change the account password
+ * Signs out every existing session; the caller should issue a new session for the current device.
+ * @param {string} userId - Firebase Auth UID
+ * @param {string} currentPassword - Current password (re-authentication)
+ * @param {string} newPassword - New password
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+async function changePassword(userId, currentPassword, newPassword, ipAddress) {
+  const userRecord = await auth.getUser(userId);
+
+  await reauthenticate(userRecord.email, currentPassword, ipAddress);
+
+  await auth.updateUser(userId, { password: newPassword });
+  await revokeAllSessions(userId);
+}
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  reauthenticate,
+  changeEmail,
+  changePassword
+};
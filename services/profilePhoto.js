@@ -0,0 +1,192 @@
+const sharp = require('sharp');
+const { db } = require('../config/firebase');
+const {
+  generateUploadUrl,
+  downloadFile,
+  uploadFile,
+  getPublicUrl,
+  deleteFile
+} = require('./storage');
+
+const MAX_PHOTO_BYTES = parseInt(process.env.PROFILE_PHOTO_MAX_BYTES, 10) || 5 * 1024 * 1024; // 5 MB
+
+const PHOTO_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Formats reported by sharp that we accept as a profile photo
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Square variants generated from every upload; profileImageUrl points at 'medium'
+const PHOTO_VARIANTS = {
+  thumbnail: 128,
+  small: 256,
+  medium: 512
+};
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function photoError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Generate a signed URL for uploading a profile photo
+ * @param {string} doctorId - Doctor UID
+ * @param {string} fileType - jpg | jpeg | png | webp
+ * @param {number} fileSize - Declared file size in bytes
+ * @returns {Promise<{uploadUrl: string, fileKey: string, expiresIn: number, maxFileSize: number}>}
+ */
+async function generatePhotoUploadUrl(doctorId, fileType, fileSize) {
+  const extension = fileType.toLowerCase();
+  const contentType = PHOTO_CONTENT_TYPES[extension];
+  if (!contentType) {
+    throw photoError('VALIDATION_ERROR', 'Profile photos must be JPEG, PNG or WebP images');
+  }
+  if (fileSize > MAX_PHOTO_BYTES) {
+    throw photoError('FILE_TOO_LARGE', `Profile photos must be at most ${MAX_PHOTO_BYTES} bytes`);
+  }
+
+  const fileKey = `profile-photos/${doctorId}/original_${Date.now()}.${extension}`;
+  const result = await generateUploadUrl(fileKey, contentType);
+  return { ...result, maxFileSize: MAX_PHOTO_BYTES };
+}
+
+/**
+ * Delete every stored file of a photo set (missing files are ignored)
+ * @param {Array<string>} fileKeys
+ */
+async function deletePhotoFiles(fileKeys) {
+  for (const fileKey of fileKeys || []) {
+    try {
+      await deleteFile(fileKey);
+    } catch (error) {
+      console.error(`Error deleting profile photo file ${fileKey}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Validate an uploaded photo, generate resized variants and set it as the doctor's profile photo
+ * The uploaded original is removed once the variants are stored; any previous photo is deleted.
+ * @param {string} doctorId - Doctor UID
+ * @param {string} fileKey - Key returned by generatePhotoUploadUrl
+ * @returns {Promise<{profileImageUrl: string, profileImages: Object}>}
+ */
+async function setProfilePhoto(doctorId, fileKey) {
+  if (!fileKey.startsWith(`profile-photos/${doctorId}/original_`)) {
+    throw photoError('VALIDATION_ERROR', 'Invalid profile photo file key');
+  }
+
+  const doctorRef = db.collection('doctors').doc(doctorId);
+  const doctorDoc = await doctorRef.get();
+  if (!doctorDoc.exists) {
+    throw photoError('NOT_FOUND', 'Doctor not found');
+  }
+
+  let original;
+  try {
+    original = await downloadFile(fileKey);
+  } catch (error) {
+    if (error.code === 404) {
+      throw photoError('UPLOAD_NOT_FOUND', 'Uploaded photo not found. Upload the file before submitting it.');
+    }
+    throw error;
+  }
+
+  try {
+    if (original.size > MAX_PHOTO_BYTES) {
+      throw photoError('FILE_TOO_LARGE', `Profile photos must be at most ${MAX_PHOTO_BYTES} bytes`);
+    }
+
+    // Check the actual content, not the declared type
+    let metadata;
+    try {
+      metadata = await sharp(original.buffer).metadata();
+    } catch (error) {
+      throw photoError('UNSUPPORTED_FILE_TYPE', 'Uploaded file is not a valid image');
+    }
+    if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+      throw photoError('UNSUPPORTED_FILE_TYPE', 'Profile photos must be JPEG, PNG or WebP images');
+    }
+
+    const version = Date.now();
+    const profileImages = {};
+    const profileImageKeys = [];
+
+    for (const [variant, size] of Object.entries(PHOTO_VARIANTS)) {
+      // rotate() applies EXIF orientation; metadata (incl. GPS) is stripped from the output
+      const resized = await sharp(original.buffer)
+        .rotate()
+        .resize(size, size, { fit: 'cover', position: 'attention' })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer();
+
+      const variantKey = `profile-photos/${doctorId}/${version}_${variant}.jpg`;
+      await uploadFile(variantKey, resized, 'image/jpeg', { cacheControl: 'public, max-age=31536000, immutable' });
+      profileImages[variant] = await getPublicUrl(variantKey);
+      profileImageKeys.push(variantKey);
+    }
+
+    const previousKeys = doctorDoc.data().profileImageKeys || [];
+
+    await doctorRef.update({
+      profileImageUrl: profileImages.medium,
+      profileImages,
+      profileImageKeys,
+      profileImageUpdatedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    await deletePhotoFiles(previousKeys);
+
+    return { profileImageUrl: profileImages.medium, profileImages };
+  } finally {
+    // The original is never served - variants only
+    await deletePhotoFiles([fileKey]);
+  }
+}
+
+/**
+ * Remove the doctor's profile photo
+ * @param {string} doctorId - Doctor UID
+ * @returns {Promise<void>}
+ */
+async function removeProfilePhoto(doctorId) {
+  const doctorRef = db.collection('doctors').doc(doctorId);
+  const doctorDoc = await doctorRef.get();
+  if (!doctorDoc.exists) {
+    throw photoError('NOT_FOUND', 'Doctor not found');
+  }
+
+  const doctorData = doctorDoc.data();
+  if (!doctorData.profileImageUrl) {
+    throw photoError('NOT_FOUND', 'No profile photo to remove');
+  }
+
+  await doctorRef.update({
+    profileImageUrl: null,
+    profileImages: null,
+    profileImageKeys: [],
+    profileImageUpdatedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  await deletePhotoFiles(doctorData.profileImageKeys);
+}
+
+module.exports = {
+  MAX_PHOTO_BYTES,
+  generatePhotoUploadUrl,
+  setProfilePhoto,
+  removeProfilePhoto
+};
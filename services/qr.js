@@ -2,6 +2,8 @@ const crypto = require('crypto');
 const QRCode = require('qrcode');
 const { db } = require('../config/firebase');
 const { generateDownloadUrl } = require('../services/storage');
+const { isScanClean } = require('./scanner');
+const { getPreviewUrls } = require('./reportPreviews');
 
 const ALGORITHM = 'aes-256-gcm';
 // Generate or use provided secret key (must be 32 bytes for AES-256)
@@ -40,38 +42,15 @@ function encrypt(text) {
   return iv.toString('hex') + ':' + authTag.toString('hex') + ':' + encrypted;
 }
 
-/**
- * Decrypt a token
- * @param {string} encryptedText - Encrypted token
- * @returns {string} - Decrypted text
- */
-function decrypt(encryptedText) {
-  const parts = encryptedText.split(':');
-  if (parts.length !== 3) {
-    throw new Error('Invalid encrypted token format');
-  }
-  
-  const iv = Buffer.from(parts[0], 'hex');
-  const authTag = Buffer.from(parts[1], 'hex');
-  const encrypted = parts[2];
-  
-  const decipher = crypto.createDecipheriv(ALGORITHM, Buffer.from(SECRET_KEY, 'hex'), iv);
-  decipher.setAuthTag(authTag);
-  
-  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  
-  return decrypted;
-}
-
 /**
  * Generate QR token for reports
  * @param {Array<string>} reportIds - Array of report IDs
  * @param {number} expiresIn - Expiration time in seconds (default: 3600)
  * @param {string} userId - User ID who owns the reports
+ * @param {Object|null} [selection] - Tag or folder the reportIds were taken from, e.g. { type: 'tag', tagId }
  * @returns {Promise<{qrToken: string, expiresAt: string}>}
  */
-async function generateQRToken(reportIds, expiresIn = 3600, userId) {
+async function generateQRToken(reportIds, expiresIn = 3600, userId, selection = null) {
   try {
     // Create token data
     const expiresAt = new Date(Date.now() + expiresIn * 1000);
@@ -90,6 +69,7 @@ async function generateQRToken(reportIds, expiresIn = 3600, userId) {
       qrToken: encryptedToken,
       reportIds,
       userId,
+      selection,
       expiresAt: expiresAt.toISOString(),
       createdAt: new Date().toISOString()
     };
@@ -109,37 +89,24 @@ async function generateQRToken(reportIds, expiresIn = 3600, userId) {
 /**
  * Validate QR token
  * @param {string} qrToken - QR token to validate
- * @returns {Promise<{valid: boolean, reportIds?: Array<string>, expiresAt?: string}>}
+ * @returns {Promise<{valid: boolean, reportIds?: Array<string>, userId?: string, expiresAt?: string}>}
  */
 async function validateQRToken(qrToken) {
   try {
-    // First, try to get from Firestore (faster and more secure)
+    // The stored document is the source of truth: revocation lives on it, and purging an account
+    // deletes it, so a token without one is never valid even if it still decrypts
     const tokenDoc = await db.collection('qrTokens').doc(qrToken).get();
-
     if (!tokenDoc.exists) {
-      // Try decrypting to verify if it's a valid encrypted token
-      try {
-        const decrypted = decrypt(qrToken);
-        const tokenData = JSON.parse(decrypted);
-        
-        // Check expiration
-        const expiresAt = new Date(tokenData.expiresAt);
-        if (expiresAt < new Date()) {
-          return { valid: false };
-        }
-
-        return {
-          valid: true,
-          reportIds: tokenData.reportIds,
-          expiresAt: tokenData.expiresAt
-        };
-      } catch (error) {
-        return { valid: false };
-      }
+      return { valid: false };
     }
 
     const tokenData = tokenDoc.data();
 
+    // Tokens are revoked when a shared report is deleted
+    if (tokenData.revoked) {
+      return { valid: false };
+    }
+
     // Check expiration
     const expiresAt = new Date(tokenData.expiresAt);
     if (expiresAt < new Date()) {
@@ -149,6 +116,7 @@ async function validateQRToken(qrToken) {
     return {
       valid: true,
       reportIds: tokenData.reportIds,
+      userId: tokenData.userId,
       expiresAt: tokenData.expiresAt
     };
   } catch (error) {
@@ -199,7 +167,8 @@ async function getReportsByQRToken(qrToken) {
     const reports = [];
     for (const reportId of reportIds) {
       const reportDoc = await db.collection('reports').doc(reportId).get();
-      if (reportDoc.exists) {
+      // Reports moved to the trash or quarantined after the code was shared are no longer visible
+      if (reportDoc.exists && !reportDoc.data().isDeleted && isScanClean(reportDoc.data())) {
         const reportData = reportDoc.data();
         // Convert Firestore Timestamp to ISO string
         let reportDateStr = null;
@@ -238,7 +207,9 @@ async function getReportsByQRToken(qrToken) {
           category: reportData.category,
           doctorName: reportData.doctorName,
           clinicName: reportData.clinicName,
-          storageUrl: downloadUrl || reportData.storageUrl // Use signed URL if available, fallback to storageUrl
+          storageUrl: downloadUrl || reportData.storageUrl, // Use signed URL if available, fallback to storageUrl
+          // Thumbnail and page previews so the doctor can see what a file is before opening it
+          preview: await getPreviewUrls(reportData)
         });
       }
     }
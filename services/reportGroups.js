@@ -0,0 +1,313 @@
+const { db, admin } = require('../config/firebase');
+
+/**
+ * Tags and folders a patient organises reports with
+ * A report can carry many tags (reports.tagIds) but sits in at most one folder (reports.folderId).
+ * Both are private to their owner.
+ */
+const GROUP_KINDS = {
+  tag: { collection: 'reportTags', idField: 'tagId', reportField: 'tagIds', label: 'Tag' },
+  folder: { collection: 'reportFolders', idField: 'folderId', reportField: 'folderId', label: 'Folder' }
+};
+
+// Tags or folders a user can have (each)
+const MAX_GROUPS_PER_USER = 200;
+const MAX_TAGS_PER_REPORT = 20;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+// getAll() is chunked to keep single reads small
+const READ_CHUNK_SIZE = 100;
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {Error}
+ */
+function groupError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * Collapse whitespace in a name; the lower-cased form is what must be unique per user
+ */
+function cleanName(name) {
+  return String(name).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Run a list of batch writes in chunks
+ * @param {Array<Function>} writes - Each called with a WriteBatch
+ */
+async function commitWrites(writes) {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Load a tag or folder and check that it belongs to the user
+ * @param {string} kind - 'tag' | 'folder'
+ * @param {string} userId
+ * @param {string} groupId
+ * @returns {Promise<{ref: FirebaseFirestore.DocumentReference, data: Object}>}
+ */
+async function getOwnedGroup(kind, userId, groupId) {
+  const { collection, label } = GROUP_KINDS[kind];
+  const ref = db.collection(collection).doc(groupId);
+  const doc = await ref.get();
+
+  if (!doc.exists) {
+    throw groupError('NOT_FOUND', `${label} not found`);
+  }
+  if (doc.data().userId !== userId) {
+    throw groupError('FORBIDDEN', 'Access denied');
+  }
+  return { ref, data: doc.data() };
+}
+
+/**
+ * Active (not trashed) reports of a user in a tag or folder
+ * Trashed reports are filtered here rather than in the query: reports from before the trash
+ * have no isDeleted field, and Firestore never matches a missing field.
+ * @param {string} kind
+ * @param {string} userId
+ * @param {string} groupId
+ * @returns {Promise<Array<FirebaseFirestore.QueryDocumentSnapshot>>}
+ */
+async function activeReportsInGroup(kind, userId, groupId) {
+  const query = db.collection('reports').where('userId', '==', userId);
+  const snapshot = await (kind === 'tag'
+    ? query.where('tagIds', 'array-contains', groupId)
+    : query.where('folderId', '==', groupId)).get();
+
+  return snapshot.docs.filter(doc => !doc.data().isDeleted);
+}
+
+/**
+ * List a user's tags or folders with the number of reports in each
+ * @param {string} kind - 'tag' | 'folder'
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>} - Sorted by name
+ */
+async function listGroups(kind, userId) {
+  const { collection, idField } = GROUP_KINDS[kind];
+  const snapshot = await db.collection(collection).where('userId', '==', userId).get();
+
+  const groups = await Promise.all(snapshot.docs.map(async doc => {
+    const reports = await activeReportsInGroup(kind, userId, doc.id);
+    return { ...doc.data(), [idField]: doc.id, reportCount: reports.length };
+  }));
+
+  return groups.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check that no other tag (or folder) of the user has the same name
+ */
+async function assertNameAvailable(kind, userId, name, ownId = null) {
+  const { collection, label } = GROUP_KINDS[kind];
+  const snapshot = await db.collection(collection)
+    .where('userId', '==', userId)
+    .where('nameKey', '==', name.toLowerCase())
+    .get();
+
+  if (snapshot.docs.some(doc => doc.id !== ownId)) {
+    throw groupError('NAME_CONFLICT', `${label} "${name}" already exists`, { name });
+  }
+}
+
+/**
+ * Create a tag or folder
+ * @param {string} kind - 'tag' | 'folder'
+ * @param {string} userId
+ * @param {Object} input - name, color (#RRGGBB, optional)
+ * @returns {Promise<Object>}
+ */
+async function createGroup(kind, userId, { name, color }) {
+  const { collection, idField, label } = GROUP_KINDS[kind];
+  const groupName = cleanName(name);
+
+  const existing = await db.collection(collection).where('userId', '==', userId).count().get();
+  if (existing.data().count >= MAX_GROUPS_PER_USER) {
+    throw groupError('LIMIT_REACHED', `You can have at most ${MAX_GROUPS_PER_USER} ${label.toLowerCase()}s`);
+  }
+  await assertNameAvailable(kind, userId, groupName);
+
+  const ref = db.collection(collection).doc();
+  const now = new Date().toISOString();
+  const group = {
+    [idField]: ref.id,
+    userId,
+    name: groupName,
+    nameKey: groupName.toLowerCase(),
+    color: color || null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await ref.set(group);
+
+  return { ...group, reportCount: 0 };
+}
+
+/**
+ * Rename or recolour a tag or folder
+ * @param {string} kind - 'tag' | 'folder'
+ * @param {string} userId
+ * @param {string} groupId
+ * @param {Object} changes - name, color (null clears it)
+ * @returns {Promise<Object>}
+ */
+async function updateGroup(kind, userId, groupId, { name, color }) {
+  const { ref, data } = await getOwnedGroup(kind, userId, groupId);
+
+  const updates = { updatedAt: new Date().toISOString() };
+  if (name !== undefined) {
+    updates.name = cleanName(name);
+    updates.nameKey = updates.name.toLowerCase();
+    if (updates.nameKey !== data.nameKey) {
+      await assertNameAvailable(kind, userId, updates.name, groupId);
+    }
+  }
+  if (color !== undefined) {
+    updates.color = color || null;
+  }
+
+  await ref.update(updates);
+  return { ...data, ...updates };
+}
+
+/**
+ * Delete a tag or folder; its reports stay, they just lose the tag or leave the folder
+ * Trashed reports are cleared too, so a restored report doesn't point at a deleted group.
+ * @param {string} kind - 'tag' | 'folder'
+ * @param {string} userId
+ * @param {string} groupId
+ * @returns {Promise<{reportsUpdated: number}>}
+ */
+async function deleteGroup(kind, userId, groupId) {
+  const { ref } = await getOwnedGroup(kind, userId, groupId);
+
+  const reportsQuery = db.collection('reports').where('userId', '==', userId);
+  const snapshot = kind === 'tag'
+    ? await reportsQuery.where('tagIds', 'array-contains', groupId).get()
+    : await reportsQuery.where('folderId', '==', groupId).get();
+
+  const clear = kind === 'tag'
+    ? { tagIds: admin.firestore.FieldValue.arrayRemove(groupId) }
+    : { folderId: null };
+  await commitWrites([
+    ...snapshot.docs.map(doc => batch => batch.update(doc.ref, clear)),
+    batch => batch.delete(ref)
+  ]);
+
+  return { reportsUpdated: snapshot.size };
+}
+
+/**
+ * Load reports by ID and check that all of them are the user's active reports
+ * @param {string} userId
+ * @param {Array<string>} reportIds
+ * @returns {Promise<Array<FirebaseFirestore.DocumentSnapshot>>}
+ */
+async function getOwnedReportDocs(userId, reportIds) {
+  const ids = [...new Set(reportIds)];
+  const docs = [];
+  for (let i = 0; i < ids.length; i += READ_CHUNK_SIZE) {
+    docs.push(...await db.getAll(...ids.slice(i, i + READ_CHUNK_SIZE).map(id => db.collection('reports').doc(id))));
+  }
+
+  const missing = docs
+    .filter(doc => !doc.exists || doc.data().userId !== userId || doc.data().isDeleted)
+    .map(doc => doc.id);
+  if (missing.length > 0) {
+    throw groupError('NOT_FOUND', 'Some reports were not found', { reportIds: missing });
+  }
+  return docs;
+}
+
+/**
+ * Add and remove tags on many reports at once
+ * @param {string} userId
+ * @param {Object} input
+ * @param {Array<string>} input.reportIds
+ * @param {Array<string>} [input.add] - tagIds to add
+ * @param {Array<string>} [input.remove] - tagIds to remove
+ * @returns {Promise<{updated: number}>}
+ */
+async function assignTags(userId, { reportIds, add = [], remove = [] }) {
+  await Promise.all([...new Set([...add, ...remove])].map(tagId => getOwnedGroup('tag', userId, tagId)));
+  const docs = await getOwnedReportDocs(userId, reportIds);
+
+  const updates = docs.map(doc => {
+    const current = doc.data().tagIds || [];
+    const tagIds = [...new Set([...current, ...add])].filter(tagId => !remove.includes(tagId));
+    if (tagIds.length > MAX_TAGS_PER_REPORT) {
+      throw groupError('LIMIT_REACHED', `A report can have at most ${MAX_TAGS_PER_REPORT} tags`, { reportId: doc.id });
+    }
+    return { doc, tagIds };
+  });
+
+  await commitWrites(updates.map(({ doc, tagIds }) => batch => batch.update(doc.ref, { tagIds })));
+  return { updated: updates.length };
+}
+
+/**
+ * Move many reports into a folder, or out of their folder (folderId = null)
+ * @param {string} userId
+ * @param {Object} input
+ * @param {Array<string>} input.reportIds
+ * @param {string|null} input.folderId
+ * @returns {Promise<{updated: number}>}
+ */
+async function moveToFolder(userId, { reportIds, folderId }) {
+  if (folderId) {
+    await getOwnedGroup('folder', userId, folderId);
+  }
+  const docs = await getOwnedReportDocs(userId, reportIds);
+
+  await commitWrites(docs.map(doc => batch => batch.update(doc.ref, { folderId: folderId || null })));
+  return { updated: docs.length };
+}
+
+/**
+ * Turn a selection (explicit reportIds, a tag or a folder) into report IDs
+ * Tags and folders are expanded to the active reports in them at the time of the call.
+ * @param {string} userId
+ * @param {Object} selection - exactly one of reportIds, tagId, folderId
+ * @returns {Promise<Array<string>>}
+ */
+async function resolveReportSelection(userId, { reportIds, tagId, folderId }) {
+  if (reportIds) {
+    return reportIds;
+  }
+
+  const kind = tagId ? 'tag' : 'folder';
+  const groupId = tagId || folderId;
+  const { data } = await getOwnedGroup(kind, userId, groupId);
+
+  const reports = await activeReportsInGroup(kind, userId, groupId);
+  if (reports.length === 0) {
+    throw groupError('EMPTY_SELECTION', `${GROUP_KINDS[kind].label} "${data.name}" has no reports`, { [GROUP_KINDS[kind].idField]: groupId });
+  }
+  return reports.map(doc => doc.id);
+}
+
+module.exports = {
+  GROUP_KINDS,
+  MAX_TAGS_PER_REPORT,
+  listGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  assignTags,
+  moveToFolder,
+  resolveReportSelection
+};
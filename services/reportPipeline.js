@@ -0,0 +1,292 @@
+const { db } = require('../config/firebase');
+const { registerJobHandler, enqueueJob, getJob } = require('./jobQueue');
+const { scanReportFile } = require('./scanner');
+const { extractTextFromDocument } = require('./ocr');
+const { getOwnedReport } = require('./reports');
+const { analyzeReportFindings, isAiConfigured } = require('./ai');
+const { replaceReportObservations } = require('./observations');
+const { queueReportIndexing } = require('./search');
+const { queueMetadataSuggestions, unavailableSuggestions } = require('./metadataSuggestions');
+const { queueReportPreviews, deleteReportPreviews } = require('./reportPreviews');
+
+const REPORT_PROCESSING_JOB = 'report.process';
+const REPORT_ANALYSIS_JOB = 'report.analyze';
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function pipelineError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Queue the malware scan and OCR for a report
+ * @param {string} reportId
+ * @param {string} fileKey - Storage object path of the report file
+ * @returns {Promise<Object>} - The queued job
+ */
+async function queueReportProcessing(reportId, fileKey) {
+  const job = await enqueueJob(REPORT_PROCESSING_JOB, { reportId, fileKey });
+
+  await db.collection('reports').doc(reportId).update({
+    processingStatus: 'queued',
+    processingJobId: job.jobId,
+    processingError: null
+  });
+
+  return job;
+}
+
+/**
+ * Replace the per-page text of a report (reports/{reportId}/pages/{pageNumber})
+ * @param {FirebaseFirestore.DocumentReference} reportRef
+ * @param {Array<{pageNumber: number, text: string, source: string}>} pages
+ */
+async function saveReportPages(reportRef, pages) {
+  const pagesRef = reportRef.collection('pages');
+
+  // Clear pages from a previous run; a re-processed file may have fewer pages
+  const existing = await pagesRef.get();
+  const writes = [
+    ...existing.docs.map(doc => batch => batch.delete(doc.ref)),
+    ...pages.map(page => batch => batch.set(pagesRef.doc(String(page.pageNumber)), page))
+  ];
+
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Job handler: scan the file, then extract its text and queue lab result extraction
+ * Throwing makes the queue retry with backoff.
+ * @param {{reportId: string, fileKey: string}} payload
+ * @param {Object} job
+ * @returns {Promise<Object>} - Stored as the job result
+ */
+async function processReport({ reportId, fileKey }, job) {
+  const reportRef = db.collection('reports').doc(reportId);
+  const reportDoc = await reportRef.get();
+  if (!reportDoc.exists) {
+    // Purged while queued - nothing left to do
+    return { skipped: 'report_not_found' };
+  }
+
+  await reportRef.update({
+    processingStatus: 'processing',
+    processingAttempts: job.attempts
+  });
+
+  const { scanStatus } = await scanReportFile(reportId, fileKey);
+  // Scans and OCR can outlast the job lock; a recovered job is finished by its new attempt
+  job.signal.throwIfAborted();
+  if (scanStatus === 'error') {
+    throw new Error('Malware scan could not be completed');
+  }
+  if (scanStatus === 'infected') {
+    // Quarantined files never go to OCR, and previews from an earlier clean scan are dropped
+    await deleteReportPreviews(fileKey);
+    await reportRef.update({
+      processingStatus: 'blocked',
+      suggestedMetadata: unavailableSuggestions('file_quarantined'),
+      previewStatus: 'unavailable',
+      previews: null,
+      processedAt: new Date().toISOString()
+    });
+    return { scanStatus };
+  }
+
+  // Previews only need a clean file, so they don't wait for (or fail with) OCR.
+  // A retried attempt keeps the previews it already queued or generated.
+  if (!['queued', 'processing', 'completed'].includes(reportDoc.data().previewStatus)) {
+    await queueReportPreviews(reportId);
+  }
+
+  const { text: extractedText, pages, engine, confidence } = await extractTextFromDocument(fileKey);
+  job.signal.throwIfAborted();
+  await saveReportPages(reportRef, pages);
+
+  const sources = new Set(pages.map(page => page.source));
+
+  // Lab results are extracted by a separate job so a model outage doesn't repeat the scan and OCR
+  let findingsStatus = 'skipped';
+  if (extractedText && isAiConfigured()) {
+    await enqueueJob(REPORT_ANALYSIS_JOB, { reportId });
+    findingsStatus = 'queued';
+  }
+
+  await reportRef.update({
+    extractedText,
+    pageCount: pages.length,
+    textSource: sources.size > 1 ? 'mixed' : ([...sources][0] || null),
+    // Which engine produced extractedText (pdf-text | vision | tesseract | mixed) and its average confidence (0-1)
+    ocrEngine: engine,
+    ocrConfidence: confidence,
+    findingsStatus,
+    suggestedMetadata: extractedText ? { status: 'queued', fields: {} } : unavailableSuggestions('no_text'),
+    processingStatus: 'completed',
+    processingError: null,
+    processedAt: new Date().toISOString()
+  });
+
+  // Queued only now so the index and suggestion jobs read the new text
+  await queueReportIndexing(reportId);
+  if (extractedText) {
+    await queueMetadataSuggestions(reportId);
+  }
+
+  console.log(`Successfully processed document for report ${reportId}`);
+  return { scanStatus, pageCount: pages.length, textLength: extractedText.length, ocrEngine: engine };
+}
+
+/**
+ * Dead-letter hook: the report gave up after its last attempt
+ */
+async function markProcessingFailed(job, error) {
+  const reportRef = db.collection('reports').doc(job.payload.reportId);
+  const reportDoc = await reportRef.get();
+  if (!reportDoc.exists) return;
+
+  await reportRef.update({
+    processingStatus: 'failed',
+    processingError: error.message,
+    // Without text there is nothing to propose; the patient fills the metadata in by hand
+    suggestedMetadata: unavailableSuggestions('processing_failed'),
+    processedAt: new Date().toISOString()
+  });
+}
+
+registerJobHandler(REPORT_PROCESSING_JOB, processReport, { onDeadLetter: markProcessingFailed });
+
+/**
+ * Job handler: extract structured lab results from the OCR text into observations
+ * @param {{reportId: string}} payload
+ * @returns {Promise<Object>} - Stored as the job result
+ */
+async function analyzeReport({ reportId }) {
+  const reportRef = db.collection('reports').doc(reportId);
+  const reportDoc = await reportRef.get();
+  if (!reportDoc.exists) {
+    return { skipped: 'report_not_found' };
+  }
+
+  await reportRef.update({ findingsStatus: 'processing' });
+
+  const analysis = await analyzeReportFindings(reportDoc.data().extractedText);
+
+  // Re-read so observations pick up a trash or date change made while the model was running
+  const currentDoc = await reportRef.get();
+  if (!currentDoc.exists) {
+    return { skipped: 'report_not_found' };
+  }
+  const findingCount = await replaceReportObservations(reportId, currentDoc.data(), analysis.findings);
+
+  await reportRef.update({
+    findingsStatus: 'completed',
+    findingsCount: findingCount,
+    // Document-level part of the analyst response; the findings themselves live in observations
+    findingsAnalysis: {
+      schemaVersion: analysis.schemaVersion || null,
+      confidence: typeof analysis.confidence === 'number' ? analysis.confidence : null,
+      identifiedPanels: Array.isArray(analysis.identifiedPanels) ? analysis.identifiedPanels : [],
+      overallSummary: analysis.overallSummary || null,
+      criticalSummary: analysis.criticalSummary || null,
+      parsingNotes: analysis.parsingNotes || null
+    },
+    findingsError: null,
+    findingsAnalyzedAt: new Date().toISOString()
+  });
+
+  // Identified panels are a strong signal for the category, so suggestions are worked out again
+  await queueMetadataSuggestions(reportId);
+
+  return { findingCount };
+}
+
+/**
+ * Dead-letter hook: lab result extraction gave up
+ */
+async function markAnalysisFailed(job, error) {
+  const reportRef = db.collection('reports').doc(job.payload.reportId);
+  const reportDoc = await reportRef.get();
+  if (!reportDoc.exists) return;
+
+  await reportRef.update({
+    findingsStatus: 'failed',
+    findingsError: error.message
+  });
+}
+
+registerJobHandler(REPORT_ANALYSIS_JOB, analyzeReport, { onDeadLetter: markAnalysisFailed });
+
+/**
+ * Get the processing status of a report
+ * @param {string} reportId
+ * @param {string} userId - Report owner
+ * @returns {Promise<Object>}
+ */
+async function getProcessingStatus(reportId, userId) {
+  const { data } = await getOwnedReport(reportId, userId);
+  const job = data.processingJobId ? await getJob(data.processingJobId) : null;
+
+  // Reports from before the queue have no processingStatus
+  let status = data.processingStatus;
+  if (!status) {
+    status = data.extractedText && !data.processingError ? 'completed' : 'failed';
+  } else if (job && job.status === 'queued' && job.attempts > 0) {
+    status = 'retrying';
+  }
+
+  return {
+    reportId,
+    status,
+    scanStatus: data.scanStatus || null,
+    findingsStatus: data.findingsStatus || null,
+    suggestedMetadataStatus: data.suggestedMetadata ? data.suggestedMetadata.status : null,
+    previewStatus: data.previewStatus || null,
+    attempts: job ? job.attempts : 0,
+    maxAttempts: job ? job.maxAttempts : 0,
+    nextAttemptAt: job && job.status === 'queued' ? job.runAt : null,
+    lastError: (job && job.lastError) || (typeof data.processingError === 'string' ? data.processingError : null),
+    processedAt: data.processedAt || null
+  };
+}
+
+/**
+ * Queue a report for processing again (e.g. after it failed)
+ * @param {string} reportId
+ * @param {string} userId - Report owner
+ * @returns {Promise<Object>} - Processing status after queueing
+ */
+async function retryReportProcessing(reportId, userId) {
+  const { data } = await getOwnedReport(reportId, userId);
+
+  if (data.scanStatus === 'infected') {
+    throw pipelineError('FILE_QUARANTINED', 'This report failed the malware scan and cannot be processed');
+  }
+  const job = data.processingJobId ? await getJob(data.processingJobId) : null;
+  if (job && (job.status === 'queued' || job.status === 'running')) {
+    throw pipelineError('PROCESSING_IN_PROGRESS', 'This report is already being processed');
+  }
+
+  await queueReportProcessing(reportId, data.fileKey);
+  return getProcessingStatus(reportId, userId);
+}
+
+module.exports = {
+  REPORT_PROCESSING_JOB,
+  REPORT_ANALYSIS_JOB,
+  queueReportProcessing,
+  getProcessingStatus,
+  retryReportProcessing
+};
@@ -0,0 +1,234 @@
+const sharp = require('sharp');
+const { db } = require('../config/firebase');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { downloadFile, uploadFile, generateSignedReadUrl, deleteFilesByPrefix } = require('./storage');
+const { isScanClean } = require('./scanner');
+const { renderPdfPages } = require('./pdfRaster');
+
+const REPORT_PREVIEW_JOB = 'report.preview';
+
+// Only the first pages are rendered; doctors open the file itself for the rest
+const MAX_PREVIEW_PAGES = parseInt(process.env.REPORT_PREVIEW_MAX_PAGES, 10) || 5;
+// Longest side of the thumbnail, and width of the page previews, in pixels
+const THUMBNAIL_SIZE = parseInt(process.env.REPORT_THUMBNAIL_SIZE, 10) || 256;
+const PAGE_PREVIEW_WIDTH = parseInt(process.env.REPORT_PAGE_PREVIEW_WIDTH, 10) || 1024;
+// Signed preview URLs live as long as the download URLs handed out with them
+const PREVIEW_URL_EXPIRY = 3600;
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+
+/**
+ * Storage prefix of a report's previews, next to the original file
+ * @param {string} fileKey - Storage object path of the report file
+ * @returns {string}
+ */
+function previewPrefix(fileKey) {
+  return `${fileKey}.previews/`;
+}
+
+/**
+ * Downscale a rendered page or image to a JPEG
+ * rotate() applies EXIF orientation; metadata is stripped from the output.
+ * @param {Buffer} image
+ * @param {number} width
+ * @param {number} [height] - When set, the image fits inside width x height
+ * @returns {Promise<{buffer: Buffer, width: number, height: number}>}
+ */
+async function toJpeg(image, width, height) {
+  const { data, info } = await sharp(image)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .resize(width, height || null, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 75, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+/**
+ * Queue thumbnail and page preview generation for a report
+ * @param {string} reportId
+ * @returns {Promise<Object>} - The queued job
+ */
+async function queueReportPreviews(reportId) {
+  const job = await enqueueJob(REPORT_PREVIEW_JOB, { reportId });
+  await db.collection('reports').doc(reportId).update({ previewStatus: 'queued' });
+  return job;
+}
+
+/**
+ * Job handler: render a thumbnail and low-resolution page previews of a PDF or image report
+ * Previews are stored next to the original under '<fileKey>.previews/'.
+ * @param {{reportId: string}} payload
+ * @returns {Promise<Object>} - Stored as the job result
+ */
+async function generateReportPreviews({ reportId }) {
+  const reportRef = db.collection('reports').doc(reportId);
+  const reportDoc = await reportRef.get();
+  if (!reportDoc.exists) {
+    return { skipped: 'report_not_found' };
+  }
+
+  const { fileKey } = reportDoc.data();
+  if (!isScanClean(reportDoc.data()) || !fileKey) {
+    await reportRef.update({ previewStatus: 'unavailable' });
+    return { skipped: 'file_not_available' };
+  }
+
+  await reportRef.update({ previewStatus: 'processing' });
+
+  const { buffer } = await downloadFile(fileKey);
+  const isPdf = buffer.subarray(0, PDF_SIGNATURE.length).equals(PDF_SIGNATURE);
+
+  let images;
+  let pageCount = 1;
+  if (isPdf) {
+    // Rendered at the preview width so large pages don't blow up memory
+    const rendered = await renderPdfPages(buffer, { maxPages: MAX_PREVIEW_PAGES, width: PAGE_PREVIEW_WIDTH });
+    images = rendered.images.map(page => page.image);
+    pageCount = rendered.pageCount;
+  } else {
+    try {
+      await sharp(buffer).metadata();
+    } catch (error) {
+      // Not an image sharp can read (e.g. a document type we only store) - nothing to preview
+      await reportRef.update({ previewStatus: 'unsupported', previews: null });
+      return { skipped: 'unsupported_file' };
+    }
+    images = [buffer];
+  }
+
+  const prefix = previewPrefix(fileKey);
+  const cacheControl = 'private, max-age=86400';
+
+  // A regenerated set may have fewer pages than the previous one
+  if (reportDoc.data().previews) {
+    await deleteReportPreviews(fileKey);
+  }
+
+  const thumbnail = await toJpeg(images[0], THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+  const thumbnailKey = `${prefix}thumbnail.jpg`;
+  await uploadFile(thumbnailKey, thumbnail.buffer, 'image/jpeg', { cacheControl });
+
+  const pages = [];
+  for (let index = 0; index < images.length; index++) {
+    const preview = await toJpeg(images[index], PAGE_PREVIEW_WIDTH);
+    const pageKey = `${prefix}page-${index + 1}.jpg`;
+    await uploadFile(pageKey, preview.buffer, 'image/jpeg', { cacheControl });
+    pages.push({ pageNumber: index + 1, fileKey: pageKey, width: preview.width, height: preview.height });
+  }
+
+  await reportRef.update({
+    previewStatus: 'completed',
+    previews: {
+      thumbnailKey,
+      thumbnailWidth: thumbnail.width,
+      thumbnailHeight: thumbnail.height,
+      pages,
+      // Pages in the file; only the first MAX_PREVIEW_PAGES have a preview
+      pageCount,
+      generatedAt: new Date().toISOString()
+    },
+    previewError: null
+  });
+
+  return { pageCount, previewPages: pages.length };
+}
+
+/**
+ * Dead-letter hook: previews could not be generated; the report itself is unaffected
+ */
+async function markPreviewsFailed(job, error) {
+  const reportRef = db.collection('reports').doc(job.payload.reportId);
+  const reportDoc = await reportRef.get();
+  if (!reportDoc.exists) return;
+
+  await reportRef.update({
+    previewStatus: 'failed',
+    previewError: error.message
+  });
+}
+
+registerJobHandler(REPORT_PREVIEW_JOB, generateReportPreviews, { onDeadLetter: markPreviewsFailed });
+
+/**
+ * Sign a preview object; a signing failure yields null rather than failing the response
+ * Previews are only listed once stored, so there is no existence check per URL.
+ */
+async function signPreview(fileKey) {
+  try {
+    return await generateSignedReadUrl(fileKey, PREVIEW_URL_EXPIRY);
+  } catch (error) {
+    console.error(`Error generating preview URL for ${fileKey}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Signed preview URLs of a report
+ * Quarantined reports never get URLs, even if previews were stored before the file was flagged.
+ * @param {Object} report - Report document data
+ * @param {Object} [options]
+ * @param {boolean} [options.includePages=true] - false for listings, which only show the thumbnail
+ * @returns {Promise<Object>} - status, thumbnailUrl, pages [{pageNumber, url, width, height}], pageCount, expiresIn
+ */
+async function getPreviewUrls(report, { includePages = true } = {}) {
+  const previews = report.previews;
+  const status = report.previewStatus || 'not_generated';
+
+  if (!isScanClean(report)) {
+    return { status: 'unavailable', thumbnailUrl: null, pages: [], pageCount: null, expiresIn: null };
+  }
+  if (status !== 'completed' || !previews) {
+    return { status, thumbnailUrl: null, pages: [], pageCount: null, expiresIn: null };
+  }
+
+  const [thumbnailUrl, ...pageUrls] = await Promise.all([
+    signPreview(previews.thumbnailKey),
+    ...(includePages ? previews.pages.map(page => signPreview(page.fileKey)) : [])
+  ]);
+
+  return {
+    status,
+    thumbnailUrl,
+    pages: includePages
+      ? previews.pages.map((page, index) => ({
+        pageNumber: page.pageNumber,
+        url: pageUrls[index],
+        width: page.width,
+        height: page.height
+      }))
+      : [],
+    pageCount: previews.pageCount,
+    expiresIn: PREVIEW_URL_EXPIRY
+  };
+}
+
+/**
+ * Add a `preview` object with the signed thumbnail URL to each report of a listing
+ * @param {Array<Object>} reports - Report document data
+ * @returns {Promise<Array<Object>>}
+ */
+async function withPreviewThumbnails(reports) {
+  return Promise.all(reports.map(async report => ({
+    ...report,
+    preview: await getPreviewUrls(report, { includePages: false })
+  })));
+}
+
+/**
+ * Delete the stored previews of a report file
+ * @param {string} fileKey - Storage object path of the report file
+ * @returns {Promise<void>}
+ */
+async function deleteReportPreviews(fileKey) {
+  await deleteFilesByPrefix(previewPrefix(fileKey));
+}
+
+module.exports = {
+  REPORT_PREVIEW_JOB,
+  queueReportPreviews,
+  getPreviewUrls,
+  withPreviewThumbnails,
+  deleteReportPreviews
+};
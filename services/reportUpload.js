@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { generateUploadUrl, getFileMetadata, downloadFile, uploadFile, deleteFile } = require('./storage');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const DISCARD_UPLOAD_JOB = 'report.discard-upload';
+
+const MAX_REPORT_BYTES = parseInt(process.env.REPORT_MAX_FILE_BYTES, 10) || 20 * 1024 * 1024; // 20 MB
+
+// Clients upload here; the signed PUT URL stays valid after submission, so the
+// verified bytes are stored under the server-owned 'reports/' key instead
+const STAGING_PREFIX = 'uploads/';
+
+// How long a staged upload rejected as a duplicate is kept, so it can be submitted again with allowDuplicate
+const DUPLICATE_HOLD_SECONDS = parseInt(process.env.REPORT_DUPLICATE_HOLD_SECONDS, 10) || 3600;
+
+// Declared fileType -> content types the uploaded bytes may turn out to be.
+// 'image' is sent by clients that don't distinguish JPEG from PNG.
+const DECLARED_TYPES = {
+  pdf: ['application/pdf'],
+  jpg: ['image/jpeg'],
+  jpeg: ['image/jpeg'],
+  png: ['image/png'],
+  image: ['image/jpeg', 'image/png']
+};
+
+// Leading bytes of each accepted format
+const SIGNATURES = [
+  { contentType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { contentType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { contentType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] }
+];
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {Error}
+ */
+function uploadError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Detect the content type of a file from its magic bytes
+ * @param {Buffer} buffer - File content (at least the first few bytes)
+ * @returns {string|null} - MIME type, or null if it is not an accepted format
+ */
+function detectContentType(buffer) {
+  const match = SIGNATURES.find(({ bytes }) => (
+    buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte)
+  ));
+  return match ? match.contentType : null;
+}
+
+/**
+ * Check a declared report fileType and size before issuing an upload URL
+ * @param {string} fileType - pdf | jpg | jpeg | png | image
+ * @param {number} fileSize - Declared size in bytes
+ * @returns {string} - Content type to sign the upload URL with
+ */
+function checkDeclaredUpload(fileType, fileSize) {
+  const allowed = DECLARED_TYPES[fileType.toLowerCase()];
+  if (!allowed) {
+    throw uploadError('UNSUPPORTED_FILE_TYPE', 'Reports must be PDF, JPEG or PNG files');
+  }
+  if (fileSize > MAX_REPORT_BYTES) {
+    throw uploadError('FILE_TOO_LARGE', `Reports must be at most ${MAX_REPORT_BYTES} bytes`, { maxFileSize: MAX_REPORT_BYTES });
+  }
+  return allowed[0];
+}
+
+/**
+ * Generate a signed URL for uploading a report file
+ * @param {string} userId - Owner UID
+ * @param {string} fileName - Original file name
+ * @param {string} fileType - pdf | jpg | jpeg | png | image
+ * @param {number} fileSize - Declared size in bytes
+ * @returns {Promise<{uploadUrl: string, fileKey: string, expiresIn: number, maxFileSize: number}>}
+ */
+async function generateReportUploadUrl(userId, fileName, fileType, fileSize) {
+  const contentType = checkDeclaredUpload(fileType, fileSize);
+
+  const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
+  const fileKey = `${STAGING_PREFIX}reports/${userId}/${Date.now()}_${sanitizedFileName}`;
+
+  const result = await generateUploadUrl(fileKey, contentType);
+  return { ...result, maxFileSize: MAX_REPORT_BYTES };
+}
+
+/**
+ * Remove an uploaded object that failed verification or has been stored, so it doesn't linger in the bucket
+ * @param {string} fileKey
+ */
+async function discardUpload(fileKey) {
+  try {
+    await deleteFile(fileKey);
+  } catch (error) {
+    console.error(`Error removing rejected upload ${fileKey}:`, error.message);
+  }
+}
+
+/**
+ * Check that a file key is a staged report upload of the given user
+ * @param {string} userId - Owner UID
+ * @param {string} fileKey - Key returned by generateReportUploadUrl
+ * @returns {boolean}
+ */
+function isStagedReportUpload(userId, fileKey) {
+  return fileKey.startsWith(`${STAGING_PREFIX}reports/${userId}/`);
+}
+
+/**
+ * Verify that a report file was really uploaded and is what the client says it is
+ * Rejected uploads are deleted from Storage. Accepted ones stay staged until storeReportUpload().
+ * @param {string} fileKey - Staging key returned by generateReportUploadUrl
+ * @param {string} fileType - Declared fileType
+ * @returns {Promise<{fileSize: number, contentType: string, sha256: string, buffer: Buffer}>} - buffer holds the verified bytes
+ */
+async function verifyReportUpload(fileKey, fileType) {
+  const allowed = DECLARED_TYPES[fileType.toLowerCase()];
+  if (!allowed) {
+    throw uploadError('UNSUPPORTED_FILE_TYPE', 'Reports must be PDF, JPEG or PNG files');
+  }
+
+  let metadata;
+  try {
+    metadata = await getFileMetadata(fileKey);
+  } catch (error) {
+    if (error.code === 404) {
+      throw uploadError('UPLOAD_NOT_FOUND', 'Uploaded file not found. Upload the file before submitting the report.');
+    }
+    throw error;
+  }
+
+  // Check the stored size before pulling the object into memory
+  if (metadata.size > MAX_REPORT_BYTES) {
+    await discardUpload(fileKey);
+    throw uploadError('FILE_TOO_LARGE', `Reports must be at most ${MAX_REPORT_BYTES} bytes`, { maxFileSize: MAX_REPORT_BYTES });
+  }
+
+  const { buffer } = await downloadFile(fileKey);
+
+  const contentType = detectContentType(buffer);
+  if (!contentType) {
+    await discardUpload(fileKey);
+    throw uploadError('UNSUPPORTED_FILE_TYPE', 'Uploaded file is not a PDF, JPEG or PNG file');
+  }
+  if (!allowed.includes(contentType)) {
+    await discardUpload(fileKey);
+    throw uploadError('FILE_TYPE_MISMATCH', `Uploaded file content (${contentType}) does not match the declared type "${fileType}"`, {
+      declaredType: fileType,
+      detectedContentType: contentType
+    });
+  }
+
+  return {
+    fileSize: buffer.length,
+    contentType,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    buffer
+  };
+}
+
+/**
+ * Store a verified upload under its server-owned key and remove the staged object
+ * The verified bytes are written, not the staged object copied, so a client re-using the
+ * upload URL can't swap the file after it has been checked. Everything downstream
+ * (scan, OCR, downloads) uses the returned key.
+ * @param {string} fileKey - Staging key
+ * @param {Object} upload - Result of verifyReportUpload
+ * @returns {Promise<string>} - Storage key of the report file (the staging key without 'uploads/')
+ */
+async function storeReportUpload(fileKey, upload) {
+  const storedKey = fileKey.slice(STAGING_PREFIX.length);
+  await uploadFile(storedKey, upload.buffer, upload.contentType);
+  await discardUpload(fileKey);
+  return storedKey;
+}
+
+/**
+ * Keep a staged upload for DUPLICATE_HOLD_SECONDS, then delete it unless it was submitted by then
+ * @param {string} fileKey - Staging key
+ * @returns {Promise<string>} - ISO time the staged upload is deleted at
+ */
+async function holdStagedUpload(fileKey) {
+  const expiresAt = new Date(Date.now() + DUPLICATE_HOLD_SECONDS * 1000).toISOString();
+  await enqueueJob(DISCARD_UPLOAD_JOB, { fileKey }, { runAt: expiresAt });
+  return expiresAt;
+}
+
+/**
+ * Job handler: delete a held staged upload (already gone if it was submitted)
+ * @param {{fileKey: string}} payload
+ */
+async function discardHeldUpload({ fileKey }) {
+  await deleteFile(fileKey);
+  return { deleted: fileKey };
+}
+
+registerJobHandler(DISCARD_UPLOAD_JOB, discardHeldUpload);
+
+module.exports = {
+  MAX_REPORT_BYTES,
+  detectContentType,
+  generateReportUploadUrl,
+  isStagedReportUpload,
+  verifyReportUpload,
+  storeReportUpload,
+  holdStagedUpload
+};
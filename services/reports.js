@@ -0,0 +1,496 @@
+const { db, admin } = require('../config/firebase');
+const { deleteFile } = require('./storage');
+const { invalidateUserCache } = require('./ai');
+const { listReportObservations, deleteReportObservations, syncReportObservations } = require('./observations');
+const { queueReportIndexing, removeReportFromIndex } = require('./search');
+const { resolveCategoryName } = require('./categories');
+const { describeSuggestions, selectAcceptedValues, markSuggestionsAccepted, suggestionError } = require('./metadataSuggestions');
+const { deleteReportPreviews } = require('./reportPreviews');
+
+// Metadata the owner may correct after upload; the file itself is immutable
+const EDITABLE_FIELDS = ['title', 'reportDate', 'category', 'doctorName', 'clinicName'];
+
+// Days a deleted report stays in the trash before it is purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.REPORT_TRASH_RETENTION_DAYS, 10) || 30;
+
+// OCR text similarity (0-1) above which two reports are listed as near-duplicates
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(process.env.REPORT_NEAR_DUPLICATE_THRESHOLD) || 0.9;
+
+// Reports with less OCR text than this are too short to compare meaningfully
+const MIN_COMPARABLE_WORDS = 20;
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function reportError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Load a report and check that it belongs to the user
+ * Reports in the trash are treated as missing unless includeDeleted is set.
+ * @param {string} reportId
+ * @param {string} userId - Firebase Auth UID of the caller
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted=false]
+ * @returns {Promise<{ref: FirebaseFirestore.DocumentReference, data: Object}>}
+ */
+async function getOwnedReport(reportId, userId, { includeDeleted = false } = {}) {
+  const reportRef = db.collection('reports').doc(reportId);
+  const reportDoc = await reportRef.get();
+
+  if (!reportDoc.exists) {
+    throw reportError('NOT_FOUND', 'Report not found');
+  }
+
+  const data = reportDoc.data();
+  if (data.userId !== userId) {
+    throw reportError('FORBIDDEN', 'Access denied');
+  }
+  if (data.isDeleted && !includeDeleted) {
+    throw reportError('NOT_FOUND', 'Report not found');
+  }
+
+  return { ref: reportRef, data };
+}
+
+/**
+ * Update the metadata of a report
+ * @param {string} reportId
+ * @param {string} userId - Report owner
+ * @param {Object} changes - Any of title, reportDate (ISO string), category, doctorName, clinicName
+ * @returns {Promise<Object>} - Updated report
+ */
+async function updateReport(reportId, userId, changes) {
+  const { ref } = await getOwnedReport(reportId, userId);
+
+  const updates = {};
+  EDITABLE_FIELDS.forEach(key => {
+    if (changes[key] !== undefined) updates[key] = changes[key];
+  });
+
+  if (Object.keys(updates).length === 0) {
+    throw reportError('VALIDATION_ERROR', 'No report fields to update');
+  }
+
+  if (updates.reportDate) {
+    updates.reportDate = admin.firestore.Timestamp.fromDate(new Date(updates.reportDate));
+  }
+  if (updates.category !== undefined) {
+    // Aliases ("blood work", "CBC") are stored under the taxonomy name; unknown categories are rejected
+    updates.category = await resolveCategoryName(updates.category);
+    updates.categorySource = 'user';
+  }
+  updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+  // A field set by the owner no longer holds the upload placeholder
+  updates.metadataPlaceholders = admin.firestore.FieldValue.arrayRemove(
+    ...EDITABLE_FIELDS.filter(key => updates[key] !== undefined)
+  );
+
+  await ref.update(updates);
+
+  if (updates.reportDate) {
+    // Observations are dated by their report
+    await syncReportObservations(reportId, { reportDate: updates.reportDate });
+  }
+
+  // Title, category, doctor and clinic are searchable
+  await queueReportIndexing(reportId);
+
+  // Cached summaries quote titles and dates
+  await invalidateUserCache(userId);
+
+  const updatedDoc = await ref.get();
+  return updatedDoc.data();
+}
+
+/**
+ * Revoke every QR share that includes a report
+ * Revoked tokens are kept (for the owner's history) but no longer validate. The cached AI summary
+ * is dropped, since it was written from the report being removed.
+ * @param {string} reportId
+ * @param {string} reason - Stored on the token, e.g. 'report_trashed' or 'report_deleted'
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+async function revokeQrTokensForReport(reportId, reason) {
+  const snapshot = await db.collection('qrTokens')
+    .where('reportIds', 'array-contains', reportId)
+    .get();
+
+  const active = snapshot.docs.filter(doc => !doc.data().revoked);
+  if (active.length === 0) {
+    return 0;
+  }
+
+  const revokedAt = new Date().toISOString();
+  const batch = db.batch();
+  active.forEach(doc => batch.update(doc.ref, { revoked: true, revokedAt, revokedReason: reason, aiSummary: null }));
+  await batch.commit();
+
+  return active.length;
+}
+
+/**
+ * Move a report to the trash
+ * It disappears from listings, AI summaries and exports, and is purged after the retention window.
+ * QR codes sharing it are revoked right away; restoring the report does not bring them back.
+ * @param {string} reportId
+ * @param {string} userId - Report owner
+ * @returns {Promise<{reportId: string, deletedAt: string, purgeAfter: string, revokedQrTokens: number}>}
+ */
+async function trashReport(reportId, userId) {
+  const { ref } = await getOwnedReport(reportId, userId);
+
+  const deletedAt = new Date();
+  const purgeAfter = new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  await ref.update({
+    isDeleted: true,
+    deletedAt: deletedAt.toISOString(),
+    purgeAfter: purgeAfter.toISOString()
+  });
+  await syncReportObservations(reportId, { reportDeleted: true });
+  await invalidateUserCache(userId);
+  const revokedQrTokens = await revokeQrTokensForReport(reportId, 'report_trashed');
+
+  return { reportId, deletedAt: deletedAt.toISOString(), purgeAfter: purgeAfter.toISOString(), revokedQrTokens };
+}
+
+/**
+ * Restore a report from the trash
+ * @param {string} reportId
+ * @param {string} userId - Report owner
+ * @returns {Promise<Object>} - Restored report
+ */
+async function restoreReport(reportId, userId) {
+  const { ref, data } = await getOwnedReport(reportId, userId, { includeDeleted: true });
+
+  if (!data.isDeleted) {
+    throw reportError('NOT_IN_TRASH', 'Report is not in the trash');
+  }
+
+  await ref.update({
+    isDeleted: false,
+    deletedAt: null,
+    purgeAfter: null
+  });
+  await syncReportObservations(reportId, { reportDeleted: false });
+  await invalidateUserCache(userId);
+
+  const restoredDoc = await ref.get();
+  return restoredDoc.data();
+}
+
+/**
+ * List the reports in a user's trash, most recently deleted first
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listTrash(userId) {
+  const snapshot = await db.collection('reports')
+    .where('userId', '==', userId)
+    .where('isDeleted', '==', true)
+    .get();
+
+  return snapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+}
+
+/**
+ * Permanently delete a report
+ * Removes the stored file and its previews, and revokes QR shares that include it.
+ * @param {string} reportId
+ * @param {FirebaseFirestore.DocumentReference} ref
+ * @param {Object} data - Report document data
+ * @returns {Promise<{reportId: string, revokedQrTokens: number}>}
+ */
+async function purgeReportDocument(reportId, ref, data) {
+  // Revoke shares first so the report is never reachable through a QR code without its file
+  const revokedQrTokens = await revokeQrTokensForReport(reportId, 'report_deleted');
+
+  if (data.fileKey) {
+    await deleteFile(data.fileKey);
+    await deleteReportPreviews(data.fileKey);
+  }
+  if (data.quarantineKey) {
+    await deleteFile(data.quarantineKey);
+  }
+
+  await deleteReportObservations(reportId);
+  await removeReportFromIndex(reportId);
+
+  // recursiveDelete also removes the per-page text subcollection
+  await db.recursiveDelete(ref);
+  await invalidateUserCache(data.userId);
+
+  return { reportId, revokedQrTokens };
+}
+
+/**
+ * Permanently delete a report from the trash without waiting for the retention window
+ * @param {string} reportId
+ * @param {string} userId - Report owner
+ * @returns {Promise<{reportId: string, revokedQrTokens: number}>}
+ */
+async function purgeReport(reportId, userId) {
+  const { ref, data } = await getOwnedReport(reportId, userId, { includeDeleted: true });
+
+  if (!data.isDeleted) {
+    throw reportError('NOT_IN_TRASH', 'Move the report to the trash before deleting it permanently');
+  }
+
+  return purgeReportDocument(reportId, ref, data);
+}
+
+/**
+ * Purge every trashed report whose retention window has ended
+ * Used by scripts/purgeTrashedReports.js.
+ * @returns {Promise<{purged: Array<string>, failed: Array<string>}>}
+ */
+async function processDueReportPurges() {
+  const snapshot = await db.collection('reports')
+    .where('purgeAfter', '<=', new Date().toISOString())
+    .get();
+
+  const purged = [];
+  const failed = [];
+
+  for (const doc of snapshot.docs) {
+    // purgeAfter is cleared on restore, but don't trust it alone
+    if (!doc.data().isDeleted) {
+      continue;
+    }
+
+    try {
+      await purgeReportDocument(doc.id, doc.ref, doc.data());
+      purged.push(doc.id);
+    } catch (error) {
+      console.error(`Error purging report ${doc.id}:`, error);
+      failed.push(doc.id);
+    }
+  }
+
+  return { purged, failed };
+}
+
+/**
+ * Get the extracted text of a report page by page
+ * @param {string} reportId
+ * @param {string} userId - Report owner
+ * @returns {Promise<{reportId: string, pageCount: number, pages: Array<Object>}>}
+ */
+async function getReportPages(reportId, userId) {
+  const { ref } = await getOwnedReport(reportId, userId);
+
+  const snapshot = await ref.collection('pages').orderBy('pageNumber').get();
+  const pages = snapshot.docs.map(doc => doc.data());
+
+  return { reportId, pageCount: pages.length, pages };
+}
+
+/**
+ * Get the lab results extracted from a report
+ * @param {string} reportId
+ * @param {string} userId - Report owner
+ * @returns {Promise<Object>} - Analysis status, document-level summary and the report's observations
+ */
+async function getReportFindings(reportId, userId) {
+  const { data } = await getOwnedReport(reportId, userId);
+
+  // Reports processed before the analysis step existed have no findingsStatus
+  const status = data.findingsStatus || 'not_analyzed';
+  const findings = status === 'completed' ? await listReportObservations(reportId) : [];
+
+  return {
+    reportId,
+    status,
+    analyzedAt: data.findingsAnalyzedAt || null,
+    error: data.findingsError || null,
+    analysis: data.findingsAnalysis || null,
+    findingCount: findings.length,
+    findings
+  };
+}
+
+/**
+ * Get the metadata proposed for a report from its OCR text
+ * @param {string} reportId
+ * @param {string} userId - Report owner
+ * @returns {Promise<Object>} - status, the suggested fields with confidences, and what was accepted
+ */
+async function getSuggestedMetadata(reportId, userId) {
+  const { data } = await getOwnedReport(reportId, userId);
+  return describeSuggestions(reportId, data);
+}
+
+/**
+ * Apply suggested metadata to a report
+ * Goes through updateReport, so dates, search and observations are updated like a manual edit.
+ * @param {string} reportId
+ * @param {string} userId - Report owner
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields] - Fields to accept; otherwise every suggestion above minConfidence
+ * @param {number} [options.minConfidence]
+ * @returns {Promise<{report: Object, acceptedFields: Array<string>}>}
+ */
+async function acceptSuggestedMetadata(reportId, userId, options = {}) {
+  const { data } = await getOwnedReport(reportId, userId);
+
+  const suggestions = describeSuggestions(reportId, data);
+  if (suggestions.status !== 'completed') {
+    throw suggestionError('NO_SUGGESTIONS', `No metadata suggestions are available for this report (status: ${suggestions.status})`);
+  }
+
+  const values = selectAcceptedValues(suggestions.fields, options);
+  const acceptedFields = Object.keys(values);
+
+  await updateReport(reportId, userId, values);
+  await markSuggestionsAccepted(reportId, acceptedFields);
+
+  const updatedDoc = await db.collection('reports').doc(reportId).get();
+  return { report: updatedDoc.data(), acceptedFields };
+}
+
+/**
+ * Find an active report of the user with exactly the same file content
+ * @param {string} userId
+ * @param {string} sha256 - Content hash of the new upload
+ * @returns {Promise<Object|null>} - Existing report data, or null
+ */
+async function findDuplicateReport(userId, sha256) {
+  const snapshot = await db.collection('reports')
+    .where('userId', '==', userId)
+    .where('sha256', '==', sha256)
+    .get();
+
+  const existing = snapshot.docs.find(doc => !doc.data().isDeleted);
+  return existing ? existing.data() : null;
+}
+
+/**
+ * Split OCR text into a set of normalised words
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function wordSet(text) {
+  return new Set(text.toLowerCase().split(/[^a-z0-9.]+/).filter(word => word.length > 1));
+}
+
+/**
+ * Jaccard similarity of two word sets
+ * @returns {number} - 0 (nothing in common) to 1 (same words)
+ */
+function jaccardSimilarity(a, b) {
+  let intersection = 0;
+  a.forEach(word => {
+    if (b.has(word)) intersection++;
+  });
+  const union = a.size + b.size - intersection;
+  return union === 0 ? 0 : intersection / union;
+}
+
+/**
+ * Check whether a report has OCR text worth comparing
+ * @param {Object} report - reports document data
+ * @returns {boolean}
+ */
+function hasComparableText(report) {
+  return Boolean(report.extractedText) && !report.processingError && !report.extractedText.startsWith('Error ');
+}
+
+/**
+ * Summary of a report for duplicate listings
+ * @param {Object} report - reports document data
+ * @returns {Object}
+ */
+function duplicateEntry(report) {
+  return {
+    reportId: report.reportId,
+    title: report.title,
+    fileName: report.fileName,
+    reportDate: report.reportDate,
+    uploadDate: report.uploadDate
+  };
+}
+
+/**
+ * List suspected duplicate reports of a user
+ * Exact duplicates share a content hash; near-duplicates have OCR text at least
+ * NEAR_DUPLICATE_THRESHOLD similar (e.g. the same lab result scanned twice).
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Override the near-duplicate similarity threshold
+ * @returns {Promise<Array<{match: string, similarity: number, reports: Array<Object>}>>}
+ */
+async function listSuspectedDuplicates(userId, { threshold = NEAR_DUPLICATE_THRESHOLD } = {}) {
+  const snapshot = await db.collection('reports')
+    .where('userId', '==', userId)
+    .get();
+  // Reports from before the trash have no isDeleted field, so trashed ones are dropped here
+  const reports = snapshot.docs.map(doc => doc.data()).filter(report => !report.isDeleted);
+
+  const groups = [];
+
+  // Exact duplicates, grouped by hash
+  const byHash = new Map();
+  reports.filter(report => report.sha256).forEach(report => {
+    if (!byHash.has(report.sha256)) byHash.set(report.sha256, []);
+    byHash.get(report.sha256).push(report);
+  });
+  byHash.forEach(group => {
+    if (group.length < 2) return;
+    groups.push({ match: 'exact', similarity: 1, reports: group.map(duplicateEntry) });
+  });
+
+  // Near-duplicates, compared pairwise on OCR text
+  const candidates = reports
+    .filter(hasComparableText)
+    .map(report => ({ report, words: wordSet(report.extractedText) }))
+    .filter(({ words }) => words.size >= MIN_COMPARABLE_WORDS);
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const a = candidates[i].report;
+      const b = candidates[j].report;
+      // Already reported as an exact pair
+      if (a.sha256 && a.sha256 === b.sha256) continue;
+
+      const similarity = jaccardSimilarity(candidates[i].words, candidates[j].words);
+      if (similarity >= threshold) {
+        groups.push({
+          match: 'near',
+          similarity: Math.round(similarity * 1000) / 1000,
+          reports: [duplicateEntry(a), duplicateEntry(b)]
+        });
+      }
+    }
+  }
+
+  return groups;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  TRASH_RETENTION_DAYS,
+  NEAR_DUPLICATE_THRESHOLD,
+  getOwnedReport,
+  updateReport,
+  revokeQrTokensForReport,
+  trashReport,
+  restoreReport,
+  listTrash,
+  purgeReport,
+  processDueReportPurges,
+  getReportPages,
+  getReportFindings,
+  getSuggestedMetadata,
+  acceptSuggestedMetadata,
+  findDuplicateReport,
+  listSuspectedDuplicates
+};
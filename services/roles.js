@@ -0,0 +1,82 @@
+const { auth, db } = require('../config/firebase');
+const { revokeAllSessions } = require('./session');
+
+const ROLES = ['patient', 'doctor', 'admin'];
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function roleError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Set the role custom claim on a Firebase Auth user
+ * Other custom claims are preserved. The claim shows up in ID tokens minted after this call.
+ * @param {string} userId - Firebase Auth UID
+ * @param {string} role - 'patient' | 'doctor' | 'admin'
+ * @returns {Promise<boolean>} - true if the claim changed
+ */
+async function setRoleClaim(userId, role) {
+  if (!ROLES.includes(role)) {
+    throw roleError('VALIDATION_ERROR', `Unknown role: ${role}`);
+  }
+
+  const userRecord = await auth.getUser(userId);
+  const currentClaims = userRecord.customClaims || {};
+  if (currentClaims.role === role) {
+    return false;
+  }
+
+  await auth.setCustomUserClaims(userId, { ...currentClaims, role });
+  return true;
+}
+
+/**
+ * Change a user's role
+ * Updates the users document and the role claim, then revokes existing sessions
+ * so tokens carrying the old role stop working.
+ * @param {string} userId - Firebase Auth UID
+ * @param {string} role - New role
+ * @returns {Promise<{userId: string, previousRole: string, role: string}>}
+ */
+async function changeUserRole(userId, role) {
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    throw roleError('NOT_FOUND', 'User not found');
+  }
+
+  // Doctors need a profile in the doctors collection for listings and bookings
+  if (role === 'doctor') {
+    const doctorDoc = await db.collection('doctors').doc(userId).get();
+    if (!doctorDoc.exists) {
+      throw roleError('DOCTOR_PROFILE_REQUIRED', 'User has no doctor profile. Doctors must sign up through the doctor signup flow.');
+    }
+  }
+
+  const previousRole = userDoc.data().role;
+
+  await userRef.update({
+    role,
+    updatedAt: new Date().toISOString()
+  });
+  await setRoleClaim(userId, role);
+
+  if (previousRole !== role) {
+    await revokeAllSessions(userId);
+  }
+
+  return { userId, previousRole, role };
+}
+
+module.exports = {
+  ROLES,
+  setRoleClaim,
+  changeUserRole
+};
@@ -0,0 +1,201 @@
+const net = require('net');
+const { db } = require('../config/firebase');
+const { downloadFile, moveFile } = require('./storage');
+
+// The EICAR anti-virus test string, split so this source file isn't flagged itself
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$' + 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+// Drivers that don't really scan; refused in production
+const DEVELOPMENT_DRIVERS = ['noop', 'local'];
+
+/**
+ * Scan a buffer with clamd using the INSTREAM command
+ * @param {Buffer} buffer - File content
+ * @param {Object} options - { host, port, socketPath, timeoutMs }
+ * @returns {Promise<{clean: boolean, signature: string|null}>}
+ */
+function clamdScan(buffer, { host, port, socketPath, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+    const response = [];
+
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy(new Error(`clamd did not respond within ${timeoutMs}ms`));
+    });
+    socket.on('error', reject);
+    socket.on('data', chunk => response.push(chunk));
+    socket.on('end', () => {
+      // e.g. "stream: OK" or "stream: Eicar-Test-Signature FOUND"
+      const reply = Buffer.concat(response).toString('utf8').replace(/\0/g, '').trim();
+      if (reply.endsWith('OK')) {
+        resolve({ clean: true, signature: null });
+      } else if (reply.endsWith('FOUND')) {
+        resolve({ clean: false, signature: reply.replace(/^stream:\s*/, '').replace(/\s*FOUND$/, '') });
+      } else {
+        reject(new Error(`Unexpected clamd reply: ${reply}`));
+      }
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+      for (let offset = 0; offset < buffer.length; offset += CLAMAV_CHUNK_SIZE) {
+        const chunk = buffer.subarray(offset, offset + CLAMAV_CHUNK_SIZE);
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length, 0);
+        socket.write(size);
+        socket.write(chunk);
+      }
+      // A zero-length chunk ends the stream
+      socket.end(Buffer.alloc(4));
+    });
+  });
+}
+
+/**
+ * Scanner drivers
+ * A scanner is an object with a scan(buffer) method resolving to {clean, signature}.
+ * Select one with SCANNER_DRIVER (noop | local | clamav) or plug in a custom one with setScanner().
+ */
+const scannerFactories = {
+  // Marks everything clean - development only
+  noop: () => ({
+    name: 'noop',
+    scan: async () => ({ clean: true, signature: null })
+  }),
+
+  // Detects the EICAR test file only; lets the quarantine flow be exercised without clamd
+  local: () => ({
+    name: 'local',
+    scan: async (buffer) => (
+      buffer.includes(EICAR_SIGNATURE)
+        ? { clean: false, signature: 'Eicar-Test-Signature' }
+        : { clean: true, signature: null }
+    )
+  }),
+
+  // clamd over TCP (CLAMAV_HOST / CLAMAV_PORT) or a unix socket (CLAMAV_SOCKET)
+  clamav: () => {
+    const options = {
+      host: process.env.CLAMAV_HOST || '127.0.0.1',
+      port: parseInt(process.env.CLAMAV_PORT, 10) || 3310,
+      socketPath: process.env.CLAMAV_SOCKET || null,
+      timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS, 10) || 30000
+    };
+
+    return {
+      name: 'clamav',
+      scan: (buffer) => clamdScan(buffer, options)
+    };
+  }
+};
+
+let activeScanner = null;
+
+/**
+ * Get the configured scanner (created on first use)
+ * @returns {{name: string, scan: Function}}
+ */
+function getScanner() {
+  if (activeScanner) {
+    return activeScanner;
+  }
+
+  const driverName = (process.env.SCANNER_DRIVER || 'noop').toLowerCase();
+  const factory = scannerFactories[driverName];
+  if (!factory) {
+    throw new Error(`Unknown SCANNER_DRIVER: ${driverName}`);
+  }
+  // Neither development scanner catches real malware: in production the scan fails (and the
+  // file stays blocked) rather than marking it clean
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_DRIVERS.includes(driverName)) {
+    throw new Error(`SCANNER_DRIVER=${driverName} is for local development only; set SCANNER_DRIVER=clamav in production`);
+  }
+
+  activeScanner = factory();
+  return activeScanner;
+}
+
+/**
+ * Replace the scanner (custom drivers, tests)
+ * @param {{name?: string, scan: Function}} scanner - Object with a scan(buffer) method
+ */
+function setScanner(scanner) {
+  if (!scanner || typeof scanner.scan !== 'function') {
+    throw new Error('Scanner must implement scan(buffer)');
+  }
+  activeScanner = scanner;
+}
+
+/**
+ * Check whether a report's file may be downloaded or shared
+ * scanStatus is pending | clean | infected | error; reports created before scanning existed have none and count as clean.
+ * @param {Object} reportData - reports document data
+ * @returns {boolean}
+ */
+function isScanClean(reportData) {
+  return !reportData.scanStatus || reportData.scanStatus === 'clean';
+}
+
+/**
+ * Scan a report's file and record the result on the report
+ * Infected files are moved to quarantine/ so they can no longer be served from their original key.
+ * @param {string} reportId - Report document ID
+ * @param {string} fileKey - Storage object path
+ * @returns {Promise<{scanStatus: string, signature: string|null}>}
+ */
+async function scanReportFile(reportId, fileKey) {
+  const reportRef = db.collection('reports').doc(reportId);
+
+  let scanner = null;
+  let result;
+  try {
+    scanner = getScanner();
+    const { buffer } = await downloadFile(fileKey);
+    result = await scanner.scan(buffer);
+  } catch (error) {
+    // Leave the file blocked; it can be scanned again later
+    console.error(`Error scanning report ${reportId}:`, error.message);
+    await reportRef.update({
+      scanStatus: 'error',
+      scanEngine: scanner ? scanner.name : null,
+      scanError: error.message,
+      scannedAt: new Date().toISOString()
+    });
+    return { scanStatus: 'error', signature: null };
+  }
+
+  if (result.clean) {
+    await reportRef.update({
+      scanStatus: 'clean',
+      scanEngine: scanner.name,
+      scanError: null,
+      scannedAt: new Date().toISOString()
+    });
+    return { scanStatus: 'clean', signature: null };
+  }
+
+  const quarantineKey = `quarantine/${fileKey}`;
+  await moveFile(fileKey, quarantineKey);
+
+  console.warn(`Report ${reportId} quarantined: ${result.signature}`);
+  await reportRef.update({
+    scanStatus: 'infected',
+    scanEngine: scanner.name,
+    scanSignature: result.signature,
+    scanError: null,
+    scannedAt: new Date().toISOString(),
+    quarantineKey,
+    quarantinedAt: new Date().toISOString()
+  });
+
+  return { scanStatus: 'infected', signature: result.signature };
+}
+
+module.exports = {
+  getScanner,
+  setScanner,
+  isScanClean,
+  scanReportFile
+};
@@ -0,0 +1,334 @@
+const { db, admin } = require('../config/firebase');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { tokenize, expandQuery, buildSnippets } = require('./searchText');
+
+// Inverted index: one document per (user, term) listing the reports containing the term and how often
+const TERMS_COLLECTION = 'searchTerms';
+// Per report: the terms it was indexed under and its length, so it can be re-indexed or removed
+const DOCUMENTS_COLLECTION = 'searchDocuments';
+// Per user: report count and total length, for BM25 ranking
+const STATS_COLLECTION = 'searchStats';
+
+const REPORT_INDEX_JOB = 'report.index';
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+// getAll() is chunked to keep single reads small
+const READ_CHUNK_SIZE = 100;
+
+// A word in the title, doctor, clinic or category counts as this many words of OCR text
+const METADATA_WEIGHT = 3;
+const METADATA_FIELDS = ['title', 'category', 'doctorName', 'clinicName'];
+
+// Synonyms of a query word rank below the word itself
+const SYNONYM_WEIGHT = 0.6;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Index document ID for a term of a user
+ */
+function termDocId(userId, term) {
+  return `${userId}_${term}`;
+}
+
+/**
+ * Term frequencies and length of a report as indexed
+ * @param {Object} report - reports document data
+ * @returns {{frequencies: Map<string, number>, length: number}}
+ */
+function analyzeReport(report) {
+  const frequencies = new Map();
+  let length = 0;
+
+  const add = (text, weight) => {
+    tokenize(text).forEach(term => {
+      frequencies.set(term, (frequencies.get(term) || 0) + weight);
+      length += weight;
+    });
+  };
+
+  METADATA_FIELDS.forEach(field => add(report[field], METADATA_WEIGHT));
+  add(report.extractedText, 1);
+
+  return { frequencies, length };
+}
+
+/**
+ * Run a list of batch writes in chunks
+ * @param {Array<Function>} writes - Each called with a WriteBatch
+ */
+async function commitWrites(writes) {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Replace a report's entries in the index, or remove them (report = null)
+ * @param {string} reportId
+ * @param {Object|null} report - reports document data
+ * @returns {Promise<{termCount: number}>}
+ */
+async function writeReportIndex(reportId, report) {
+  const { FieldValue } = admin.firestore;
+  const documentRef = db.collection(DOCUMENTS_COLLECTION).doc(reportId);
+  const previousDoc = await documentRef.get();
+  const previous = previousDoc.exists ? previousDoc.data() : null;
+
+  const userId = report ? report.userId : previous && previous.userId;
+  if (!userId) {
+    return { termCount: 0 };
+  }
+
+  const { frequencies, length } = report ? analyzeReport(report) : { frequencies: new Map(), length: 0 };
+  const termsRef = db.collection(TERMS_COLLECTION);
+  const writes = [];
+
+  frequencies.forEach((frequency, term) => {
+    writes.push(batch => batch.set(termsRef.doc(termDocId(userId, term)), {
+      userId,
+      term,
+      postings: { [reportId]: frequency }
+    }, { merge: true }));
+  });
+  (previous ? previous.terms : []).filter(term => !frequencies.has(term)).forEach(term => {
+    writes.push(batch => batch.set(termsRef.doc(termDocId(userId, term)), {
+      postings: { [reportId]: FieldValue.delete() }
+    }, { merge: true }));
+  });
+
+  const statsRef = db.collection(STATS_COLLECTION).doc(userId);
+  if (report) {
+    writes.push(batch => batch.set(documentRef, {
+      reportId,
+      userId,
+      terms: [...frequencies.keys()],
+      length,
+      indexedAt: new Date().toISOString()
+    }));
+  } else if (previous) {
+    writes.push(batch => batch.delete(documentRef));
+  }
+  if (report || previous) {
+    writes.push(batch => batch.set(statsRef, {
+      documentCount: FieldValue.increment((report ? 1 : 0) - (previous ? 1 : 0)),
+      totalLength: FieldValue.increment(length - (previous ? previous.length : 0))
+    }, { merge: true }));
+  }
+
+  await commitWrites(writes);
+  return { termCount: frequencies.size };
+}
+
+/**
+ * Index (or re-index) a report's OCR text and metadata
+ * @param {string} reportId
+ * @returns {Promise<{termCount: number}>}
+ */
+async function indexReport(reportId) {
+  const reportDoc = await db.collection('reports').doc(reportId).get();
+  return writeReportIndex(reportId, reportDoc.exists ? reportDoc.data() : null);
+}
+
+/**
+ * Remove a report from the index (it is being purged)
+ * @param {string} reportId
+ */
+async function removeReportFromIndex(reportId) {
+  await writeReportIndex(reportId, null);
+}
+
+/**
+ * Queue a report for indexing
+ * Indexing runs on the job queue so a Firestore hiccup is retried without redoing OCR.
+ * @param {string} reportId
+ * @returns {Promise<Object>} - The queued job
+ */
+async function queueReportIndexing(reportId) {
+  return enqueueJob(REPORT_INDEX_JOB, { reportId });
+}
+
+registerJobHandler(REPORT_INDEX_JOB, ({ reportId }) => indexReport(reportId));
+
+/**
+ * Read documents by reference in chunks
+ * @param {Array<FirebaseFirestore.DocumentReference>} refs
+ * @returns {Promise<Array<FirebaseFirestore.DocumentSnapshot>>}
+ */
+async function getAllDocs(refs) {
+  const docs = [];
+  for (let i = 0; i < refs.length; i += READ_CHUNK_SIZE) {
+    docs.push(...await db.getAll(...refs.slice(i, i + READ_CHUNK_SIZE)));
+  }
+  return docs;
+}
+
+/**
+ * Date of a report as a Date (Timestamp, ISO string or missing)
+ */
+function toDate(value) {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Check a report against the listing filters of GET /v1/reports
+ * @param {Object} report
+ * @param {Object} filters - category, fileType, startDate, endDate, tagId, folderId
+ * @returns {boolean}
+ */
+function matchesFilters(report, { category, fileType, startDate, endDate, tagId, folderId }) {
+  if (category && report.category !== category) return false;
+  if (fileType && report.fileType !== fileType.toLowerCase()) return false;
+  if (tagId && !(report.tagIds || []).includes(tagId)) return false;
+  if (folderId && report.folderId !== folderId) return false;
+
+  const reportDate = toDate(report.reportDate);
+  if (startDate && (!reportDate || reportDate < new Date(startDate))) return false;
+  if (endDate && (!reportDate || reportDate > new Date(endDate))) return false;
+  return true;
+}
+
+/**
+ * Highlighted snippets of the fields a report matched in
+ * @param {Object} report
+ * @param {Set<string>} matchTerms
+ * @returns {Array<{field: string, text: string, highlights: Array<[number, number]>}>}
+ */
+function reportSnippets(report, matchTerms) {
+  const snippets = [];
+
+  METADATA_FIELDS.forEach(field => {
+    if (!report[field]) return;
+    buildSnippets(report[field], matchTerms, { maxSnippets: 1 })
+      .forEach(snippet => snippets.push({ field, ...snippet }));
+  });
+  if (report.extractedText) {
+    buildSnippets(report.extractedText, matchTerms)
+      .forEach(snippet => snippets.push({ field: 'extractedText', ...snippet }));
+  }
+
+  return snippets;
+}
+
+/**
+ * Full-text search over a user's reports
+ * Every query word (and the synonyms of lab terms) is looked up in the inverted index and the
+ * reports are ranked with BM25. Reports in the trash are left out.
+ * @param {string} userId
+ * @param {string} queryText
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @param {Object} [options.filters] - category, fileType, startDate, endDate, tagId, folderId
+ * @returns {Promise<{reports: Array<Object>, total: number, page: number, limit: number}>}
+ */
+async function searchReports(userId, queryText, { page = 1, limit = 20, filters = {} } = {}) {
+  const queryTerms = expandQuery(queryText, SYNONYM_WEIGHT);
+  if (queryTerms.length === 0) {
+    return { reports: [], total: 0, page, limit };
+  }
+
+  const [statsDoc, termDocs] = await Promise.all([
+    db.collection(STATS_COLLECTION).doc(userId).get(),
+    getAllDocs(queryTerms.map(({ term }) => db.collection(TERMS_COLLECTION).doc(termDocId(userId, term))))
+  ]);
+
+  const stats = statsDoc.exists ? statsDoc.data() : {};
+  const documentCount = Math.max(stats.documentCount || 0, 1);
+  const averageLength = (stats.totalLength || 0) / documentCount || 1;
+
+  const postingsByTerm = new Map();
+  termDocs.forEach(doc => {
+    if (doc.exists) postingsByTerm.set(doc.data().term, doc.data().postings || {});
+  });
+
+  const candidateIds = new Set();
+  postingsByTerm.forEach(postings => Object.keys(postings).forEach(reportId => candidateIds.add(reportId)));
+  if (candidateIds.size === 0) {
+    return { reports: [], total: 0, page, limit };
+  }
+
+  const ids = [...candidateIds];
+  const [lengthDocs, reportDocs] = await Promise.all([
+    getAllDocs(ids.map(id => db.collection(DOCUMENTS_COLLECTION).doc(id))),
+    getAllDocs(ids.map(id => db.collection('reports').doc(id)))
+  ]);
+  const lengths = new Map(lengthDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data().length]));
+
+  const results = [];
+  reportDocs.forEach(doc => {
+    if (!doc.exists) return;
+    const report = doc.data();
+    if (report.userId !== userId || report.isDeleted || !matchesFilters(report, filters)) return;
+
+    const length = lengths.get(doc.id) || averageLength;
+    let score = 0;
+    const matchedTerms = new Set();
+
+    queryTerms.forEach(({ term, weight }) => {
+      const postings = postingsByTerm.get(term);
+      const frequency = postings && postings[doc.id];
+      if (!frequency) return;
+
+      const documentFrequency = Object.keys(postings).length;
+      const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      score += weight * idf * (frequency * (BM25_K1 + 1))
+        / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+      matchedTerms.add(term);
+    });
+
+    if (score > 0) {
+      results.push({ report, score, matchedTerms });
+    }
+  });
+
+  results.sort((a, b) => b.score - a.score || (toDate(b.report.reportDate) || 0) - (toDate(a.report.reportDate) || 0));
+
+  const pageResults = results.slice((page - 1) * limit, page * limit);
+  return {
+    reports: pageResults.map(({ report, score, matchedTerms }) => ({
+      ...report,
+      search: {
+        score: Math.round(score * 1000) / 1000,
+        snippets: reportSnippets(report, matchedTerms)
+      }
+    })),
+    total: results.length,
+    page,
+    limit
+  };
+}
+
+/**
+ * Remove every index entry of a user (account purge)
+ * @param {string} userId
+ * @returns {Promise<number>} - Index documents deleted
+ */
+async function deleteUserSearchIndex(userId) {
+  const [terms, documents] = await Promise.all([
+    db.collection(TERMS_COLLECTION).where('userId', '==', userId).get(),
+    db.collection(DOCUMENTS_COLLECTION).where('userId', '==', userId).get()
+  ]);
+
+  const docs = [...terms.docs, ...documents.docs];
+  await commitWrites([
+    ...docs.map(doc => batch => batch.delete(doc.ref)),
+    batch => batch.delete(db.collection(STATS_COLLECTION).doc(userId))
+  ]);
+  return docs.length;
+}
+
+module.exports = {
+  REPORT_INDEX_JOB,
+  indexReport,
+  queueReportIndexing,
+  removeReportFromIndex,
+  searchReports,
+  deleteUserSearchIndex
+};
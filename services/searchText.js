@@ -0,0 +1,221 @@
+const { ANALYTES } = require('./analytes');
+
+// Words too common to be worth indexing
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with', 'no', 'not',
+  'mr', 'mrs', 'ms', 'dr'
+]);
+
+const MAX_TOKEN_LENGTH = 40;
+
+// Lab terms and abbreviations that mean the same thing (single words only; the index has no phrases)
+const EXTRA_SYNONYM_GROUPS = [
+  ['cbc', 'hemogram', 'haemogram'],
+  ['sugar', 'glucose'],
+  ['lipid', 'lipids', 'cholesterol'],
+  ['thyroid', 'tsh'],
+  ['lft', 'liver'],
+  ['kft', 'rft', 'renal', 'kidney'],
+  ['anemia', 'anaemia'],
+  ['ecg', 'ekg', 'electrocardiogram'],
+  ['usg', 'ultrasound', 'sonography'],
+  ['xray', 'radiograph'],
+  ['urinalysis', 'urine'],
+  ['esr', 'sedimentation']
+];
+
+/**
+ * Lower-case a word and fold accents: "Hémoglobine" -> "hemoglobine"
+ * @param {string} word
+ * @returns {string}
+ */
+function normalizeToken(word) {
+  return word
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Light suffix-stripping stemmer so "tests", "testing" and "tested" all match "test"
+ * Words with digits (hba1c, b12, t4) and short words are left alone.
+ * @param {string} token - Normalised token
+ * @returns {string}
+ */
+function stem(token) {
+  if (token.length <= 3 || /\d/.test(token)) {
+    return token;
+  }
+
+  let word = token;
+  if (word.endsWith('ies') && word.length > 4) {
+    word = `${word.slice(0, -3)}y`;
+  } else if (word.endsWith('sses')) {
+    word = word.slice(0, -2);
+  } else if (/(xes|ches|shes|zes)$/.test(word)) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  const suffix = ['ing', 'ed'].find(ending => word.endsWith(ending) && word.length - ending.length >= 3);
+  if (suffix) {
+    word = word.slice(0, -suffix.length);
+    // running -> run, but not "fall" -> "fal"
+    if (/([^aeiouls])\1$/.test(word)) {
+      word = word.slice(0, -1);
+    }
+  }
+
+  return word;
+}
+
+/**
+ * Is a normalised token worth indexing?
+ * Pure numbers are skipped: lab values would fill the index without being searchable.
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isIndexable(token) {
+  return token.length >= 2
+    && token.length <= MAX_TOKEN_LENGTH
+    && /[a-z]/.test(token)
+    && !STOPWORDS.has(token);
+}
+
+/**
+ * Find the words of a text with their positions
+ * @param {string} text
+ * @returns {Array<{term: string, start: number, end: number}>} - term is the stemmed index term
+ */
+function findTerms(text) {
+  const terms = [];
+  if (!text) return terms;
+
+  for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+    const token = normalizeToken(match[0]);
+    if (isIndexable(token)) {
+      terms.push({ term: stem(token), start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return terms;
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return findTerms(text).map(({ term }) => term);
+}
+
+// term -> every stemmed term of its synonym groups (including itself)
+const synonymIndex = new Map();
+const synonymGroups = [
+  ...ANALYTES.map(analyte => analyte.aliases.filter(alias => !alias.includes(' '))),
+  ...EXTRA_SYNONYM_GROUPS
+];
+synonymGroups.forEach(group => {
+  const terms = group.map(word => stem(normalizeToken(word)));
+  terms.forEach(term => {
+    const synonyms = synonymIndex.get(term) || new Set();
+    terms.forEach(other => synonyms.add(other));
+    synonymIndex.set(term, synonyms);
+  });
+});
+
+/**
+ * Terms to look up for a search query, with synonyms of lab terms added
+ * @param {string} queryText
+ * @param {number} synonymWeight - Weight of a synonym relative to the word that was typed
+ * @returns {Array<{term: string, weight: number, queryTerm: string}>}
+ */
+function expandQuery(queryText, synonymWeight) {
+  const expanded = new Map();
+
+  for (const queryTerm of new Set(tokenize(queryText))) {
+    expanded.set(queryTerm, { term: queryTerm, weight: 1, queryTerm });
+  }
+  for (const { queryTerm } of [...expanded.values()]) {
+    for (const synonym of synonymIndex.get(queryTerm) || []) {
+      if (!expanded.has(synonym)) {
+        expanded.set(synonym, { term: synonym, weight: synonymWeight, queryTerm });
+      }
+    }
+  }
+
+  return [...expanded.values()];
+}
+
+/**
+ * Cut snippets around the places where matching terms occur
+ * @param {string} text
+ * @param {Set<string>} matchTerms - Stemmed terms to highlight
+ * @param {Object} [options]
+ * @param {number} [options.windowWords=30] - Words per snippet
+ * @param {number} [options.maxSnippets=2]
+ * @returns {Array<{text: string, highlights: Array<[number, number]>}>} - highlights are [start, end) offsets into text
+ */
+function buildSnippets(text, matchTerms, { windowWords = 30, maxSnippets = 2 } = {}) {
+  const words = findTerms(text);
+  const isMatch = words.map(word => matchTerms.has(word.term));
+
+  const snippets = [];
+  const used = new Array(words.length).fill(false);
+
+  while (snippets.length < maxSnippets) {
+    // Window with the most unused matches
+    let best = -1;
+    let bestCount = 0;
+    let count = 0;
+    for (let i = 0; i < words.length; i++) {
+      if (isMatch[i] && !used[i]) count++;
+      if (i >= windowWords && isMatch[i - windowWords] && !used[i - windowWords]) count--;
+      if (count > bestCount) {
+        bestCount = count;
+        best = Math.max(i - windowWords + 1, 0);
+      }
+    }
+    if (best === -1) break;
+
+    // Centre the window on the matches it contains so they get context on both sides
+    const windowMatches = [];
+    for (let i = best; i < Math.min(best + windowWords, words.length); i++) {
+      if (isMatch[i] && !used[i]) windowMatches.push(i);
+    }
+    const spare = windowWords - (windowMatches[windowMatches.length - 1] - windowMatches[0] + 1);
+    best = Math.max(Math.min(windowMatches[0] - Math.floor(spare / 2), words.length - windowWords), 0);
+
+    const last = Math.min(best + windowWords, words.length) - 1;
+    const start = words[best].start;
+    const end = words[last].end;
+    for (let i = best; i <= last; i++) {
+      used[i] = true;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    snippets.push({ position: start, text: prefix + text.slice(start, end).replace(/\s+/g, ' ') + suffix });
+  }
+
+  // Offsets are taken from the final snippet text, after whitespace has been collapsed
+  return snippets
+    .sort((a, b) => a.position - b.position)
+    .map(({ text: snippetText }) => ({
+      text: snippetText,
+      highlights: findTerms(snippetText)
+        .filter(word => matchTerms.has(word.term))
+        .map(word => [word.start, word.end])
+    }));
+}
+
+module.exports = {
+  normalizeToken,
+  stem,
+  tokenize,
+  expandQuery,
+  buildSnippets
+};
@@ -0,0 +1,189 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { auth, db } = require('../config/firebase');
+const { getFirebaseApiKey } = require('./identityToolkit');
+
+const SESSIONS_COLLECTION = 'sessions';
+const SECURE_TOKEN_URL = 'https://securetoken.googleapis.com/v1/token';
+
+// securetoken.googleapis.com error codes that mean the refresh token can never be used again
+const DEAD_REFRESH_TOKEN_ERRORS = [
+  'TOKEN_EXPIRED',
+  'USER_DISABLED',
+  'USER_NOT_FOUND',
+  'INVALID_REFRESH_TOKEN',
+  'INVALID_GRANT_TYPE',
+  'MISSING_REFRESH_TOKEN'
+];
+
+/**
+ * Hash a refresh token so the raw value is never stored
+ * @param {string} refreshToken - Firebase refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Build an invalid refresh token error
+ * @returns {Error}
+ */
+function invalidRefreshTokenError() {
+  const error = new Error('Invalid or expired refresh token');
+  error.code = 'INVALID_REFRESH_TOKEN';
+  return error;
+}
+
+/**
+ * Find the session document for a refresh token
+ * @param {string} refreshToken - Firebase refresh token
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot|null>}
+ */
+async function findSessionByRefreshToken(refreshToken) {
+  const snapshot = await db.collection(SESSIONS_COLLECTION)
+    .where('refreshTokenHash', '==', hashRefreshToken(refreshToken))
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * Record a new session for tokens issued by the Firebase Auth REST API
+ * @param {string} userId - Firebase Auth UID
+ * @param {Object} tokens - Tokens returned by signInWithPassword / signInWithCustomToken
+ * @param {string} tokens.idToken - Firebase ID token (access token)
+ * @param {string} tokens.refreshToken - Firebase refresh token
+ * @param {string|number} tokens.expiresIn - ID token lifetime in seconds
+ * @param {Object} context - Request context stored for auditing
+ * @param {string} [context.userAgent]
+ * @param {string} [context.ipAddress]
+ * @returns {Promise<{sessionId: string, accessToken: string, refreshToken: string, expiresIn: number}>}
+ */
+async function createSession(userId, tokens, context = {}) {
+  const { idToken, refreshToken, expiresIn } = tokens;
+  const sessionRef = db.collection(SESSIONS_COLLECTION).doc();
+
+  await sessionRef.set({
+    sessionId: sessionRef.id,
+    userId,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    userAgent: context.userAgent || null,
+    ipAddress: context.ipAddress || null,
+    createdAt: new Date().toISOString(),
+    lastRefreshedAt: null,
+    revokedAt: null
+  });
+
+  return {
+    sessionId: sessionRef.id,
+    accessToken: idToken,
+    refreshToken,
+    expiresIn: Number(expiresIn)
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token
+ * @param {string} refreshToken - Firebase refresh token issued at login
+ * @returns {Promise<{sessionId: string, userId: string, accessToken: string, refreshToken: string, expiresIn: number}>}
+ */
+async function refreshSession(refreshToken) {
+  const sessionDoc = await findSessionByRefreshToken(refreshToken);
+  if (!sessionDoc || sessionDoc.data().revokedAt) {
+    throw invalidRefreshTokenError();
+  }
+
+  const response = await axios.post(
+    `${SECURE_TOKEN_URL}?key=${getFirebaseApiKey()}`,
+    new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    }).toString(),
+    {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      validateStatus: function (status) {
+        return status >= 200 && status < 600;
+      }
+    }
+  );
+
+  if (response.status !== 200 || !response.data || !response.data.id_token) {
+    const errorMessage = response.data?.error?.message || '';
+    console.error('Refresh token exchange failed:', errorMessage || response.status);
+
+    if (DEAD_REFRESH_TOKEN_ERRORS.some(code => errorMessage.includes(code))) {
+      await sessionDoc.ref.update({ revokedAt: new Date().toISOString() });
+      throw invalidRefreshTokenError();
+    }
+
+    throw new Error('Failed to refresh session');
+  }
+
+  const { id_token: idToken, refresh_token: newRefreshToken, expires_in: expiresIn, user_id: userId } = response.data;
+
+  await sessionDoc.ref.update({
+    refreshTokenHash: hashRefreshToken(newRefreshToken),
+    lastRefreshedAt: new Date().toISOString()
+  });
+
+  return {
+    sessionId: sessionDoc.id,
+    userId,
+    accessToken: idToken,
+    refreshToken: newRefreshToken,
+    expiresIn: Number(expiresIn)
+  };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (single device logout)
+ * The access token stays valid until it expires; only refreshing is blocked.
+ * @param {string} refreshToken - Firebase refresh token
+ * @returns {Promise<boolean>} - true if an active session was revoked
+ */
+async function revokeSession(refreshToken) {
+  const sessionDoc = await findSessionByRefreshToken(refreshToken);
+  if (!sessionDoc || sessionDoc.data().revokedAt) {
+    return false;
+  }
+
+  await sessionDoc.ref.update({ revokedAt: new Date().toISOString() });
+  return true;
+}
+
+/**
+ * Revoke every session of a user (logout from all devices)
+ * Calls auth.revokeRefreshTokens so that existing ID tokens fail the revocation check too.
+ * @param {string} userId - Firebase Auth UID
+ * @returns {Promise<number>} - Number of session records revoked
+ */
+async function revokeAllSessions(userId) {
+  await auth.revokeRefreshTokens(userId);
+
+  const snapshot = await db.collection(SESSIONS_COLLECTION)
+    .where('userId', '==', userId)
+    .where('revokedAt', '==', null)
+    .get();
+
+  if (snapshot.empty) {
+    return 0;
+  }
+
+  const revokedAt = new Date().toISOString();
+  const batch = db.batch();
+  snapshot.docs.forEach(doc => {
+    batch.update(doc.ref, { revokedAt });
+  });
+  await batch.commit();
+
+  return snapshot.size;
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,114 @@
+const axios = require('axios');
+
+/**
+ * SMS providers
+ * A provider is an object with a send(to, body) method returning a Promise.
+ * Select one with SMS_PROVIDER (console | twilio) or plug in a custom one with setSmsProvider().
+ */
+const providerFactories = {
+  // Local stand-in: print the message to the server log
+  console: () => ({
+    name: 'console',
+    send: async (to, body) => {
+      console.log(`[SMS] To: ${to} | ${body}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  }),
+
+  // Twilio Programmable Messaging REST API
+  twilio: () => {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+      throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER are required for the twilio SMS provider');
+    }
+
+    return {
+      name: 'twilio',
+      send: async (to, body) => {
+        const response = await axios.post(
+          `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+          new URLSearchParams({ To: to, From: TWILIO_FROM_NUMBER, Body: body }).toString(),
+          {
+            auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+          }
+        );
+        return { messageId: response.data.sid };
+      }
+    };
+  }
+};
+
+let activeProvider = null;
+
+/**
+ * Check whether text messages can be sent
+ * SMS is only used for the optional SMS second factor, so a missing provider doesn't stop the server:
+ * in production the console provider counts as unavailable and SMS codes are refused when requested.
+ * @returns {boolean}
+ */
+function isSmsAvailable() {
+  if (activeProvider) {
+    return true;
+  }
+
+  const providerName = (process.env.SMS_PROVIDER || 'console').toLowerCase();
+  return Boolean(providerFactories[providerName]) &&
+    !(process.env.NODE_ENV === 'production' && providerName === 'console');
+}
+
+/**
+ * Get the configured SMS provider (created on first use)
+ * @returns {{name: string, send: Function}}
+ */
+function getSmsProvider() {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  const providerName = (process.env.SMS_PROVIDER || 'console').toLowerCase();
+  const factory = providerFactories[providerName];
+  if (!factory) {
+    throw new Error(`Unknown SMS_PROVIDER: ${providerName}`);
+  }
+  // The console provider would write one-time codes to the server log
+  if (process.env.NODE_ENV === 'production' && providerName === 'console') {
+    throw new Error('SMS_PROVIDER=console is for local development only; configure a real SMS provider in production');
+  }
+
+  activeProvider = factory();
+  return activeProvider;
+}
+
+/**
+ * Replace the SMS provider (custom providers, tests)
+ * @param {{name?: string, send: Function}} provider - Object with a send(to, body) method
+ */
+function setSmsProvider(provider) {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('SMS provider must implement send(to, body)');
+  }
+  activeProvider = provider;
+}
+
+/**
+ * Send a text message through the active provider
+ * @param {string} to - Recipient phone number in E.164 format
+ * @param {string} body - Message text
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendSms(to, body) {
+  try {
+    return await getSmsProvider().send(to, body);
+  } catch (error) {
+    console.error(`Error sending SMS to ${to}:`, error.message);
+    throw new Error('Failed to send SMS');
+  }
+}
+
+module.exports = {
+  sendSms,
+  isSmsAvailable,
+  getSmsProvider,
+  setSmsProvider
+};
@@ -3,6 +3,7 @@ const archiver = require('archiver');
 const { Readable } = require('stream');
 
 const DEFAULT_EXPIRY = 3600; // 1 hour
+const LONG_LIVED_URL_EXPIRY_MS = 10 * 365 * 24 * 60 * 60 * 1000; // 10 years
 
 /**
  * Generate presigned URL for file upload
@@ -80,6 +81,28 @@ async function generateDownloadUrl(fileKey, expiresIn = DEFAULT_EXPIRY) {
   }
 }
 
+/**
+ * Sign a read URL without checking that the object exists
+ * Signing happens locally, so this suits many URLs per response (e.g. page previews) where
+ * generateDownloadUrl's existence check would cost a round trip each. Errors are left to the caller.
+ * @param {string} fileKey - Storage object path
+ * @param {number} expiresIn - Expiration time in seconds (default: 3600)
+ * @returns {Promise<string>} - Signed URL
+ */
+async function generateSignedReadUrl(fileKey, expiresIn = DEFAULT_EXPIRY) {
+  const bucketName = process.env.FIREBASE_STORAGE_BUCKET;
+  if (!bucketName) {
+    throw new Error('FIREBASE_STORAGE_BUCKET environment variable is required');
+  }
+
+  const [url] = await storage.bucket(bucketName).file(fileKey).getSignedUrl({
+    action: 'read',
+    expires: new Date(Date.now() + expiresIn * 1000),
+    version: 'v4'
+  });
+  return url;
+}
+
 /**
  * Get file from Storage as a stream
  * @param {string} fileKey - Storage object path
@@ -125,9 +148,10 @@ async function getFileStream(fileKey) {
  * @param {string} fileKey - Storage object path
  * @param {Buffer} fileBuffer - File content as buffer
  * @param {string} contentType - MIME type of the file
+ * @param {Object} [metadata] - Extra object metadata (e.g. cacheControl)
  * @returns {Promise<string>} - Storage URL of the uploaded file
  */
-async function uploadFile(fileKey, fileBuffer, contentType) {
+async function uploadFile(fileKey, fileBuffer, contentType, metadata = {}) {
   try {
     const bucketName = process.env.FIREBASE_STORAGE_BUCKET;
     if (!bucketName) {
@@ -138,6 +162,7 @@ async function uploadFile(fileKey, fileBuffer, contentType) {
     
     await file.save(fileBuffer, {
       metadata: {
+        ...metadata,
         contentType: contentType
       }
     });
@@ -153,34 +178,161 @@ async function uploadFile(fileKey, fileBuffer, contentType) {
 }
 
 /**
- * Export multiple reports as a ZIP file
- * @param {Array<string>} reportIds - Array of report IDs
- * @param {string} userId - User ID requesting the export
- * @returns {Promise<{exportUrl: string, expiresIn: number}>}
+ * Get the stored size and content type of a file without downloading it
+ * @param {string} fileKey - Storage object path
+ * @returns {Promise<{size: number, contentType: string}>}
  */
-function exportReports(reportIds, userId) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      const { db } = require('../config/firebase');
-      
-      // Fetch report documents from Firestore
-      const reports = [];
-      for (const reportId of reportIds) {
-        const reportDoc = await db.collection('reports').doc(reportId).get();
-        if (reportDoc.exists) {
-          const reportData = reportDoc.data();
-          // Verify user owns the report
-          if (reportData.userId === userId) {
-            reports.push({ id: reportId, ...reportData });
-          }
-        }
-      }
+async function getFileMetadata(fileKey) {
+  const bucketName = process.env.FIREBASE_STORAGE_BUCKET;
+  if (!bucketName) {
+    throw new Error('FIREBASE_STORAGE_BUCKET environment variable is required');
+  }
+  const bucket = storage.bucket(bucketName);
+  const file = bucket.file(fileKey);
 
-      if (reports.length === 0) {
-        return reject(new Error('No valid reports found for export'));
-      }
+  const [exists] = await file.exists();
+  if (!exists) {
+    const error = new Error('File not found');
+    error.Code = 'NoSuchKey';
+    error.code = 404;
+    throw error;
+  }
+
+  const [metadata] = await file.getMetadata();
+  return {
+    size: parseInt(metadata.size, 10),
+    contentType: metadata.contentType
+  };
+}
+
+/**
+ * Download a file from Storage into memory
+ * @param {string} fileKey - Storage object path
+ * @returns {Promise<{buffer: Buffer, size: number, contentType: string}>}
+ */
+async function downloadFile(fileKey) {
+  const bucketName = process.env.FIREBASE_STORAGE_BUCKET;
+  if (!bucketName) {
+    throw new Error('FIREBASE_STORAGE_BUCKET environment variable is required');
+  }
+  const bucket = storage.bucket(bucketName);
+  const file = bucket.file(fileKey);
 
-      // Create ZIP archive in memory
+  const [exists] = await file.exists();
+  if (!exists) {
+    const error = new Error('File not found');
+    error.Code = 'NoSuchKey';
+    error.code = 404;
+    throw error;
+  }
+
+  const [metadata] = await file.getMetadata();
+  const [buffer] = await file.download();
+
+  return {
+    buffer,
+    size: parseInt(metadata.size, 10),
+    contentType: metadata.contentType
+  };
+}
+
+/**
+ * Get a long-lived URL for a file that may be shown publicly (e.g. profile photos)
+ * Makes the object public-read; buckets with uniform bucket-level access reject that,
+ * so fall back to a long-lived v2 signed URL (v4 URLs are capped at 7 days).
+ * @param {string} fileKey - Storage object path
+ * @returns {Promise<string>}
+ */
+async function getPublicUrl(fileKey) {
+  const bucketName = process.env.FIREBASE_STORAGE_BUCKET;
+  if (!bucketName) {
+    throw new Error('FIREBASE_STORAGE_BUCKET environment variable is required');
+  }
+  const bucket = storage.bucket(bucketName);
+  const file = bucket.file(fileKey);
+
+  try {
+    await file.makePublic();
+    return `https://storage.googleapis.com/${bucket.name}/${encodeURI(fileKey)}`;
+  } catch (error) {
+    console.warn(`Could not make ${fileKey} public, using a signed URL instead:`, error.message);
+    const [signedUrl] = await file.getSignedUrl({
+      action: 'read',
+      expires: new Date(Date.now() + LONG_LIVED_URL_EXPIRY_MS),
+      version: 'v2'
+    });
+    return signedUrl;
+  }
+}
+
+/**
+ * Delete a file from Storage (missing files are ignored)
+ * @param {string} fileKey - Storage object path
+ * @returns {Promise<void>}
+ */
+async function deleteFile(fileKey) {
+  try {
+    const bucketName = process.env.FIREBASE_STORAGE_BUCKET;
+    if (!bucketName) {
+      throw new Error('FIREBASE_STORAGE_BUCKET environment variable is required');
+    }
+    const bucket = storage.bucket(bucketName);
+    await bucket.file(fileKey).delete({ ignoreNotFound: true });
+  } catch (error) {
+    console.error(`Error deleting file ${fileKey} from Storage:`, error);
+    throw new Error('Failed to delete file from Storage');
+  }
+}
+
+/**
+ * Move a file to another key in the same bucket
+ * @param {string} fromKey - Current Storage object path
+ * @param {string} toKey - New Storage object path
+ * @returns {Promise<void>}
+ */
+async function moveFile(fromKey, toKey) {
+  try {
+    const bucketName = process.env.FIREBASE_STORAGE_BUCKET;
+    if (!bucketName) {
+      throw new Error('FIREBASE_STORAGE_BUCKET environment variable is required');
+    }
+    const bucket = storage.bucket(bucketName);
+    await bucket.file(fromKey).move(bucket.file(toKey));
+  } catch (error) {
+    console.error(`Error moving file ${fromKey} to ${toKey} in Storage:`, error);
+    throw new Error('Failed to move file in Storage');
+  }
+}
+
+/**
+ * Delete every file under a prefix (e.g. all uploads of a user)
+ * @param {string} prefix - Storage path prefix, e.g. 'reports/{userId}/'
+ * @returns {Promise<void>}
+ */
+async function deleteFilesByPrefix(prefix) {
+  try {
+    const bucketName = process.env.FIREBASE_STORAGE_BUCKET;
+    if (!bucketName) {
+      throw new Error('FIREBASE_STORAGE_BUCKET environment variable is required');
+    }
+    const bucket = storage.bucket(bucketName);
+    await bucket.deleteFiles({ prefix, force: true });
+  } catch (error) {
+    console.error(`Error deleting files under ${prefix} from Storage:`, error);
+    throw new Error('Failed to delete files from Storage');
+  }
+}
+
+/**
+ * Build a ZIP archive in memory
+ * Storage files that cannot be read are skipped so one missing object doesn't fail the whole archive.
+ * @param {Array<{name: string, fileKey?: string, content?: string|Buffer}>} entries -
+ *   Each entry is either a Storage object (fileKey) or inline content
+ * @returns {Promise<Buffer>} - ZIP file content
+ */
+function createZipArchive(entries) {
+  return new Promise(async (resolve, reject) => {
+    try {
       const archive = archiver('zip', { zlib: { level: 9 } });
       const chunks = [];
 
@@ -192,39 +344,21 @@ function exportReports(reportIds, userId) {
         reject(err);
       });
 
-      archive.on('end', async () => {
-        try {
-          // Combine all chunks into a single buffer
-          const zipBuffer = Buffer.concat(chunks);
-
-          // Generate export file key
-          const timestamp = Date.now();
-          const exportKey = `exports/${userId}/export_${timestamp}.zip`;
-
-          // Upload ZIP to Storage
-          await uploadFile(exportKey, zipBuffer, 'application/zip');
-
-          // Generate presigned download URL
-          const { downloadUrl, expiresIn } = await generateDownloadUrl(exportKey);
-
-          resolve({
-            exportUrl: downloadUrl,
-            expiresIn
-          });
-        } catch (error) {
-          reject(error);
-        }
+      archive.on('end', () => {
+        resolve(Buffer.concat(chunks));
       });
 
-      // Add each report file to the archive
-      for (const report of reports) {
-        try {
-          const fileStream = await getFileStream(report.fileKey);
-          const fileName = report.fileName || `report_${report.id}.${report.fileType || 'pdf'}`;
-          archive.append(fileStream, { name: fileName });
-        } catch (error) {
-          console.error(`Error adding report ${report.id} to archive:`, error);
-          // Continue with other reports even if one fails
+      for (const entry of entries) {
+        if (entry.fileKey) {
+          try {
+            const fileStream = await getFileStream(entry.fileKey);
+            archive.append(fileStream, { name: entry.name });
+          } catch (error) {
+            console.error(`Error adding ${entry.fileKey} to archive:`, error);
+            // Continue with other files even if one fails
+          }
+        } else {
+          archive.append(entry.content, { name: entry.name });
         }
       }
 
@@ -236,11 +370,84 @@ function exportReports(reportIds, userId) {
   });
 }
 
+/**
+ * Upload a ZIP archive to the user's exports folder and return a download URL
+ * @param {string} userId - User ID
+ * @param {Buffer} zipBuffer - ZIP file content
+ * @param {string} [prefix='export'] - File name prefix
+ * @returns {Promise<{exportKey: string, exportUrl: string, expiresIn: number}>}
+ */
+async function uploadExportArchive(userId, zipBuffer, prefix = 'export') {
+  const timestamp = Date.now();
+  const exportKey = `exports/${userId}/${prefix}_${timestamp}.zip`;
+
+  // Upload ZIP to Storage
+  await uploadFile(exportKey, zipBuffer, 'application/zip');
+
+  // Generate presigned download URL
+  const { downloadUrl, expiresIn } = await generateDownloadUrl(exportKey);
+
+  return {
+    exportKey,
+    exportUrl: downloadUrl,
+    expiresIn
+  };
+}
+
+/**
+ * Export multiple reports as a ZIP file
+ * @param {Array<string>} reportIds - Array of report IDs
+ * @param {string} userId - User ID requesting the export
+ * @returns {Promise<{exportUrl: string, expiresIn: number}>}
+ */
+async function exportReports(reportIds, userId) {
+  const { db } = require('../config/firebase');
+  const { isScanClean } = require('./scanner');
+
+  // Fetch report documents from Firestore
+  const reports = [];
+  for (const reportId of reportIds) {
+    const reportDoc = await db.collection('reports').doc(reportId).get();
+    if (reportDoc.exists) {
+      const reportData = reportDoc.data();
+      // Verify user owns the report, it isn't in the trash and its file passed the malware scan
+      if (reportData.userId === userId && !reportData.isDeleted && isScanClean(reportData)) {
+        reports.push({ id: reportId, ...reportData });
+      }
+    }
+  }
+
+  if (reports.length === 0) {
+    throw new Error('No valid reports found for export');
+  }
+
+  const zipBuffer = await createZipArchive(reports.map(report => ({
+    name: report.fileName || `report_${report.id}.${report.fileType || 'pdf'}`,
+    fileKey: report.fileKey
+  })));
+
+  const { exportUrl, expiresIn } = await uploadExportArchive(userId, zipBuffer);
+
+  return {
+    exportUrl,
+    expiresIn
+  };
+}
+
 module.exports = {
   generateUploadUrl,
   generateDownloadUrl,
+  generateSignedReadUrl,
   getFileStream,
   uploadFile,
+  getFileMetadata,
+  downloadFile,
+  getPublicUrl,
+  deleteFile,
+  moveFile,
+  deleteFilesByPrefix,
+  createZipArchive,
+  uploadExportArchive,
   exportReports
 };
 
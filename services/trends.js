@@ -0,0 +1,276 @@
+const { db } = require('../config/firebase');
+const { OBSERVATIONS_COLLECTION } = require('./observations');
+const { findAnalyte, resolveAnalyte, normalizeUnit, toCanonicalUnit } = require('./analytes');
+const { validateQRToken } = require('./qr');
+
+// A fitted change smaller than this share of the average value counts as stable
+const STABLE_PERCENT = parseFloat(process.env.TREND_STABLE_PERCENT) || 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365.25 / 12;
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function trendError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Round for display without losing small values such as TSH
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round(value) {
+  return value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Load the numeric observations a caller may see
+ * @param {string} userId - Patient
+ * @param {Array<string>|null} reportIds - Restrict to these reports (QR shares), or null for all
+ * @returns {Promise<Array<Object>>} - Observations with a value and a report date
+ */
+async function loadObservations(userId, reportIds = null) {
+  const snapshot = await db.collection(OBSERVATIONS_COLLECTION)
+    .where('userId', '==', userId)
+    .where('reportDeleted', '==', false)
+    .get();
+
+  const allowed = reportIds ? new Set(reportIds) : null;
+  return snapshot.docs
+    .map(doc => doc.data())
+    .filter(observation => (
+      observation.measuredValue !== null
+      && observation.observedAt
+      && (!allowed || allowed.has(observation.reportId))
+    ));
+}
+
+/**
+ * Express an observation in the unit its series is charted in
+ * @param {Object} observation
+ * @param {{key: string, unit: string|null, known: boolean}} analyte
+ * @returns {Object|null} - Series point, or null if the unit can't be reconciled
+ */
+function toPoint(observation, analyte) {
+  const convert = value => {
+    if (value === null || value === undefined) return null;
+    if (analyte.known) return toCanonicalUnit(analyte.key, value, observation.units);
+    // Uncatalogued tests are only comparable within one unit spelling
+    return normalizeUnit(observation.units) === normalizeUnit(analyte.unit) ? value : null;
+  };
+
+  const value = convert(observation.measuredValue);
+  if (value === null) {
+    return null;
+  }
+
+  const range = observation.referenceRange || {};
+  return {
+    observedAt: observation.observedAt,
+    reportId: observation.reportId,
+    value: round(value),
+    valueQualifier: observation.valueQualifier || null,
+    units: analyte.unit,
+    originalValue: observation.measuredValue,
+    originalUnits: observation.units || null,
+    referenceRange: { low: round(convert(range.low)), high: round(convert(range.high)) },
+    status: observation.status,
+    critical: !!observation.critical
+  };
+}
+
+/**
+ * Direction and rate of change of a series (least-squares line through the points)
+ * @param {Array<{observedAt: string, value: number}>} points - Sorted by observedAt
+ * @returns {Object}
+ */
+function describeTrend(points) {
+  if (points.length < 2) {
+    return { direction: 'insufficient_data', changePerMonth: null, absoluteChange: null, percentChange: null, periodDays: 0 };
+  }
+
+  const start = new Date(points[0].observedAt).getTime();
+  const xs = points.map(point => (new Date(point.observedAt).getTime() - start) / DAY_MS);
+  const ys = points.map(point => point.value);
+  const periodDays = xs[xs.length - 1];
+
+  const first = ys[0];
+  const last = ys[ys.length - 1];
+  const base = {
+    absoluteChange: round(last - first),
+    percentChange: first !== 0 ? round(((last - first) / Math.abs(first)) * 100) : null,
+    periodDays: Math.round(periodDays)
+  };
+
+  if (periodDays === 0) {
+    // Several results on the same day say nothing about change over time
+    return { direction: 'insufficient_data', changePerMonth: null, ...base };
+  }
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  let numerator = 0;
+  let denominator = 0;
+  xs.forEach((x, i) => {
+    numerator += (x - meanX) * (ys[i] - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  const slopePerDay = numerator / denominator;
+
+  const fittedChange = slopePerDay * periodDays;
+  const relativeChange = meanY !== 0 ? Math.abs(fittedChange / meanY) * 100 : Math.abs(fittedChange) * 100;
+
+  let direction = 'stable';
+  if (relativeChange >= STABLE_PERCENT) {
+    direction = slopePerDay > 0 ? 'rising' : 'falling';
+  }
+
+  return { direction, changePerMonth: round(slopePerDay * DAYS_PER_MONTH), ...base };
+}
+
+/**
+ * Group observations by analyte
+ * @param {Array<Object>} observations
+ * @returns {Map<string, {analyte: Object, observations: Array<Object>}>}
+ */
+function groupByAnalyte(observations) {
+  const groups = new Map();
+  observations.forEach(observation => {
+    const analyte = resolveAnalyte(observation);
+    if (!groups.has(analyte.key)) {
+      groups.set(analyte.key, { analyte, observations: [] });
+    }
+    groups.get(analyte.key).observations.push(observation);
+  });
+
+  // Uncatalogued tests are charted in whichever unit they were reported in most often
+  groups.forEach(group => {
+    if (group.analyte.known) return;
+    const counts = {};
+    group.observations.forEach(observation => {
+      const unit = normalizeUnit(observation.units) || '';
+      counts[unit] = (counts[unit] || 0) + 1;
+    });
+    const [topUnit] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    const sample = group.observations.find(observation => (normalizeUnit(observation.units) || '') === topUnit);
+    group.analyte = { ...group.analyte, unit: sample.units || null };
+  });
+
+  return groups;
+}
+
+/**
+ * Turn a group of observations into a sorted series
+ * @returns {{points: Array<Object>, excludedCount: number}}
+ */
+function buildSeries(group) {
+  const points = group.observations
+    .map(observation => toPoint(observation, group.analyte))
+    .filter(Boolean)
+    .sort((a, b) => a.observedAt.localeCompare(b.observedAt));
+
+  return { points, excludedCount: group.observations.length - points.length };
+}
+
+/**
+ * List the analytes with at least one usable value
+ * @param {string} userId - Patient
+ * @param {Object} [options]
+ * @param {Array<string>} [options.reportIds] - Restrict to these reports
+ * @returns {Promise<Array<Object>>} - Sorted by name
+ */
+async function listAnalytes(userId, { reportIds = null } = {}) {
+  const groups = groupByAnalyte(await loadObservations(userId, reportIds));
+
+  const analytes = [];
+  groups.forEach(group => {
+    const { points } = buildSeries(group);
+    if (points.length === 0) return;
+
+    const latest = points[points.length - 1];
+    analytes.push({
+      analyte: group.analyte.key,
+      name: group.analyte.name,
+      units: group.analyte.unit,
+      pointCount: points.length,
+      firstObservedAt: points[0].observedAt,
+      lastObservedAt: latest.observedAt,
+      latest: { value: latest.value, status: latest.status, critical: latest.critical, observedAt: latest.observedAt }
+    });
+  });
+
+  return analytes.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Time series of one analyte with its trend
+ * @param {string} userId - Patient
+ * @param {string} analyteQuery - Analyte key or a test name, e.g. "hba1c", "LDL Cholesterol"
+ * @param {Object} [options]
+ * @param {string} [options.from] - ISO date, inclusive
+ * @param {string} [options.to] - ISO date, inclusive
+ * @param {Array<string>} [options.reportIds] - Restrict to these reports
+ * @returns {Promise<Object>}
+ */
+async function getAnalyteTrend(userId, analyteQuery, { from = null, to = null, reportIds = null } = {}) {
+  const groups = groupByAnalyte(await loadObservations(userId, reportIds));
+
+  // Accept a catalogue key or alias as well as the test name printed on the report
+  const known = findAnalyte(analyteQuery);
+  const group = groups.get(known ? known.key : resolveAnalyte({ testName: analyteQuery }).key);
+  if (!group) {
+    throw trendError('ANALYTE_NOT_FOUND', `No results found for ${analyteQuery}`);
+  }
+
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() + DAY_MS - 1 : Infinity;
+
+  const { points: allPoints, excludedCount } = buildSeries(group);
+  const points = allPoints.filter(point => {
+    const time = new Date(point.observedAt).getTime();
+    return time >= fromTime && time <= toTime;
+  });
+
+  const latest = points[points.length - 1] || null;
+
+  return {
+    analyte: group.analyte.key,
+    name: group.analyte.name,
+    units: group.analyte.unit,
+    // The range printed on the most recent report; labs differ, so every point also carries its own
+    referenceRange: latest ? latest.referenceRange : null,
+    trend: describeTrend(points),
+    pointCount: points.length,
+    // Values whose unit is missing or can't be converted to the series unit
+    excludedCount,
+    points
+  };
+}
+
+/**
+ * Resolve a QR token to the patient and reports it shares
+ * @param {string} qrToken
+ * @returns {Promise<{userId: string, reportIds: Array<string>}>}
+ */
+async function resolveQrScope(qrToken) {
+  const validation = await validateQRToken(qrToken);
+  if (!validation.valid || !validation.userId) {
+    throw trendError('NOT_FOUND', 'Invalid or expired QR token');
+  }
+  return { userId: validation.userId, reportIds: validation.reportIds };
+}
+
+module.exports = {
+  STABLE_PERCENT,
+  describeTrend,
+  listAnalytes,
+  getAnalyteTrend,
+  resolveQrScope
+};
@@ -0,0 +1,623 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { auth, db, admin } = require('../config/firebase');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('./totp');
+const { sendSms, isSmsAvailable } = require('./sms');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('./loginThrottle');
+
+const TWO_FACTOR_COLLECTION = 'twoFactor';
+const CHALLENGES_COLLECTION = 'loginChallenges';
+// Roles that can enrol in two-factor authentication and must pass it at login once enrolled
+const TWO_FACTOR_ROLES = ['doctor', 'admin'];
+// Doctors and admins read patient reports: until they enrol, their tokens only reach the authenticator
+// app setup endpoints. TWO_FACTOR_ENFORCED=false leaves enrolment optional (e.g. local development).
+// Without TWO_FACTOR_ENCRYPTION_KEY nobody can enrol, so enforcing it would lock those accounts out.
+const TWO_FACTOR_ENFORCED = process.env.TWO_FACTOR_ENFORCED !== 'false' && Boolean(process.env.TWO_FACTOR_ENCRYPTION_KEY);
+if (process.env.NODE_ENV === 'production' && process.env.TWO_FACTOR_ENFORCED !== 'false' && !TWO_FACTOR_ENFORCED) {
+  console.warn('TWO_FACTOR_ENCRYPTION_KEY is not set: doctors and admins are not required to enrol in two-factor authentication');
+}
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'HelloCare';
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes to complete the second step
+const SMS_CODE_TTL_MS = 5 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+// SMS sends per user: a code for the same purpose at most once per interval, and a cap per rolling hour
+const SMS_RESEND_INTERVAL_MS = 60 * 1000;
+const MAX_SMS_PER_HOUR = 5;
+const RECOVERY_CODE_COUNT = 10;
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+/**
+ * Build an error with a machine-readable code
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {Error}
+ */
+function twoFactorError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * Get the 32-byte key used to encrypt TOTP secrets at rest
+ * @returns {Buffer}
+ */
+function getEncryptionKey() {
+  const configuredKey = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  if (!configuredKey) {
+    throw twoFactorError('SERVER_CONFIG_ERROR', 'TWO_FACTOR_ENCRYPTION_KEY environment variable is required');
+  }
+
+  const key = Buffer.from(configuredKey, 'hex');
+  if (key.length === 32) {
+    return key;
+  }
+  // If not hex or wrong length, hash it to get 32 bytes
+  return crypto.createHash('sha256').update(configuredKey).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+}
+
+function decryptSecret(encryptedSecret) {
+  const [iv, authTag, encrypted] = encryptedSecret.split(':');
+  const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+function maskPhone(phone) {
+  if (!phone) return null;
+  return `${'*'.repeat(Math.max(phone.length - 4, 0))}${phone.slice(-4)}`;
+}
+
+/**
+ * Generate a fresh set of single-use recovery codes
+ * @returns {{codes: Array<string>, hashes: Array<string>}}
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashCode) };
+}
+
+/**
+ * Get the raw two-factor settings document for a user
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+async function getTwoFactorSettings(userId) {
+  const doc = await db.collection(TWO_FACTOR_COLLECTION).doc(userId).get();
+  return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Get the enabled second-factor methods for a user
+ * @param {Object|null} settings - Two-factor settings document
+ * @returns {Array<string>}
+ */
+function getEnabledMethods(settings) {
+  if (!settings) return [];
+  const methods = [];
+  if (settings.totp?.enabled) methods.push('totp');
+  if (settings.sms?.enabled) methods.push('sms');
+  if (methods.length > 0 && settings.recoveryCodeHashes?.length) methods.push('recovery');
+  return methods;
+}
+
+/**
+ * Get a user's two-factor status (safe to return to the client)
+ * @param {string} userId
+ * @returns {Promise<{enabled: boolean, methods: Array<string>, phone: string|null, recoveryCodesRemaining: number}>}
+ */
+async function getTwoFactorStatus(userId) {
+  const settings = await getTwoFactorSettings(userId);
+  const methods = getEnabledMethods(settings);
+
+  return {
+    enabled: methods.length > 0,
+    methods,
+    phone: settings?.sms?.enabled ? maskPhone(settings.sms.phone) : null,
+    recoveryCodesRemaining: settings?.recoveryCodeHashes?.length || 0
+  };
+}
+
+/**
+ * Check whether a user has any second factor enabled
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorEnabled(userId) {
+  const settings = await getTwoFactorSettings(userId);
+  return getEnabledMethods(settings).length > 0;
+}
+
+/**
+ * Mirror enrolment onto the Firebase Auth user as the twoFactorEnrolled custom claim
+ * authenticateToken uses it to reject tokens of enrolled users that didn't pass a login challenge.
+ * Other custom claims are preserved.
+ * @param {string} userId
+ * @param {boolean} enrolled
+ * @returns {Promise<boolean>} - true if the claim changed
+ */
+async function setTwoFactorClaim(userId, enrolled) {
+  const userRecord = await auth.getUser(userId);
+  const { twoFactorEnrolled, ...claims } = userRecord.customClaims || {};
+  if (Boolean(twoFactorEnrolled) === enrolled) {
+    return false;
+  }
+
+  await auth.setCustomUserClaims(userId, enrolled ? { ...claims, twoFactorEnrolled: true } : claims);
+  return true;
+}
+
+/**
+ * Send a one-time SMS code and remember its hash on the settings document
+ * @param {string} userId
+ * @param {string} phone - E.164 phone number
+ * @param {string} purpose - What the code may be used for ('enroll', 'manage' or 'login:<challengeId>')
+ * @returns {Promise<{expiresAt: string}>}
+ */
+async function sendSmsCode(userId, phone, purpose) {
+  if (!isSmsAvailable()) {
+    throw twoFactorError('SMS_UNAVAILABLE', 'SMS verification codes are not available. Use an authenticator app or a recovery code.');
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + SMS_CODE_TTL_MS).toISOString();
+  const settingsRef = db.collection(TWO_FACTOR_COLLECTION).doc(userId);
+
+  // Rate limited per user so codes can't be resent endlessly. The interval only applies to resends:
+  // changing the phone number sends an enrolment code right after the management code it was confirmed with.
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(settingsRef);
+    const now = Date.now();
+    const recentSends = ((doc.exists && doc.data().smsSentAt) || [])
+      .filter(sentAt => now - new Date(sentAt).getTime() < 60 * 60 * 1000);
+
+    const previousCode = doc.exists ? doc.data().smsCode : null;
+    const lastSend = previousCode && previousCode.purpose === purpose
+      ? new Date(previousCode.expiresAt).getTime() - SMS_CODE_TTL_MS
+      : 0;
+    const retryAfterMs = Math.max(
+      lastSend + SMS_RESEND_INTERVAL_MS - now,
+      recentSends.length >= MAX_SMS_PER_HOUR ? new Date(recentSends[0]).getTime() + 60 * 60 * 1000 - now : 0
+    );
+    if (retryAfterMs > 0) {
+      throw twoFactorError('SMS_RATE_LIMITED', 'Too many verification codes requested. Please try again later.', {
+        retryAfter: Math.ceil(retryAfterMs / 1000)
+      });
+    }
+
+    transaction.set(settingsRef, {
+      userId,
+      smsCode: {
+        hash: hashCode(code),
+        purpose,
+        phone,
+        expiresAt,
+        attempts: 0
+      },
+      smsSentAt: [...recentSends, new Date(now).toISOString()],
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  });
+
+  await sendSms(phone, `Your ${TOTP_ISSUER} verification code is ${code}. It expires in 5 minutes.`);
+
+  return { expiresAt };
+}
+
+/**
+ * Verify a second factor against a user's settings
+ * Consumes recovery codes and SMS codes, and records the TOTP step to prevent replay.
+ * @param {string} userId
+ * @param {string} method - 'totp' | 'sms' | 'recovery'
+ * @param {string} code
+ * @param {string} smsPurpose - Purpose the SMS code must have been issued for
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(userId, method, code, smsPurpose = 'manage') {
+  const settingsRef = db.collection(TWO_FACTOR_COLLECTION).doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(settingsRef);
+    const settings = doc.exists ? doc.data() : null;
+    if (!getEnabledMethods(settings).includes(method)) {
+      return false;
+    }
+
+    if (method === 'totp') {
+      const step = verifyCode(decryptSecret(settings.totp.secret), code);
+      if (step === null || step <= (settings.totp.lastUsedStep || 0)) {
+        return false;
+      }
+      transaction.update(settingsRef, { 'totp.lastUsedStep': step });
+      return true;
+    }
+
+    if (method === 'recovery') {
+      const codeHash = hashCode(code);
+      const remaining = settings.recoveryCodeHashes.filter(hash => hash !== codeHash);
+      if (remaining.length === settings.recoveryCodeHashes.length) {
+        return false;
+      }
+      transaction.update(settingsRef, { recoveryCodeHashes: remaining, updatedAt: new Date().toISOString() });
+      return true;
+    }
+
+    // SMS
+    const smsCode = settings.smsCode;
+    if (!smsCode || smsCode.purpose !== smsPurpose || new Date(smsCode.expiresAt) < new Date()) {
+      return false;
+    }
+    if (smsCode.attempts >= MAX_CODE_ATTEMPTS || smsCode.hash !== hashCode(code)) {
+      transaction.update(settingsRef, { 'smsCode.attempts': (smsCode.attempts || 0) + 1 });
+      return false;
+    }
+    transaction.update(settingsRef, { smsCode: null });
+    return true;
+  });
+}
+
+/**
+ * Check a current second factor before an enrolled user adds or replaces one
+ * A bearer token alone must not be enough to put a new phone or authenticator on the account.
+ * @param {string} userId
+ * @param {Object|null} settings - Two-factor settings document
+ * @param {Object} verification - { method, code }
+ */
+async function assertCurrentFactor(userId, settings, { method, code } = {}) {
+  if (getEnabledMethods(settings).length === 0) {
+    return;
+  }
+  if (!method || !code) {
+    throw twoFactorError('TWO_FACTOR_CODE_REQUIRED', 'Confirm the change with a code from your current second factor');
+  }
+  if (!await verifySecondFactor(userId, method, code)) {
+    throw twoFactorError('INVALID_TWO_FACTOR_CODE', 'Invalid verification code');
+  }
+}
+
+/**
+ * Start TOTP enrolment: generate a secret and provisioning QR code
+ * The secret only becomes active once confirmed with enableTotp().
+ * @param {string} userId
+ * @param {string} email - Account name shown in the authenticator app
+ * @param {Object} [verification] - { method, code } of a current factor; required once SMS is enabled
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ */
+async function startTotpSetup(userId, email, verification = {}) {
+  const settings = await getTwoFactorSettings(userId);
+  if (settings?.totp?.enabled) {
+    throw twoFactorError('TWO_FACTOR_ALREADY_ENABLED', 'Authenticator app is already enabled');
+  }
+  await assertCurrentFactor(userId, settings, verification);
+
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpAuthUrl(secret, email, TOTP_ISSUER);
+
+  await db.collection(TWO_FACTOR_COLLECTION).doc(userId).set({
+    userId,
+    totp: {
+      enabled: false,
+      pendingSecret: encryptSecret(secret)
+    },
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+
+  const qrCode = await QRCode.toDataURL(otpauthUrl, {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 300
+  });
+
+  return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * Confirm TOTP enrolment with a code from the authenticator app
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<{recoveryCodes: Array<string>|null}>} - Recovery codes when this is the first factor enabled
+ */
+async function enableTotp(userId, code) {
+  const settings = await getTwoFactorSettings(userId);
+  if (!settings?.totp?.pendingSecret) {
+    throw twoFactorError('TWO_FACTOR_SETUP_REQUIRED', 'Start authenticator setup first');
+  }
+
+  const secret = decryptSecret(settings.totp.pendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    throw twoFactorError('INVALID_TWO_FACTOR_CODE', 'Invalid verification code');
+  }
+
+  const update = {
+    'totp.enabled': true,
+    'totp.secret': settings.totp.pendingSecret,
+    'totp.pendingSecret': admin.firestore.FieldValue.delete(),
+    'totp.lastUsedStep': step,
+    'totp.enabledAt': new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  let recoveryCodes = null;
+  if (!settings.recoveryCodeHashes?.length) {
+    const generated = generateRecoveryCodes();
+    recoveryCodes = generated.codes;
+    update.recoveryCodeHashes = generated.hashes;
+  }
+
+  await db.collection(TWO_FACTOR_COLLECTION).doc(userId).update(update);
+  await setTwoFactorClaim(userId, true);
+  return { recoveryCodes };
+}
+
+/**
+ * Start SMS enrolment (or a phone number change) by sending a code to the phone number
+ * @param {string} userId
+ * @param {string} phone - E.164 phone number
+ * @param {Object} [verification] - { method, code } of a current factor; required once any factor is enabled
+ * @returns {Promise<{phone: string, expiresAt: string}>}
+ */
+async function startSmsSetup(userId, phone, verification = {}) {
+  await assertCurrentFactor(userId, await getTwoFactorSettings(userId), verification);
+
+  const { expiresAt } = await sendSmsCode(userId, phone, 'enroll');
+  return { phone: maskPhone(phone), expiresAt };
+}
+
+/**
+ * Confirm SMS enrolment with the code that was sent
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<{recoveryCodes: Array<string>|null}>} - Recovery codes when this is the first factor enabled
+ */
+async function enableSms(userId, code) {
+  const settingsRef = db.collection(TWO_FACTOR_COLLECTION).doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(settingsRef);
+    const settings = doc.exists ? doc.data() : null;
+    const smsCode = settings?.smsCode;
+
+    if (!smsCode || smsCode.purpose !== 'enroll' || new Date(smsCode.expiresAt) < new Date()) {
+      throw twoFactorError('TWO_FACTOR_SETUP_REQUIRED', 'Request a new verification code');
+    }
+    if (smsCode.attempts >= MAX_CODE_ATTEMPTS || smsCode.hash !== hashCode(code)) {
+      transaction.update(settingsRef, { 'smsCode.attempts': (smsCode.attempts || 0) + 1 });
+      return { valid: false };
+    }
+
+    const update = {
+      sms: {
+        enabled: true,
+        phone: smsCode.phone,
+        enabledAt: new Date().toISOString()
+      },
+      smsCode: null,
+      updatedAt: new Date().toISOString()
+    };
+
+    let recoveryCodes = null;
+    if (!settings.recoveryCodeHashes?.length) {
+      const generated = generateRecoveryCodes();
+      recoveryCodes = generated.codes;
+      update.recoveryCodeHashes = generated.hashes;
+    }
+
+    transaction.update(settingsRef, update);
+    return { valid: true, recoveryCodes };
+  }).then(async (result) => {
+    // Throw outside the transaction so the failed attempt counter is committed
+    if (!result.valid) {
+      throw twoFactorError('INVALID_TWO_FACTOR_CODE', 'Invalid verification code');
+    }
+    await setTwoFactorClaim(userId, true);
+    return { recoveryCodes: result.recoveryCodes };
+  });
+}
+
+/**
+ * Send an SMS code for managing two-factor settings (disable, regenerate recovery codes)
+ * @param {string} userId
+ * @returns {Promise<{phone: string, expiresAt: string}>}
+ */
+async function sendManagementSmsCode(userId) {
+  const settings = await getTwoFactorSettings(userId);
+  if (!settings?.sms?.enabled) {
+    throw twoFactorError('SMS_NOT_ENABLED', 'SMS verification is not enabled');
+  }
+
+  const { expiresAt } = await sendSmsCode(userId, settings.sms.phone, 'manage');
+  return { phone: maskPhone(settings.sms.phone), expiresAt };
+}
+
+/**
+ * Replace the user's recovery codes
+ * @param {string} userId
+ * @param {string} method - Second factor used to authorise the change
+ * @param {string} code
+ * @returns {Promise<{recoveryCodes: Array<string>}>}
+ */
+async function regenerateRecoveryCodes(userId, method, code) {
+  const valid = await verifySecondFactor(userId, method, code);
+  if (!valid) {
+    throw twoFactorError('INVALID_TWO_FACTOR_CODE', 'Invalid verification code');
+  }
+
+  const generated = generateRecoveryCodes();
+  await db.collection(TWO_FACTOR_COLLECTION).doc(userId).update({
+    recoveryCodeHashes: generated.hashes,
+    updatedAt: new Date().toISOString()
+  });
+
+  return { recoveryCodes: generated.codes };
+}
+
+/**
+ * Turn off two-factor authentication entirely
+ * @param {string} userId
+ * @param {string} method - Second factor used to authorise the change
+ * @param {string} code
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor(userId, method, code) {
+  const valid = await verifySecondFactor(userId, method, code);
+  if (!valid) {
+    throw twoFactorError('INVALID_TWO_FACTOR_CODE', 'Invalid verification code');
+  }
+
+  await db.collection(TWO_FACTOR_COLLECTION).doc(userId).delete();
+  await setTwoFactorClaim(userId, false);
+}
+
+/**
+ * Create a pending login that must be completed with a second factor
+ * @param {string} userId
+ * @param {Object} context - Request context stored for auditing
+ * @returns {Promise<{challengeId: string, methods: Array<string>, expiresAt: string}>}
+ */
+async function createLoginChallenge(userId, context = {}) {
+  const settings = await getTwoFactorSettings(userId);
+  const methods = getEnabledMethods(settings);
+  const challengeRef = db.collection(CHALLENGES_COLLECTION).doc(crypto.randomBytes(32).toString('hex'));
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS).toISOString();
+
+  await challengeRef.set({
+    userId,
+    // Second-factor failures count towards the login lockout of this email
+    email: context.email || null,
+    methods,
+    attempts: 0,
+    userAgent: context.userAgent || null,
+    ipAddress: context.ipAddress || null,
+    expiresAt,
+    completedAt: null,
+    createdAt: new Date().toISOString()
+  });
+
+  return { challengeId: challengeRef.id, methods, expiresAt };
+}
+
+/**
+ * Load a login challenge that can still be completed
+ * @param {string} challengeId
+ * @returns {Promise<Object>}
+ */
+async function getActiveChallenge(challengeId) {
+  const doc = await db.collection(CHALLENGES_COLLECTION).doc(challengeId).get();
+  if (!doc.exists) {
+    throw twoFactorError('INVALID_CHALLENGE', 'Login challenge is invalid or has expired');
+  }
+
+  const challenge = doc.data();
+  if (challenge.completedAt || new Date(challenge.expiresAt) < new Date() || challenge.attempts >= MAX_CODE_ATTEMPTS) {
+    throw twoFactorError('INVALID_CHALLENGE', 'Login challenge is invalid or has expired');
+  }
+
+  return challenge;
+}
+
+/**
+ * Send the SMS code for a login challenge
+ * @param {string} challengeId
+ * @returns {Promise<{phone: string, expiresAt: string}>}
+ */
+async function sendChallengeSmsCode(challengeId) {
+  const challenge = await getActiveChallenge(challengeId);
+  if (!challenge.methods.includes('sms')) {
+    throw twoFactorError('SMS_NOT_ENABLED', 'SMS verification is not enabled');
+  }
+
+  const settings = await getTwoFactorSettings(challenge.userId);
+  const { expiresAt } = await sendSmsCode(challenge.userId, settings.sms.phone, `login:${challengeId}`);
+  return { phone: maskPhone(settings.sms.phone), expiresAt };
+}
+
+/**
+ * Complete a login challenge with a second factor
+ * Wrong codes count as failed logins of the account, so the lockout limits guessing across challenges.
+ * @param {string} challengeId
+ * @param {string} method - 'totp' | 'sms' | 'recovery'
+ * @param {string} code
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<{userId: string}>}
+ */
+async function completeLoginChallenge(challengeId, method, code, context = {}) {
+  const challenge = await getActiveChallenge(challengeId);
+  const challengeRef = db.collection(CHALLENGES_COLLECTION).doc(challengeId);
+  // Challenges always carry the email; the UID keeps the counter per user if one doesn't
+  const throttleKey = challenge.email || challenge.userId;
+  const ipAddress = context.ipAddress || challenge.ipAddress;
+
+  const lock = await checkLoginAllowed(throttleKey, ipAddress);
+  if (lock.locked) {
+    throw twoFactorError('ACCOUNT_LOCKED', 'Too many failed login attempts. Please try again later.', {
+      retryAfter: lock.retryAfter
+    });
+  }
+
+  const valid = await verifySecondFactor(challenge.userId, method, code, `login:${challengeId}`);
+  if (!valid) {
+    const attempts = challenge.attempts + 1;
+    await challengeRef.update({ attempts });
+
+    const failure = await recordLoginFailure(throttleKey, ipAddress);
+    if (failure.locked) {
+      await challengeRef.update({ attempts: MAX_CODE_ATTEMPTS });
+      throw twoFactorError('ACCOUNT_LOCKED', 'Too many failed login attempts. Please try again later.', {
+        retryAfter: failure.retryAfter
+      });
+    }
+    throw twoFactorError(
+      attempts >= MAX_CODE_ATTEMPTS ? 'INVALID_CHALLENGE' : 'INVALID_TWO_FACTOR_CODE',
+      attempts >= MAX_CODE_ATTEMPTS ? 'Too many failed attempts. Please log in again.' : 'Invalid verification code'
+    );
+  }
+
+  // Mark as completed inside a transaction so a challenge can only be redeemed once
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(challengeRef);
+    if (doc.data().completedAt) {
+      throw twoFactorError('INVALID_CHALLENGE', 'Login challenge is invalid or has expired');
+    }
+    transaction.update(challengeRef, { completedAt: new Date().toISOString(), method });
+  });
+
+  await recordLoginSuccess(throttleKey);
+  return { userId: challenge.userId };
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  TWO_FACTOR_ENFORCED,
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  setTwoFactorClaim,
+  startTotpSetup,
+  enableTotp,
+  startSmsSetup,
+  enableSms,
+  sendManagementSmsCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  sendChallengeSmsCode,
+  completeLoginChallenge
+};
@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+// Initialize Firebase Admin SDK
+require('./config/firebase.js');
+
+const { startWorker } = require('./services/jobQueue');
+
+// Registers the job handlers this worker can run
+require('./services/reportPipeline');
+require('./services/account');
+require('./services/reportUpload');
+
+/**
+ * Standalone job worker (malware scan, OCR)
+ * Run with `npm run worker`; set JOB_WORKER_IN_PROCESS=false on the API servers
+ * if all jobs should be handled here instead.
+ */
+const worker = startWorker();
+
+const shutdown = (signal) => {
+  console.log(`${signal} signal received: finishing current job`);
+  worker.stop()
+    .catch(error => console.error('Error stopping job worker:', error))
+    .finally(() => process.exit(0));
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));